@@ -1,25 +1,106 @@
+const crypto = require('crypto');
 const vscode = require('vscode');
-const json_parse = require('./json_parse')
 const rainbow_utils = require('./rainbow_utils');
+const semantic_tokens = require('./semantic_tokens');
+const parse_worker_client = require('./parse_worker_client');
 
 /** @type {vscode.Disposable|null} */
 let rainbow_token_event = null;
 
-let per_doc_reversed_keys_to_highlight = new Map(); // Stores per-doc reversed (leaf->root instead of root->leaf) key paths to highlight.
+/** @type {vscode.ExtensionContext|null} */
+let extension_context = null;
 
+/** @type {{pattern: vscode.RelativePattern, reversed_keys: string[][]}[]} */
+let workspace_key_patterns = []; // Keys to highlight from the workspace config files.
+let workspace_key_slot_warnings = new Set(); // File names of the documents with config keys that didn't fit into the color slots, to warn only once per config load.
 
+// Parsing runs in a worker thread that keeps its own copy of the documents and their parse caches.
+let parse_worker = new parse_worker_client.ParseWorkerClient();
 
-// Start with rainbow2 because rainbow1 has no color.
-const rainbow_token_types = [/*'rainbow1', */'rainbow2', 'rainbow4', 'rainbow10', 'rainbow8', 'rainbow5', 'rainbow6', 'rainbow9', 'rainbow7'/*, 'rainbow3'*/];
-const ambient_token_type = 'rainbow3';
-const all_token_types = rainbow_token_types.concat(['rainbow1', ambient_token_type]);
-const tokens_legend = new vscode.SemanticTokensLegend(all_token_types);
+let per_doc_key_selections = new Map(); // Stores per-doc KeyHighlightSelection with reversed (leaf->root instead of root->leaf) key paths to highlight.
+let per_doc_recompute_timers = new Map(); // Debounce timers for recalculation of auto-highlighted keys after edits.
+let per_doc_diagnostics_timers = new Map(); // Debounce timers for JSONL diagnostics updates after edits.
 
-const max_num_keys_to_highlight = rainbow_token_types.length;
+/** @type {vscode.StatusBarItem|null} */
+let key_status_bar_item = null;
+
+/** @type {SchemaTreeProvider|null} */
+let schema_tree_provider = null;
+let schema_tree_refresh_timer = null;
+
+// Background decorations of records tinted by the value of the value color key, one per color slot.
+/** @type {vscode.TextEditorDecorationType[]} */
+let record_tint_decoration_types = [];
+// Colors and font styles of the slots from the palette settings, null for slots that use theme colors of their token types.
+/** @type {(vscode.TextEditorDecorationType|null)[]} */
+let palette_decoration_types = [];
+let decorations_update_timer = null;
+
+// File names of documents opened by "Expand Record" -> {source_uri, position, original_text} of the record in the source document.
+// The position is null if the record start was changed.
+let expanded_records = new Map();
+
+/** @type {vscode.DiagnosticCollection|null} */
+let jsonl_diagnostics = null;
+/** @type {vscode.DiagnosticCollection|null} */
+let schema_diagnostics = null; // Rare key paths, see calculate_schema_report().
+/** @type {vscode.DiagnosticCollection|null} */
+let value_type_diagnostics = null; // Values with a type that differs from the majority, see calculate_value_type_report().
+
+
+
+const tokens_legend = new vscode.SemanticTokensLegend(semantic_tokens.all_token_types);
+
+const max_num_keys_to_highlight = semantic_tokens.rainbow_token_types.length;
+
+const supported_language_ids = ['json', 'jsonl', 'jsonc', 'json5'];
+// Language ids of delimited files, e.g. from Rainbow CSV.
+const delimiters_by_language_id = { 'csv': ',', 'tsv': '\t', 'csv (semicolon)': ';', 'csv (pipe)': '|' };
+
+// Themes don't expose token colors to the workbench, so without an explicit palette the schema tree swatches use the workbench colors closest to the scopes of the rainbow token types in package.json.
+const token_type_swatch_colors = {
+    rainbow2: 'symbolIcon.keywordForeground',
+    rainbow4: 'descriptionForeground',
+    rainbow10: 'errorForeground',
+    rainbow8: 'symbolIcon.classForeground',
+    rainbow5: 'symbolIcon.stringForeground',
+    rainbow6: 'symbolIcon.variableForeground',
+    rainbow9: 'symbolIcon.textForeground',
+    rainbow7: 'symbolIcon.numberForeground',
+    rainbow11: 'symbolIcon.functionForeground',
+    rainbow12: 'symbolIcon.typeParameterForeground',
+    rainbow13: 'symbolIcon.propertyForeground',
+    rainbow14: 'symbolIcon.booleanForeground',
+    rainbow15: 'symbolIcon.eventForeground',
+    rainbow16: 'symbolIcon.structForeground',
+    rainbow17: 'symbolIcon.constantForeground',
+    rainbow18: 'foreground',
+};
+
+// Auto-highlighted keys are recalculated when the document hasn't been edited for this long.
+const auto_keys_recompute_delay_ms = 1000;
+const diagnostics_update_delay_ms = 1000;
+const schema_tree_refresh_delay_ms = 1000;
+const decorations_update_delay_ms = 100;
+// Too many cursors make the editor unresponsive.
+const max_selected_occurrences = 10000;
+// Only the first problems are reported, a file with a wrong format would have a problem on every line.
+const max_jsonl_diagnostics = 1000;
+const max_schema_diagnostics = 1000;
+const max_value_type_diagnostics = 1000;
+// Lists in the schema report are truncated to keep the report readable for large datasets.
+const max_schema_report_list_items = 1000;
+// The table view is built as a single HTML page, larger tables make the webview slow.
+const max_table_rows = 10000;
+const max_table_cell_length = 200;
+const table_refresh_delay_ms = 1000;
+
+// Manual key selections are stored in workspace state as an object mapping file names to serialized KeyHighlightSelection.
+const key_selections_state_key = 'rainbow-json.key_selections';
+const workspace_config_file_path = '.vscode/rainbow-json.json';
 
 // TODO add proper readme with a screenshot.
 
-// TODO (post MVP): add option to highlight by last key path only.
 // TODO (post MVP): use vscode channel for logging like in rainbow csv instead of console.log
 
 /**
@@ -37,372 +118,1824 @@ function extend_range_by_margin(vscode, doc, range, margin) {
 
 
 /**
- * @param {typeof vscode} vscode
- * @param {vscode.TextDocument} doc
- * @param {vscode.Range} range
- * @returns {[string[], number[]]}
+ * Sends the request to the parse worker, the worker gets the current document text first if it doesn't have it yet.
+ * @param {vscode.TextDocument} document
+ * @param {string} request_type - See request_handlers in parse_worker.js.
+ * @param {Object} params
+ * @param {vscode.CancellationToken|null} [cancellation_token=null]
+ * @returns {Promise<any>} - Rejected with parse_worker_client.RequestCancelledError if the token was cancelled.
  */
-function parse_document_range(vscode, doc, range) {
-    let lines = [];
-    let line_nums = [];
-    let begin_line = Math.max(0, range.start.line);
-    let end_line = Math.min(doc.lineCount, range.end.line + 1);
-    for (let lnum = begin_line; lnum < end_line; lnum++) {
-        let line_text = doc.lineAt(lnum).text;
-        lines.push(line_text);
-        line_nums.push(lnum);
+async function request_parse_worker(document, request_type, params, cancellation_token=null) {
+    if (cancellation_token && cancellation_token.isCancellationRequested) {
+        throw new parse_worker_client.RequestCancelledError();
     }
-    return [lines, line_nums];
-}
-
-function get_keys_to_highlight(document) {
-    if (!document.fileName) {
-        return [];
+    parse_worker.sync_document(document.fileName, document.version, document.languageId, () => document.getText());
+    let cancellation_flag = null;
+    let cancellation_listener = null;
+    if (cancellation_token) {
+        cancellation_flag = parse_worker_client.create_cancellation_flag();
+        cancellation_listener = cancellation_token.onCancellationRequested(() => parse_worker_client.raise_cancellation_flag(cancellation_flag));
     }
-    if (!per_doc_reversed_keys_to_highlight.has(document.fileName)) {
-        let config = vscode.workspace.getConfiguration('rainbow-json');
-        let min_frequency = config.get('autohighlight_key_frequency', 2);
-        let min_keys_count = config.get('autohighlight_min_keys_count', 2);
-        let max_keys_count = config.get('autohighlight_max_keys_count', 5);
-        max_keys_count = Math.min(max_keys_count, rainbow_token_types.length);
-
-        let [lines, line_nums] = parse_document_range(vscode, document, new vscode.Range(0, 0, document.lineCount, 0));
-        let frequency_stats = rainbow_utils.calculate_key_frequency_stats(lines, line_nums);
-        frequency_stats = frequency_stats.filter(stat => stat.count >= min_frequency);
-        if (frequency_stats.length < min_keys_count) {
-            frequency_stats = [];
-        }
-        frequency_stats = frequency_stats.slice(0, max_keys_count);
-        let keys_to_highlight = frequency_stats.map(stat => stat.path.slice().reverse());
-        per_doc_reversed_keys_to_highlight.set(document.fileName, keys_to_highlight);
-    }
-    let keys_to_highlight = per_doc_reversed_keys_to_highlight.get(document.fileName);
-    if (!keys_to_highlight || !keys_to_highlight.length) {
-        return [];
+    try {
+        return await parse_worker.request(request_type, document.fileName, document.version, params, cancellation_flag);
+    } finally {
+        if (cancellation_listener) {
+            cancellation_listener.dispose();
+        }
     }
-    // Reverse from root -> leaf to leaf -> root so that we can do prefix matching more naturally.
-    return keys_to_highlight.map(path => rainbow_utils.get_path_signature(path));
 }
 
-
-function push_ambient_tokens_between_positions(document, ambientTokenType, lastPushedPosition, currentPosition, builder) {
-    // Nothing to push if positions are the same or current is before last
-    if (currentPosition.isBeforeOrEqual(lastPushedPosition)) {
+/**
+ * @param {vscode.TextDocumentChangeEvent} event
+ */
+function handle_document_change(event) {
+    if (!event.contentChanges.length) {
         return;
     }
+    // Changes are applied sequentially in the worker, same as in vscode.TextDocument.
+    parse_worker.change_document(event.document.fileName, event.document.version, event.contentChanges.map(change => ({
+        start_line: change.range.start.line,
+        start_character: change.range.start.character,
+        end_line: change.range.end.line,
+        end_character: change.range.end.character,
+        text: change.text,
+    })));
+}
 
-    if (lastPushedPosition.line === currentPosition.line) {
-        builder.push(new vscode.Range(lastPushedPosition, currentPosition), ambientTokenType);
-        return;
-    }
-    // Multi-line - push token for remainder of first line
-    let firstLineText = document.lineAt(lastPushedPosition.line).text;
-    if (lastPushedPosition.character < firstLineText.length) {
-        let range = new vscode.Range(lastPushedPosition, new vscode.Position(lastPushedPosition.line, firstLineText.length));
-        builder.push(range, ambientTokenType);
-    }
+/**
+ * @returns {number|null} - See rainbow_utils.parse_match_mode().
+ */
+function get_match_suffix_length() {
+    return rainbow_utils.parse_match_mode(vscode.workspace.getConfiguration('rainbow-json').get('match_mode', rainbow_utils.MATCH_MODE_FULL_PATH));
+}
+
+/**
+ * @param {(string[]|null)[]} reversed_keys - Color slots of KeyHighlightSelection.
+ * @param {number|null} match_suffix_length
+ * @returns {(string|null)[]} - Normalized signatures of the parts of the paths that are compared in the match mode, see rainbow_utils.KeyPathMatcher.
+ */
+function get_key_signatures(reversed_keys, match_suffix_length) {
+    return reversed_keys.map(path => path === null ? null : rainbow_utils.get_normalized_path_signature(rainbow_utils.get_matched_reversed_path(path, match_suffix_length)));
+}
 
-    // Push tokens for intermediate full lines
-    for (let line = lastPushedPosition.line + 1; line < currentPosition.line; line++) {
-        let lineText = document.lineAt(line).text;
-        if (lineText.length > 0) {
-            let range = new vscode.Range(line, 0, line, lineText.length);
-            builder.push(range, ambientTokenType);
+/**
+ * Pattern rules from the settings are highlighted like auto-selected keys: they take free color slots and can be toggled off per file.
+ * @returns {string[][]} - Pattern keys, see rainbow_utils.make_pattern_key().
+ */
+function get_setting_pattern_keys() {
+    let pattern_keys = [];
+    for (let pattern_text of vscode.workspace.getConfiguration('rainbow-json').get('highlight_patterns', [])) {
+        try {
+            rainbow_utils.parse_key_path_pattern(pattern_text);
+        } catch (e) {
+            console.error(`Invalid highlight pattern "${pattern_text}": ${e.message}`);
+            continue;
         }
+        pattern_keys.push(rainbow_utils.make_pattern_key(pattern_text));
     }
+    return pattern_keys;
+}
 
-    // Push token for beginning of last line
-    if (currentPosition.character > 0) {
-        let range = new vscode.Range(currentPosition.line, 0, currentPosition.line, currentPosition.character);
-        builder.push(range, ambientTokenType);
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {rainbow_utils.KeyHighlightSelection}
+ */
+function get_key_selection(document) {
+    let selection = per_doc_key_selections.get(document.fileName);
+    if (selection) {
+        return selection;
+    }
+    // Untitled documents reuse names like "Untitled-1", so their selections are not saved.
+    let saved_selections = extension_context && !document.isUntitled ? extension_context.workspaceState.get(key_selections_state_key, {}) : {};
+    if (Object.prototype.hasOwnProperty.call(saved_selections, document.fileName)) {
+        selection = rainbow_utils.KeyHighlightSelection.deserialize(saved_selections[document.fileName]);
+    } else {
+        selection = new rainbow_utils.KeyHighlightSelection();
     }
+    per_doc_key_selections.set(document.fileName, selection);
+    return selection;
 }
 
-
 /**
- * @param {string[]} keys_to_highlight - Array of paths like "foo->bar"
- * @param {vscode.SemanticTokensBuilder} builder
- * @param {json_parse.RainbowJsonNode} node
- * @param {string} path - Current path
- * @param {vscode.Position} lastPushedPosition
+ * Keys from the workspace config files are shared by the team, so they are not saved with the manual changes: they are highlighted like auto-selected keys and re-read when the config changes.
+ * @param {vscode.TextDocument} document
+ * @returns {string[][]} - Reversed key paths for the document already shortened with get_matched_reversed_path().
  */
-function push_current_node(document, keys_to_highlight, builder, node, current_path, lastPushedPosition) {
-    let current_path_signature = rainbow_utils.get_path_signature(current_path.slice().reverse());
-    let highlight_index = 0;
-    for (highlight_index = 0; highlight_index < keys_to_highlight.length; highlight_index++) {
-        if (keys_to_highlight[highlight_index] && keys_to_highlight[highlight_index].startsWith(current_path_signature)) {
-            break;
+function get_workspace_config_keys(document) {
+    let match_suffix_length = get_match_suffix_length();
+    let reversed_keys = [];
+    for (let entry of workspace_key_patterns) {
+        if (vscode.languages.match({ pattern: entry.pattern }, document) > 0) {
+            for (let reversed_path of entry.reversed_keys) {
+                reversed_keys.push(rainbow_utils.get_matched_reversed_path(reversed_path, match_suffix_length));
+            }
         }
     }
-    if (highlight_index >= keys_to_highlight.length) {
-        return lastPushedPosition;
-    }
-    let token_type = rainbow_token_types[highlight_index % rainbow_token_types.length];
-    let start_line = node.parent_key_position.line;
-    let end_line = start_line;
-    let start_col = node.parent_key_position.character;
-    let end_col = start_col + node.parent_key.length;
-    if (node.node_type === 'SCALAR' && node.value !== null) {
-        // For scalar nodes highlight the whole key-value pair.
-        end_line = node.end_position.line;
-        end_col = node.end_position.character;
-    }
-    let current_range_start = new vscode.Position(start_line, start_col);
-    let current_range_end = new vscode.Position(end_line, end_col);
-    push_ambient_tokens_between_positions(document, ambient_token_type, lastPushedPosition, current_range_start, builder);
-    let current_range = new vscode.Range(current_range_start, current_range_end);
-    builder.push(current_range, token_type);
-    return current_range_end;
+    return reversed_keys;
 }
 
 /**
- * @param {string[]} keys_to_highlight - Array of paths like "foo->bar"
- * @param {vscode.SemanticTokensBuilder} builder
- * @param {json_parse.RainbowJsonNode} node
- * @param {string} path - Current path
- * @param {vscode.Position} lastPushedPosition - Start position of the range being processed
+ * Workspace config keys come first, then pattern rules from the settings and then the keys chosen by the auto-highlighting.
+ * @param {vscode.TextDocument} document
+ * @param {rainbow_utils.KeyHighlightSelection} selection
+ * @param {string[][]} auto_keys - See calculate_auto_keys().
  */
-function push_node_tokens(document, keys_to_highlight, builder, node, path, lastPushedPosition) {
-    path = path.slice();
-    if (node.parent_key) { // Arrays elements don't have parent_key, so path doesn't change which is exactly what is needed.
-        path.push(node.parent_key);
-        lastPushedPosition = push_current_node(document, keys_to_highlight, builder, node, path, lastPushedPosition);
-    }
-    for (let child of node.children) {
-        lastPushedPosition = push_node_tokens(document, keys_to_highlight, builder, child, path, lastPushedPosition);
+function update_auto_keys(document, selection, auto_keys) {
+    let config_keys = get_workspace_config_keys(document);
+    let skipped_signatures = new Set(selection.set_auto_keys(config_keys.concat(get_setting_pattern_keys(), auto_keys), max_num_keys_to_highlight).map(rainbow_utils.get_path_signature));
+    let skipped_config_keys = config_keys.filter(path => skipped_signatures.has(rainbow_utils.get_path_signature(path)));
+    if (skipped_config_keys.length && !workspace_key_slot_warnings.has(document.fileName)) {
+        workspace_key_slot_warnings.add(document.fileName);
+        let key_list = skipped_config_keys.map(path => rainbow_utils.get_path_signature(path.slice().reverse())).join(', ');
+        vscode.window.showWarningMessage(`No free color slots for keys ${key_list} from ${workspace_config_file_path}, toggle some keys off in ${document.fileName} to highlight them`);
     }
-    return lastPushedPosition;
 }
 
-class RainbowTokenProvider {
-    // We don't utilize typescript `implement` interface keyword, because TS doesn't seem to be exporting interfaces to JS (unlike classes).
-    constructor() {
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {string|null} - Signature of the matched reversed key path which values are colored, see rainbow_utils.KeyPathMatcher.
+ */
+function get_value_color_key(document) {
+    let value_color_path = get_key_selection(document).value_color_path;
+    if (value_color_path === null) {
+        return null;
     }
+    return rainbow_utils.get_normalized_path_signature(rainbow_utils.get_matched_reversed_path(value_color_path, get_match_suffix_length()));
+}
 
-    /**
-     * @param {vscode.TextDocument} document
-     * @param {vscode.Range} range
-     * @param {vscode.CancellationToken} _token
-     */
-    async provideDocumentRangeSemanticTokens(document, range, _token) {
-        // TODO re-evaluate error-handling strategy to make sure it is sensible.
-        if (document.languageId != "json" && document.languageId != "jsonl") {
-            return null;
-        }
-        let keys_to_highlight = get_keys_to_highlight(document);
-
-        const builder = new vscode.SemanticTokensBuilder(tokens_legend);
-
-        // Early return if no non-null keys to highlight
-        if (!keys_to_highlight.length || keys_to_highlight.every(k => k === null)) {
-            console.log('No keys to highlight found.');
-            return builder.build();
-        }
+/**
+ * @param {vscode.TextDocument} document
+ */
+async function save_key_selection(document) {
+    if (!extension_context || document.isUntitled) {
+        return;
+    }
+    let saved_selections = Object.assign({}, extension_context.workspaceState.get(key_selections_state_key, {}));
+    let selection = per_doc_key_selections.get(document.fileName);
+    if (selection && selection.has_manual_changes()) {
+        saved_selections[document.fileName] = selection.serialize();
+    } else {
+        delete saved_selections[document.fileName];
+    }
+    await extension_context.workspaceState.update(key_selections_state_key, saved_selections);
+}
 
-        let parsing_range = extend_range_by_margin(vscode, document, range, 100);
-        let [lines, line_nums] = parse_document_range(vscode, document, parsing_range);
-        let records;
+async function load_workspace_key_config() {
+    let patterns = [];
+    for (let folder of vscode.workspace.workspaceFolders || []) {
+        let config_uri = vscode.Uri.joinPath(folder.uri, workspace_config_file_path);
+        let text = null;
         try {
-            records = json_parse.parse_json_objects(lines, line_nums);
+            text = new TextDecoder().decode(await vscode.workspace.fs.readFile(config_uri));
         } catch (e) {
-            // If parsing fails, return empty tokens
-            return builder.build();
+            continue; // No config file in this folder.
         }
-        let lastPushedPosition = parsing_range.start;
-        for (let record of records) {
-            // TODO consider passing extracted lines array instead of document itself or consider not extracting lines in the first place.
-            lastPushedPosition = push_node_tokens(document, keys_to_highlight, builder, record, /*path=*/[], lastPushedPosition);
+        try {
+            for (let entry of rainbow_utils.parse_workspace_key_config(text)) {
+                let reversed_keys = entry.key_paths.map(path => path.slice().reverse());
+                patterns.push({ pattern: new vscode.RelativePattern(folder, entry.glob), reversed_keys });
+            }
+        } catch (e) {
+            vscode.window.showErrorMessage(`Unable to load ${config_uri.fsPath}: ${e.message}`);
         }
-        push_ambient_tokens_between_positions(document, ambient_token_type, lastPushedPosition, parsing_range.end, builder);
-
-        return builder.build();
     }
+    workspace_key_patterns = patterns;
+    workspace_key_slot_warnings.clear();
+    // Config keys are replaced together with the auto-selected keys, manual changes stay as they are.
+    for (let selection of per_doc_key_selections.values()) {
+        selection.auto_keys_up_to_date = false;
+    }
+    refresh_semantic_tokens();
+    update_key_selection_views();
 }
 
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<{path: string[], count: number}[]|null>} - Key paths sorted by frequency or null if the document has syntax errors.
+ *   Paths that are the same in the match mode are merged, e.g. "a->id" and "b->id" become "id" in leaf key mode.
+ */
+async function calculate_key_frequency_stats(document) {
+    let config = vscode.workspace.getConfiguration('rainbow-json');
+    let params = {
+        // Large documents use a sample of records instead of the full scan.
+        full_scan_max_lines: config.get('autohighlight_full_scan_max_lines', 100000),
+        sampling_options: {
+            mode: config.get('autohighlight_sampling_mode', rainbow_utils.SAMPLING_MODE_LINE_WINDOWS),
+            max_records: config.get('autohighlight_sample_records', 10000),
+            num_windows: config.get('autohighlight_sample_windows', 100),
+            window_lines: Math.max(1, config.get('autohighlight_sample_window_lines', 100)),
+            time_budget_ms: config.get('autohighlight_sample_time_budget_ms', 200),
+        },
+    };
+    let frequency_stats = await request_parse_worker(document, 'key_stats', params);
+    return frequency_stats === null ? null : rainbow_utils.merge_key_frequency_stats(frequency_stats, get_match_suffix_length());
+}
 
-function enable_dynamic_semantic_tokenization() {
-    // Some themes can disable semantic highlighting e.g. "Tokyo Night" https://marketplace.visualstudio.com/items?itemName=enkia.tokyo-night, so we explicitly override the default setting in "configurationDefaults" section of package.json.
-    // Conflict with some other extensions might also cause semantic highlighting to completely fail (although this could be caused by the theme issue described above), see https://github.com/mechatroner/vscode_rainbow_csv/issues/149.
-    console.log('Enabling dynamic semantic tokenization');
-    let token_provider = new RainbowTokenProvider();
-    if (rainbow_token_event !== null) {
-        rainbow_token_event.dispose();
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<string[][]|null>} - Reversed key paths to auto-highlight or null if the document has syntax errors.
+ */
+async function calculate_auto_keys(document) {
+    let config = vscode.workspace.getConfiguration('rainbow-json');
+    let min_frequency = config.get('autohighlight_key_frequency', 2);
+    let min_keys_count = config.get('autohighlight_min_keys_count', 2);
+    let max_keys_count = config.get('autohighlight_max_keys_count', 5);
+    max_keys_count = Math.min(max_keys_count, semantic_tokens.rainbow_token_types.length);
+
+    let frequency_stats = await calculate_key_frequency_stats(document);
+    if (frequency_stats === null) {
+        return null;
     }
-    // TODO handle jsonc - needs parser adjustment. Also add jsonc to "configurationDefaults":"editor.semanticHighlighting.enabled" list.
-    let document_selector = [{ language: "json" }, { language: "jsonl" }];
-    rainbow_token_event = vscode.languages.registerDocumentRangeSemanticTokensProvider(document_selector, token_provider, tokens_legend);
-    console.log('Dynamic semantic tokenization enabled');
+    frequency_stats = frequency_stats.filter(stat => stat.count >= min_frequency);
+    if (frequency_stats.length < min_keys_count) {
+        frequency_stats = [];
+    }
+    frequency_stats = frequency_stats.slice(0, max_keys_count);
+    return frequency_stats.map(stat => stat.path.slice().reverse());
 }
 
-function disable_dynamic_semantic_tokenization() {
-    console.log('Disabling dynamic semantic tokenization');
-    if (rainbow_token_event !== null) {
-        rainbow_token_event.dispose();
-        rainbow_token_event = null;
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<(string|null)[]>} - Reversed path signatures, null for empty color slots.
+ */
+async function get_keys_to_highlight(document) {
+    if (!document.fileName) {
+        return [];
     }
+    let selection = get_key_selection(document);
+    if (!selection.auto_keys_up_to_date) {
+        // Partially parsed documents are not used for auto-highlighting.
+        let auto_keys = await calculate_auto_keys(document);
+        update_auto_keys(document, selection, auto_keys || []);
+        update_key_selection_views();
+    }
+    // Keys are stored in leaf -> root order so that we can do prefix matching more naturally.
+    return get_key_signatures(selection.reversed_keys, get_match_suffix_length());
 }
 
+/**
+ * @param {vscode.TextDocument} document
+ */
+async function recompute_auto_keys(document) {
+    let selection = per_doc_key_selections.get(document.fileName);
+    if (!selection || document.isClosed) {
+        return;
+    }
+    let auto_keys = await calculate_auto_keys(document);
+    if (auto_keys === null) {
+        // Keep the previous keys while the document is being edited into a valid state, otherwise all colors would be reshuffled.
+        return;
+    }
+    let old_keys = JSON.stringify(selection.reversed_keys);
+    update_auto_keys(document, selection, auto_keys);
+    if (JSON.stringify(selection.reversed_keys) !== old_keys) {
+        refresh_semantic_tokens();
+        update_key_selection_views();
+    }
+}
 
 /**
- * Find the key path at a given position in the document
- * @param {json_parse.RainbowJsonNode} node
- * @param {vscode.Position} position
- * @param {string[]} current_path
- * @returns {string[]|null} - The path to the key at position, or null if not found
- */
-function find_key_path_at_position(node, position, current_path) {
-    current_path = current_path.slice();
-    if (node.parent_key) {
-        current_path.push(node.parent_key);
-        let parent_key_range = node.getParentKeyRange();
-        if (parent_key_range && parent_key_range.contains(position)) {
-            return current_path;
-        }
-
-        // For scalar nodes, also check if position is within the value
-        if (node.node_type === 'SCALAR') {
-            let scalar_range = node.getValueRange();
-            if (scalar_range && scalar_range.contains(position)) {
-                return current_path;
-            }
-        }
+ * @param {vscode.TextDocument} document
+ */
+function schedule_auto_keys_recompute(document) {
+    if (!per_doc_key_selections.has(document.fileName)) {
+        return;
     }
+    clearTimeout(per_doc_recompute_timers.get(document.fileName));
+    per_doc_recompute_timers.set(document.fileName, setTimeout(() => {
+        per_doc_recompute_timers.delete(document.fileName);
+        recompute_auto_keys(document).catch(e => console.error('Unable to recompute auto-highlighted keys:', e));
+    }, auto_keys_recompute_delay_ms));
+}
 
-    // Recursively check children
-    for (let child of node.children) {
-        let result = find_key_path_at_position(child, position, current_path);
-        if (result) {
-            return result;
-        }
+/**
+ * @param {vscode.TextDocument} document
+ */
+async function update_jsonl_diagnostics(document) {
+    if (document.languageId !== 'jsonl' || document.isClosed) {
+        return;
+    }
+    if (!vscode.workspace.getConfiguration('rainbow-json').get('jsonl_diagnostics', false)) {
+        jsonl_diagnostics.delete(document.uri);
+        return;
     }
+    let problems = await request_parse_worker(document, 'jsonl_problems', { max_problems: max_jsonl_diagnostics });
+    if (document.isClosed) {
+        return;
+    }
+    jsonl_diagnostics.set(document.uri, problems.map(problem => {
+        let range = new vscode.Range(problem.line_num, problem.position, problem.line_num, problem.position + problem.length);
+        let diagnostic = new vscode.Diagnostic(range, problem.message, vscode.DiagnosticSeverity.Error);
+        diagnostic.source = 'Rainbow JSON';
+        return diagnostic;
+    }));
+}
 
-    return null;
+/**
+ * @returns {{expected_path_ratio: number, rare_path_ratio: number}}
+ */
+function get_schema_report_params() {
+    let config = vscode.workspace.getConfiguration('rainbow-json');
+    return {
+        expected_path_ratio: config.get('schema_expected_path_ratio', 0.9),
+        rare_path_ratio: config.get('schema_rare_path_ratio', 0.01),
+    };
 }
 
 /**
- * Find key path at cursor position in the document
  * @param {vscode.TextDocument} document
- * @param {vscode.Position} position
- * @returns {string[]|null}
  */
-function get_key_path_at_cursor(document, position) {
-    let [lines, line_nums] = parse_document_range(vscode, document, new vscode.Range(0, 0, document.lineCount, 0));
-    let records;
-    try {
-        records = json_parse.parse_json_objects(lines, line_nums);
-    } catch (e) {
-        console.log('JSON parsing error:', e.message);
-        return null;
+async function update_schema_diagnostics(document) {
+    if (!supported_language_ids.includes(document.languageId) || document.isClosed) {
+        return;
     }
-
-    for (let record of records) {
-        let path = find_key_path_at_position(record, position, []);
-        if (path) {
-            return path;
-        }
+    if (!vscode.workspace.getConfiguration('rainbow-json').get('schema_rare_path_diagnostics', false)) {
+        schema_diagnostics.delete(document.uri);
+        return;
+    }
+    let report = await request_parse_worker(document, 'schema_report', get_schema_report_params());
+    if (document.isClosed) {
+        return;
     }
-    return null;
+    let path_record_counts = new Map(report.paths.map(stat => [rainbow_utils.get_normalized_path_signature(stat.path), stat.record_count]));
+    schema_diagnostics.set(document.uri, report.rare_path_occurrences.slice(0, max_schema_diagnostics).map(occurrence => {
+        let range = new vscode.Range(occurrence.line_num, occurrence.position, occurrence.line_num, occurrence.position + occurrence.length);
+        let path_record_count = path_record_counts.get(rainbow_utils.get_normalized_path_signature(occurrence.path));
+        let message = `Rare key path "${rainbow_utils.format_key_path(occurrence.path)}": only ${path_record_count} of ${report.record_count} records have it`;
+        let diagnostic = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Information);
+        diagnostic.source = 'Rainbow JSON';
+        return diagnostic;
+    }));
 }
 
 /**
- * Toggle a key path in the highlight list for a document
  * @param {vscode.TextDocument} document
- * @param {string[]} key_path - Path in root->leaf order
  */
-function toggle_key_highlight(document, key_path) {
-    if (!document.fileName) {
-        vscode.window.showErrorMessage('Cannot toggle highlight: document has no file name');
+async function update_value_type_diagnostics(document) {
+    if (!supported_language_ids.includes(document.languageId) || document.isClosed) {
+        return;
+    }
+    if (!vscode.workspace.getConfiguration('rainbow-json').get('value_type_diagnostics', false)) {
+        value_type_diagnostics.delete(document.uri);
+        return;
+    }
+    let report = await request_parse_worker(document, 'value_type_report', {});
+    if (document.isClosed) {
         return;
     }
+    value_type_diagnostics.set(document.uri, report.type_mismatches.slice(0, max_value_type_diagnostics).map(mismatch => {
+        let range = new vscode.Range(mismatch.line_num, mismatch.position, mismatch.end_line_num, mismatch.end_position);
+        let message = `Value of "${rainbow_utils.format_key_path(mismatch.path)}" is ${mismatch.value_type}, but most values are ${mismatch.majority_type}`;
+        let diagnostic = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = 'Rainbow JSON';
+        return diagnostic;
+    }));
+}
 
-    let reversed_path = key_path.slice().reverse();
+/**
+ * @param {vscode.TextDocument} document
+ */
+async function update_diagnostics(document) {
+    await update_jsonl_diagnostics(document);
+    await update_schema_diagnostics(document);
+    await update_value_type_diagnostics(document);
+}
 
-    if (!per_doc_reversed_keys_to_highlight.has(document.fileName)) {
-        per_doc_reversed_keys_to_highlight.set(document.fileName, []);
+/**
+ * @param {vscode.TextDocument} document
+ */
+function schedule_diagnostics_update(document) {
+    if (!supported_language_ids.includes(document.languageId)) {
+        return;
     }
+    clearTimeout(per_doc_diagnostics_timers.get(document.fileName));
+    per_doc_diagnostics_timers.set(document.fileName, setTimeout(() => {
+        per_doc_diagnostics_timers.delete(document.fileName);
+        update_diagnostics(document).catch(e => console.error('Unable to update diagnostics:', e));
+    }, diagnostics_update_delay_ms));
+}
 
-    let keys_list = per_doc_reversed_keys_to_highlight.get(document.fileName);
-    let target_key_path_signature = rainbow_utils.get_path_signature(reversed_path);
-
-    // Check if path already exists
-    let existing_index = keys_list.findIndex(existing => rainbow_utils.get_path_signature(existing) === target_key_path_signature);
+function update_all_diagnostics() {
+    for (let document of vscode.workspace.textDocuments) {
+        update_diagnostics(document).catch(e => console.error('Unable to update diagnostics:', e));
+    }
+}
 
-    if (existing_index !== -1) {
-        // Remove key by replacing it with null instead of removing from the list - this preserves consistency of color mapping for other keys.
-        keys_list[existing_index] = null;
-        console.log(`Removed highlight for key: ${rainbow_utils.get_path_signature(key_path)}`);
-    } else {
-        let first_null_index = 0;
-        while (first_null_index < keys_list.length) {
-            if (keys_list[first_null_index] === null) {
-                break;
-            }
-            first_null_index += 1;
+/**
+ * @param {string} file_name
+ * @param {Object} report - See rainbow_utils.calculate_schema_report().
+ * @param {number} expected_path_ratio
+ * @param {number} rare_path_ratio
+ * @returns {string} - Markdown text.
+ */
+function format_schema_report(file_name, report, expected_path_ratio, rare_path_ratio) {
+    let format_share = (count) => report.record_count ? `${(100 * count / report.record_count).toFixed(1)}%` : '-';
+    let escape_cell = (text) => text.replace(/\|/g, '\\|');
+    let lines = [`# Schema report: ${file_name}`, ''];
+    lines.push(`Records: ${report.record_count}`);
+    if (report.has_errors) {
+        lines.push('', '**The document has syntax errors, records around them are not included.**');
+    }
+    lines.push('', '## Key paths', '', '| Key path | Records | Share |', '| --- | --- | --- |');
+    for (let stat of report.paths) {
+        lines.push(`| ${escape_cell(rainbow_utils.format_key_path(stat.path))} | ${stat.record_count} | ${format_share(stat.record_count)} |`);
+    }
+    let append_list = (items, format_item) => {
+        if (!items.length) {
+            lines.push('None');
         }
-        if (first_null_index < keys_list.length) {
-            keys_list[first_null_index] = reversed_path;
-        } else if (first_null_index >= max_num_keys_to_highlight) {
-            vscode.window.showErrorMessage(`Too many keys selected (max ${max_num_keys_to_highlight}). Remove some keys first.`);
-            return;
-        } else {
-            keys_list.push(reversed_path);
+        for (let item of items.slice(0, max_schema_report_list_items)) {
+            lines.push(`- ${format_item(item)}`);
         }
-        console.log(`Added highlight for key: ${rainbow_utils.get_path_signature(key_path)}`);
+        if (items.length > max_schema_report_list_items) {
+            lines.push(`- ... and ${items.length - max_schema_report_list_items} more`);
+        }
+    };
+    lines.push('', `## Records missing expected key paths (present in at least ${100 * expected_path_ratio}% of records)`, '');
+    append_list(report.records_missing_expected_paths, (item) => `Line ${item.line_num + 1}: ${item.missing_paths.map(path => '`' + rainbow_utils.format_key_path(path) + '`').join(', ')}`);
+    lines.push('', `## Rare key paths (present in at most ${100 * rare_path_ratio}% of records)`, '');
+    append_list(report.rare_path_occurrences, (item) => `Line ${item.line_num + 1}: \`${rainbow_utils.format_key_path(item.path)}\``);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {string} file_name
+ * @param {Object} report - See rainbow_utils.calculate_value_type_report().
+ * @returns {string} - Markdown text.
+ */
+function format_value_type_report(file_name, report) {
+    let lines = [`# Value type report: ${file_name}`];
+    if (report.has_errors) {
+        lines.push('', '**The document has syntax errors, records around them are not included.**');
+    }
+    let header = ['Key path'].concat(rainbow_utils.value_types, ['Majority']);
+    lines.push('', '## Value types', '', `| ${header.join(' | ')} |`, `|${' --- |'.repeat(header.length)}`);
+    for (let stats of report.paths) {
+        let row = [rainbow_utils.format_key_path(stats.path).replace(/\|/g, '\\|')];
+        row = row.concat(rainbow_utils.value_types.map(value_type => String(stats.type_counts[value_type] || '')));
+        row.push(stats.majority_type || '-');
+        lines.push(`| ${row.join(' | ')} |`);
     }
+    lines.push('', '## Values with a type different from the majority', '');
+    if (!report.type_mismatches.length) {
+        lines.push('None');
+    }
+    for (let mismatch of report.type_mismatches.slice(0, max_schema_report_list_items)) {
+        lines.push(`- Line ${mismatch.line_num + 1}: \`${rainbow_utils.format_key_path(mismatch.path)}\` is ${mismatch.value_type}, most values are ${mismatch.majority_type}`);
+    }
+    if (report.type_mismatches.length > max_schema_report_list_items) {
+        lines.push(`- ... and ${report.type_mismatches.length - max_schema_report_list_items} more`);
+    }
+    return lines.join('\n') + '\n';
+}
 
-    // Trigger re-tokenization by refreshing semantic tokens
-    // This is done by re-registering the provider which forces a refresh
-    enable_dynamic_semantic_tokenization();
+/**
+ * @param {vscode.TextDocument} document
+ */
+async function show_value_type_report(document) {
+    let report = await request_parse_worker(document, 'value_type_report', {});
+    let content = format_value_type_report(document.fileName, report);
+    let report_document = await vscode.workspace.openTextDocument({ language: 'markdown', content });
+    await vscode.window.showTextDocument(report_document, { viewColumn: vscode.ViewColumn.Beside, preview: false });
 }
 
+/**
+ * @param {vscode.TextDocument} document
+ */
+async function show_schema_report(document) {
+    let params = get_schema_report_params();
+    let report = await request_parse_worker(document, 'schema_report', params);
+    let content = format_schema_report(document.fileName, report, params.expected_path_ratio, params.rare_path_ratio);
+    let report_document = await vscode.workspace.openTextDocument({ language: 'markdown', content });
+    await vscode.window.showTextDocument(report_document, { viewColumn: vscode.ViewColumn.Beside, preview: false });
+}
 
 /**
- * @param {vscode.ExtensionContext} context
+ * @param {string} text
+ * @returns {string}
  */
-async function activate(context) {
-    console.log('Activating Rainbow JSON');
+function escape_html(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
-    enable_dynamic_semantic_tokenization();
-    let enable_disposable = vscode.commands.registerCommand('rainbow-json.Enable', () => {
-        enable_dynamic_semantic_tokenization();
-    });
-    let disable_disposable = vscode.commands.registerCommand('rainbow-json.Disable', () => {
-        disable_dynamic_semantic_tokenization();
-    });
-    let toggle_key_disposable = vscode.commands.registerCommand('rainbow-json.ToggleKeyHighlight', () => {
-        let editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            vscode.window.showErrorMessage('No active editor');
-            return;
-        }
-        let document = editor.document;
-        if (document.languageId !== 'json' && document.languageId !== 'jsonl') {
-            vscode.window.showErrorMessage('Not a JSON file');
-            return;
+/**
+ * @param {number} slot
+ * @param {{color: string|null, light_color: string|null, font_style: string|null}[]|null} palette - See get_palette().
+ * @returns {{color: string, light_color: string}|{theme_color_id: string}} - Explicit palette colors or the workbench color used for swatches of the slot.
+ */
+function get_slot_swatch_color(slot, palette) {
+    let palette_slot = palette === null ? null : palette[slot];
+    if (palette_slot !== null && palette_slot.color !== null) {
+        return { color: palette_slot.color, light_color: palette_slot.light_color };
+    }
+    return { theme_color_id: token_type_swatch_colors[semantic_tokens.rainbow_token_types[slot]] };
+}
+
+/**
+ * @param {number} slot
+ * @param {{color: string|null, light_color: string|null, font_style: string|null}[]|null} palette - See get_palette().
+ * @returns {vscode.ThemeIcon|{light: vscode.Uri, dark: vscode.Uri}} - Schema tree swatch of the slot.
+ */
+function get_slot_swatch_icon_path(slot, palette) {
+    let swatch_color = get_slot_swatch_color(slot, palette);
+    if (swatch_color.theme_color_id) {
+        return new vscode.ThemeIcon('circle-filled', new vscode.ThemeColor(swatch_color.theme_color_id));
+    }
+    // Theme icons can only have workbench colors, so explicit colors are drawn as SVG icons.
+    let get_circle_uri = (color) => vscode.Uri.parse('data:image/svg+xml;utf8,' + encodeURIComponent(`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><circle cx="8" cy="8" r="5" fill="${color}"/></svg>`));
+    return { light: get_circle_uri(swatch_color.light_color), dark: get_circle_uri(swatch_color.color) };
+}
+
+/**
+ * Webview CSS rules with the colors of the color slots, the same as the schema tree swatches.
+ * @returns {string}
+ */
+function format_table_slot_styles() {
+    let palette = get_palette();
+    let rules = [];
+    semantic_tokens.rainbow_token_types.forEach((_token_type, slot) => {
+        let palette_slot = palette === null ? null : palette[slot];
+        let swatch_color = get_slot_swatch_color(slot, palette);
+        if (swatch_color.theme_color_id) {
+            // Workbench colors are exposed to webviews as CSS variables, e.g. `symbolIcon.keywordForeground` -> `--vscode-symbolIcon-keywordForeground`.
+            rules.push(`.slot-${slot} { color: var(--vscode-${swatch_color.theme_color_id.replace(/\./g, '-')}); }`);
+        } else {
+            rules.push(`.slot-${slot} { color: ${swatch_color.color}; }`);
+            rules.push(`body.vscode-light .slot-${slot}, body.vscode-high-contrast-light .slot-${slot} { color: ${swatch_color.light_color}; }`);
         }
-        let position = editor.selection.active;
-        let key_path = get_key_path_at_cursor(document, position);
-        if (!key_path || key_path.length === 0) {
-            vscode.window.showErrorMessage('No JSON key found at cursor position');
-            return;
+        if (palette_slot !== null && palette_slot.font_style !== null) {
+            let keywords = semantic_tokens.parse_font_style(palette_slot.font_style);
+            rules.push(`.slot-${slot} { font-weight: ${keywords.includes('bold') ? 'bold' : 'normal'}; font-style: ${keywords.includes('italic') ? 'italic' : 'normal'}; }`);
         }
-        toggle_key_highlight(document, key_path);
     });
+    return rules.join('\n');
+}
 
-    // TODO: enable this post-MVP. Or figure out if you can use decorations to hide the bracket colors.
-    // for (let language_id of ["json", "jsonl"]) {
-    //     let config = vscode.workspace.getConfiguration('editor', {languageId: language_id});
-    //     // Adjusting these settings as `configurationDefaults` in package.json doesn't work reliably, so we set it here dynamically.
-    //     // TODO consider adjusting on workspace level only instead.
-    //     let update_global_settings = true;
-    //     if (config.get('bracketPairColorization.enabled')) {
-    //         await config.update('bracketPairColorization.enabled', false, /*configurationTarget=*/update_global_settings, /*overrideInLanguage=*/true);
-    //     }
-    // }
+/**
+ * @param {string} value - Source text of a value.
+ * @returns {string}
+ */
+function format_table_cell_value(value) {
+    value = rainbow_utils.normalize_scalar_value(value);
+    return value.length > max_table_cell_length ? value.slice(0, max_table_cell_length) + '…' : value;
+}
 
-    context.subscriptions.push(enable_disposable);
-    context.subscriptions.push(disable_disposable);
-    context.subscriptions.push(toggle_key_disposable);
+/**
+ * @param {string} file_name
+ * @param {Object} table - Result of the `table` worker request.
+ * @param {number[]} column_slots - Color slot of each column or -1.
+ * @param {string} nonce - Allows the inline script and styles in the Content Security Policy.
+ * @returns {string}
+ */
+function format_table_html(file_name, table, column_slots, nonce) {
+    let notes = [`${table.record_count} record${table.record_count === 1 ? '' : 's'}`];
+    if (table.rows.length < table.record_count) {
+        notes.push(`showing the first ${table.rows.length}`);
+    }
+    if (table.has_errors) {
+        notes.push('the document has syntax errors, records around them are not included');
+    }
+    let header_cells = table.column_paths.map((path, idx) => {
+        let slot_class = column_slots[idx] === -1 ? '' : ` class="slot-${column_slots[idx]}"`;
+        return `<th${slot_class}>${escape_html(rainbow_utils.format_key_path(path))}</th>`;
+    });
+    let rows = table.rows.map(row => {
+        let cells = row.cells.map((cell, idx) => {
+            if (cell === null) {
+                return '<td class="missing"></td>';
+            }
+            let slot_class = column_slots[idx] === -1 ? '' : ` slot-${column_slots[idx]}`;
+            let text = cell.values.map(format_table_cell_value).join(', ');
+            return `<td class="value${slot_class}" data-line="${cell.line}" data-character="${cell.character}">${escape_html(text)}</td>`;
+        });
+        return `<tr><td class="value line-number" data-line="${row.line}" data-character="${row.character}">${row.line + 1}</td>${cells.join('')}</tr>`;
+    });
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<style nonce="${nonce}">
+body { font-family: var(--vscode-editor-font-family); font-size: var(--vscode-editor-font-size); }
+table { border-collapse: collapse; }
+th, td { border: 1px solid var(--vscode-panel-border); padding: 2px 6px; text-align: left; white-space: pre; }
+th { position: sticky; top: 0; background: var(--vscode-editor-background); }
+td.value { cursor: pointer; }
+td.value:hover { background: var(--vscode-list-hoverBackground); }
+td.line-number { color: var(--vscode-editorLineNumber-foreground); }
+${format_table_slot_styles()}
+</style>
+</head>
+<body>
+<p>${escape_html(file_name)}: ${escape_html(notes.join(', '))}</p>
+<table>
+<thead><tr><th>Line</th>${header_cells.join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script nonce="${nonce}">
+const vscode = acquireVsCodeApi();
+document.querySelector('tbody').addEventListener('click', (event) => {
+    let cell = event.target.closest('td.value');
+    if (cell) {
+        vscode.postMessage({ command: 'reveal', line: Number(cell.dataset.line), character: Number(cell.dataset.character) });
+    }
+});
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @param {vscode.WebviewPanel} panel
+ */
+async function render_table_view(document, panel) {
+    let table = await request_parse_worker(document, 'table', { max_rows: max_table_rows });
+    let keys_to_highlight = await get_keys_to_highlight(document);
+    let key_matcher = new rainbow_utils.KeyPathMatcher(keys_to_highlight, get_match_suffix_length());
+    let column_slots = table.column_paths.map(path => {
+        let slot = key_matcher.find_slot(path.slice().reverse());
+        return slot === -1 ? -1 : slot % semantic_tokens.rainbow_token_types.length;
+    });
+    panel.webview.html = format_table_html(document.fileName, table, column_slots, crypto.randomBytes(16).toString('hex'));
+}
+
+/**
+ * Shows the records of the document as a table in a webview next to it, clicking a cell jumps to the value in the document.
+ * @param {vscode.TextDocument} document
+ */
+async function show_table_view(document) {
+    let title = `Table: ${document.fileName.split(/[\\/]/).pop()}`;
+    let panel = vscode.window.createWebviewPanel('rainbow-json.table', title, vscode.ViewColumn.Beside, { enableScripts: true, retainContextWhenHidden: true });
+    let refresh_timer = null;
+    let refresh = () => render_table_view(document, panel).catch(e => console.error('Unable to render the table view:', e));
+    let change_document_disposable = vscode.workspace.onDidChangeTextDocument((event) => {
+        if (event.document === document && event.contentChanges.length) {
+            clearTimeout(refresh_timer);
+            refresh_timer = setTimeout(refresh, table_refresh_delay_ms);
+        }
+    });
+    let message_disposable = panel.webview.onDidReceiveMessage(async (message) => {
+        if (message.command !== 'reveal' || document.isClosed) {
+            return;
+        }
+        let editor = vscode.window.visibleTextEditors.find(visible_editor => visible_editor.document === document);
+        editor = await vscode.window.showTextDocument(document, { viewColumn: editor ? editor.viewColumn : vscode.ViewColumn.One });
+        let position = new vscode.Position(message.line, message.character);
+        editor.selection = new vscode.Selection(position, position);
+        editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+    });
+    panel.onDidDispose(() => {
+        clearTimeout(refresh_timer);
+        change_document_disposable.dispose();
+        message_disposable.dispose();
+    });
+    await render_table_view(document, panel);
+}
+
+/**
+ * Saves the records of the document as a CSV or TSV file with one column per key path and opens it.
+ * @param {vscode.TextDocument} document
+ * @param {string} delimiter
+ * @param {string} file_extension - Without the dot.
+ */
+async function export_delimited_file(document, delimiter, file_extension) {
+    let explode_arrays = vscode.workspace.getConfiguration('rainbow-json').get('export_arrays', 'serialize') === 'explode';
+    let result = await request_parse_worker(document, 'delimited_export', { delimiter, explode_arrays });
+    if (result.text === null) {
+        vscode.window.showErrorMessage(`Unable to export: ${result.error}`);
+        return;
+    }
+    let default_uri = document.isUntitled ? undefined : document.uri.with({ path: document.uri.path.replace(/(\.[^./]*)?$/, '.' + file_extension) });
+    let filters = file_extension === 'csv' ? { 'CSV': ['csv'] } : { 'TSV': ['tsv', 'tab'] };
+    let target_uri = await vscode.window.showSaveDialog({ defaultUri: default_uri, filters });
+    if (!target_uri) {
+        return;
+    }
+    await vscode.workspace.fs.writeFile(target_uri, Buffer.from(result.text, 'utf8'));
+    console.log(`Exported ${result.record_count} records to ${target_uri.toString()}`);
+    if (result.has_errors) {
+        vscode.window.showWarningMessage('The document has syntax errors, records around them were not exported');
+    }
+    await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(target_uri));
+}
+
+/**
+ * @returns {string|null} - See rainbow_utils.format_json_node().
+ */
+function get_json_array_indent() {
+    let indent = vscode.workspace.getConfiguration('rainbow-json').get('json_array_indent', 4);
+    return indent > 0 ? ' '.repeat(indent) : null;
+}
+
+/**
+ * Opens the records of the document converted to JSONL or to a pretty-printed JSON array of standard JSON in a new document, with the same keys highlighted.
+ * @param {vscode.TextDocument} document
+ * @param {string} target - 'jsonl' or 'json_array'.
+ */
+async function convert_json_format(document, target) {
+    let result = await request_parse_worker(document, 'format_conversion', { target, indent: get_json_array_indent() });
+    if (result.text === null) {
+        vscode.window.showErrorMessage(`Unable to convert: ${result.error}`);
+        return;
+    }
+    let converted_document = await vscode.workspace.openTextDocument({ language: target === 'jsonl' ? 'jsonl' : 'json', content: result.text });
+    // Records have the same key paths in both formats.
+    per_doc_key_selections.set(converted_document.fileName, rainbow_utils.KeyHighlightSelection.deserialize(get_key_selection(document).serialize()));
+    console.log(`Converted ${result.record_count} records to ${target}`);
+    if (result.has_errors) {
+        vscode.window.showWarningMessage('The document has syntax errors, records around them were not converted');
+    }
+    await vscode.window.showTextDocument(converted_document, { preview: false });
+}
+
+/**
+ * Lets the "Write Back Expanded Record" menu item show only in expanded record documents.
+ */
+function update_expanded_records_context() {
+    vscode.commands.executeCommand('setContext', 'rainbow-json.expandedRecordDocuments', Array.from(expanded_records.keys()));
+}
+
+/**
+ * Opens the record under the cursor pretty-printed in a new document beside the editor, see write_back_expanded_record().
+ * @param {vscode.TextEditor} editor
+ */
+async function expand_record(editor) {
+    let source_document = editor.document;
+    let position = editor.selection.active;
+    let indent = editor.options.insertSpaces === false ? '\t' : ' '.repeat(Number(editor.options.tabSize) || 4);
+    let record = await request_parse_worker(source_document, 'record_at_position', { line: position.line, character: position.character, indent });
+    if (record === null) {
+        vscode.window.showErrorMessage('No record at the cursor');
+        return;
+    }
+    let original_text = source_document.getText(new vscode.Range(record.line, record.character, record.end_line, record.end_character));
+    // Keep the JSONC or JSON5 dialect of the record, a pretty-printed JSONL record is not valid JSONL though.
+    let language_id = source_document.languageId === 'jsonl' ? 'json' : source_document.languageId;
+    let expanded_document = await vscode.workspace.openTextDocument({ language: language_id, content: record.text + '\n' });
+    let expanded = { source_uri: source_document.uri, position: { line: record.line, character: record.character }, original_text };
+    expanded_records.set(expanded_document.fileName, expanded);
+    update_expanded_records_context();
+    per_doc_key_selections.set(expanded_document.fileName, rainbow_utils.KeyHighlightSelection.deserialize(get_key_selection(source_document).serialize()));
+    // Follow the record start when text before it is edited, changes of the record itself are detected on write back.
+    let change_document_disposable = vscode.workspace.onDidChangeTextDocument((event) => {
+        if (event.document !== source_document) {
+            return;
+        }
+        for (let change of event.contentChanges) {
+            if (expanded.position !== null) {
+                expanded.position = rainbow_utils.shift_position_after_change(expanded.position, change.range, change.text);
+            }
+        }
+    });
+    let close_document_disposable = vscode.workspace.onDidCloseTextDocument((document) => {
+        if (document === expanded_document) {
+            expanded_records.delete(expanded_document.fileName);
+            update_expanded_records_context();
+            change_document_disposable.dispose();
+            close_document_disposable.dispose();
+        }
+    });
+    await vscode.window.showTextDocument(expanded_document, { viewColumn: vscode.ViewColumn.Beside, preview: false });
+}
+
+/**
+ * Replaces the source record of the expanded record document with the edited record on a single line, other records are left as they are.
+ * Refuses if the source record was changed since it was expanded, so that these changes are not overwritten.
+ * @param {vscode.TextDocument} expanded_document
+ */
+async function write_back_expanded_record(expanded_document) {
+    let expanded = expanded_records.get(expanded_document.fileName);
+    if (!expanded) {
+        vscode.window.showErrorMessage('Not an expanded record, use "Expand Record" first');
+        return;
+    }
+    let minified = await request_parse_worker(expanded_document, 'minified_record', {});
+    if (minified.text === null) {
+        vscode.window.showErrorMessage('Unable to write back: the document must contain a single JSON object or array without syntax errors');
+        return;
+    }
+    let source_document = await vscode.workspace.openTextDocument(expanded.source_uri);
+    let record = null;
+    if (expanded.position !== null) {
+        record = await request_parse_worker(source_document, 'record_at_position', { line: expanded.position.line, character: expanded.position.character, indent: null });
+    }
+    if (record === null || record.line !== expanded.position.line || record.character !== expanded.position.character) {
+        vscode.window.showErrorMessage(`Unable to write back: the record was moved or removed from ${source_document.fileName}`);
+        return;
+    }
+    let record_range = new vscode.Range(record.line, record.character, record.end_line, record.end_character);
+    if (source_document.getText(record_range) !== expanded.original_text) {
+        vscode.window.showErrorMessage(`Unable to write back: the record was changed in ${source_document.fileName} after it was expanded`);
+        return;
+    }
+    let edit = new vscode.WorkspaceEdit();
+    edit.replace(source_document.uri, record_range, minified.text);
+    if (!await vscode.workspace.applyEdit(edit)) {
+        vscode.window.showErrorMessage(`Unable to write back the record to ${source_document.fileName}`);
+        return;
+    }
+    expanded.original_text = minified.text;
+    console.log(`Wrote back the record at line ${record.line + 1} of ${source_document.fileName}`);
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {string}
+ */
+function get_document_delimiter(document) {
+    if (Object.prototype.hasOwnProperty.call(delimiters_by_language_id, document.languageId)) {
+        return delimiters_by_language_id[document.languageId];
+    }
+    if (/\.(tsv|tab)$/i.test(document.fileName)) {
+        return '\t';
+    }
+    if (/\.csv$/i.test(document.fileName)) {
+        return ',';
+    }
+    let header = document.lineCount ? document.lineAt(0).text : '';
+    return header.split('\t').length > header.split(',').length ? '\t' : ',';
+}
+
+/**
+ * Converts the CSV or TSV document into a new JSONL or JSON array document with the columns highlighted.
+ * @param {vscode.TextDocument} document
+ */
+async function import_delimited_document(document) {
+    let format_items = [
+        { label: 'JSON Lines', description: 'One record per line', language_id: 'jsonl' },
+        { label: 'JSON Array', description: 'Top-level array of records', language_id: 'json' },
+    ];
+    let format_item = await vscode.window.showQuickPick(format_items, { placeHolder: 'Convert to' });
+    if (!format_item) {
+        return;
+    }
+    let nest_keys = vscode.workspace.getConfiguration('rainbow-json').get('import_nested_keys', true);
+    let result = rainbow_utils.convert_delimited_text_to_records(document.getText(), get_document_delimiter(document), nest_keys);
+    let content;
+    if (format_item.language_id === 'jsonl') {
+        content = result.records.map(record => record + '\n').join('');
+    } else {
+        content = rainbow_utils.format_json_array_text(result.records, get_json_array_indent());
+    }
+    let json_document = await vscode.workspace.openTextDocument({ language: format_item.language_id, content });
+    // Highlight the columns right away, auto-highlighting would only pick the most frequent keys.
+    let selection = get_key_selection(json_document);
+    let match_suffix_length = get_match_suffix_length();
+    for (let key_path of result.key_paths.slice(0, max_num_keys_to_highlight)) {
+        let reversed_path = rainbow_utils.get_matched_reversed_path(key_path.map(key => JSON.stringify(key)).reverse(), match_suffix_length);
+        if (!selection.manually_added.has(rainbow_utils.get_path_signature(reversed_path))) {
+            selection.toggle(reversed_path, max_num_keys_to_highlight);
+        }
+    }
+    await vscode.window.showTextDocument(json_document, { preview: false });
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ * @param {vscode.CancellationToken|null} [cancellation_token=null]
+ * @returns {Promise<number[]>} - See semantic_tokens.compute_semantic_tokens().
+ */
+async function compute_document_semantic_tokens(document, range, cancellation_token=null) {
+    let keys_to_highlight = await get_keys_to_highlight(document);
+    let value_color_key = get_value_color_key(document);
+
+    // Early return if no non-null keys to highlight
+    if ((!keys_to_highlight.length || keys_to_highlight.every(k => k === null)) && value_color_key === null) {
+        console.log('No keys to highlight found.');
+        return [];
+    }
+
+    let parsing_range = extend_range_by_margin(vscode, document, range, 100);
+    let config = vscode.workspace.getConfiguration('rainbow-json');
+    let time_budget_ms = config.get('semantic_tokens_time_budget_ms', 500);
+    // Same limit as for the auto-highlighting: larger documents are only parsed around the visible range.
+    let full_scan_max_lines = config.get('autohighlight_full_scan_max_lines', 100000);
+    let params = { keys_to_highlight, match_suffix_length: get_match_suffix_length(), value_color_key, begin_line: parsing_range.start.line, end_line: parsing_range.end.line, time_budget_ms, full_scan_max_lines };
+    return await request_parse_worker(document, 'semantic_tokens', params, cancellation_token);
+}
+
+class RainbowTokenProvider {
+    // We don't utilize typescript `implement` interface keyword, because TS doesn't seem to be exporting interfaces to JS (unlike classes).
+    constructor() {
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Range} range
+     * @param {vscode.CancellationToken} token
+     */
+    async provideDocumentRangeSemanticTokens(document, range, token) {
+        // TODO re-evaluate error-handling strategy to make sure it is sensible.
+        if (!supported_language_ids.includes(document.languageId)) {
+            return null;
+        }
+        try {
+            const builder = new vscode.SemanticTokensBuilder(tokens_legend);
+            let token_data = await compute_document_semantic_tokens(document, range, token);
+            for (let i = 0; i < token_data.length; i += 4) {
+                builder.push(token_data[i], token_data[i + 1], token_data[i + 2], token_data[i + 3]);
+            }
+            return builder.build();
+        } catch (e) {
+            if (e instanceof parse_worker_client.RequestCancelledError) {
+                return null;
+            }
+            throw e;
+        }
+    }
+}
+
+
+class RainbowHoverProvider {
+    // Explains the key under the cursor: its full path, statistics and why it has its color.
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Position} position
+     * @param {vscode.CancellationToken} token
+     */
+    async provideHover(document, position, token) {
+        try {
+            // Same limit as for the semantic tokens: larger documents are only parsed around the position and the key statistics are left out.
+            let full_scan_max_lines = vscode.workspace.getConfiguration('rainbow-json').get('autohighlight_full_scan_max_lines', 100000);
+            let key_info = await request_parse_worker(document, 'key_info_at_position', { line: position.line, character: position.character, full_scan_max_lines }, token);
+            if (!key_info) {
+                return null;
+            }
+            let keys_to_highlight = await get_keys_to_highlight(document);
+            let match_suffix_length = get_match_suffix_length();
+            let reversed_path = key_info.key_path.slice().reverse();
+            let key_matcher = new rainbow_utils.KeyPathMatcher(keys_to_highlight, match_suffix_length, get_value_color_key(document));
+            let slot = key_matcher.find_slot(reversed_path);
+            let highlight_status = 'not highlighted';
+            if (slot !== -1) {
+                let token_type = semantic_tokens.rainbow_token_types[slot % semantic_tokens.rainbow_token_types.length];
+                highlight_status = `color slot ${slot + 1} (\`${token_type}\`)`;
+                let matched_path = rainbow_utils.get_matched_reversed_path(reversed_path, match_suffix_length);
+                if (keys_to_highlight[slot] !== rainbow_utils.get_normalized_path_signature(matched_path)) {
+                    let slot_path = rainbow_utils.get_matched_reversed_path(get_key_selection(document).reversed_keys[slot], match_suffix_length).slice().reverse();
+                    highlight_status += ` via \`${rainbow_utils.format_key_path(slot_path)}\``;
+                }
+            }
+            if (key_matcher.is_value_color_path(reversed_path)) {
+                highlight_status += ', scalar values are colored by value';
+            }
+            let toggle_args = encodeURIComponent(JSON.stringify([document.uri.toString(), key_info.key_path]));
+            let markdown = new vscode.MarkdownString();
+            markdown.isTrusted = { enabledCommands: ['rainbow-json.ToggleKeyHighlight'] };
+            markdown.appendMarkdown(`**Key path**: \`${key_info.display_path}\`\n\n`);
+            if (key_info.count !== null) {
+                markdown.appendMarkdown(`**Occurrences**: ${key_info.count}\n\n`);
+                markdown.appendMarkdown(`**Value types**: ${rainbow_utils.format_value_type_counts(key_info.type_counts)}\n\n`);
+            }
+            markdown.appendMarkdown(`**Highlighting**: ${highlight_status}\n\n`);
+            markdown.appendMarkdown(`[Toggle highlight](command:rainbow-json.ToggleKeyHighlight?${toggle_args})`);
+            return new vscode.Hover(markdown);
+        } catch (e) {
+            if (e instanceof parse_worker_client.RequestCancelledError) {
+                return null;
+            }
+            throw e;
+        }
+    }
+}
+
+
+class SchemaTreeProvider {
+    // Merged tree of key paths of the document in the active editor.
+    constructor() {
+        this.change_emitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.change_emitter.event;
+        /** @type {vscode.TreeView|null} */
+        this.tree_view = null;
+        /** @type {vscode.TextDocument|null} */
+        this.document = null;
+    }
+
+    refresh() {
+        this.change_emitter.fire(undefined);
+    }
+
+    /**
+     * @param {Object} element - Schema node, see rainbow_utils.build_schema_tree().
+     * @returns {vscode.TreeItem}
+     */
+    getTreeItem(element) {
+        let collapsible_state = element.children.length ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None;
+        let item = new vscode.TreeItem(rainbow_utils.format_key_path([element.key]), collapsible_state);
+        item.id = rainbow_utils.get_path_signature(element.path);
+        item.description = String(element.count);
+        item.contextValue = 'rainbow-json.schemaNode';
+        let selection = per_doc_key_selections.get(this.document.fileName);
+        let match_suffix_length = get_match_suffix_length();
+        let keys_to_highlight = selection ? get_key_signatures(selection.reversed_keys, match_suffix_length) : [];
+        let slot = new rainbow_utils.KeyPathMatcher(keys_to_highlight, match_suffix_length).find_slot(element.path.slice().reverse());
+        let tooltip = `${rainbow_utils.format_key_path(element.path)}\n${element.count} occurrence${element.count === 1 ? '' : 's'}`;
+        if (slot === -1) {
+            item.iconPath = new vscode.ThemeIcon('circle-outline');
+        } else {
+            item.iconPath = get_slot_swatch_icon_path(slot % semantic_tokens.rainbow_token_types.length, get_palette());
+            tooltip += `\nColor slot ${slot + 1}`;
+        }
+        item.tooltip = tooltip;
+        item.command = { command: 'rainbow-json.ToggleKeyHighlight', title: 'Toggle Key Highlight', arguments: [this.document.uri.toString(), element.path] };
+        return item;
+    }
+
+    /**
+     * @param {Object|undefined} element
+     * @returns {Promise<Object[]>}
+     */
+    async getChildren(element) {
+        if (element) {
+            return element.children;
+        }
+        let editor = vscode.window.activeTextEditor;
+        if (!editor || !supported_language_ids.includes(editor.document.languageId)) {
+            // Keep showing the last document while e.g. an output panel is focused.
+            if (!this.document || this.document.isClosed) {
+                this.document = null;
+                return [];
+            }
+        } else {
+            this.document = editor.document;
+        }
+        // Make sure that auto-selected keys are known to show the swatches.
+        await get_keys_to_highlight(this.document);
+        let schema_tree = await request_parse_worker(this.document, 'schema_tree', {});
+        if (this.tree_view) {
+            this.tree_view.message = schema_tree.has_errors ? 'The document has syntax errors, records around them are not included' : undefined;
+        }
+        return schema_tree.nodes;
+    }
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ */
+function schedule_schema_tree_refresh(document) {
+    if (!schema_tree_provider || schema_tree_provider.document !== document) {
+        return;
+    }
+    clearTimeout(schema_tree_refresh_timer);
+    schema_tree_refresh_timer = setTimeout(() => {
+        schema_tree_refresh_timer = null;
+        schema_tree_provider.refresh();
+    }, schema_tree_refresh_delay_ms);
+}
+
+/**
+ * Selects the next (or previous) occurrence of the key path after the cursor and scrolls to it.
+ * @param {vscode.TextEditor} editor
+ * @param {string[]} key_path
+ * @param {boolean} backward
+ */
+async function reveal_adjacent_key_occurrence(editor, key_path, backward) {
+    // The previously revealed occurrence is selected, search from the side of the selection facing the search direction.
+    let cursor = backward ? editor.selection.start : editor.selection.end;
+    let params = { key_path, line: cursor.line, character: cursor.character, backward };
+    let occurrence = await request_parse_worker(editor.document, 'adjacent_key_occurrence', params);
+    if (!occurrence) {
+        vscode.window.showInformationMessage(`No occurrences of "${rainbow_utils.format_key_path(key_path)}" found`);
+        return;
+    }
+    let range = new vscode.Range(occurrence.line, occurrence.character, occurrence.line, occurrence.character + occurrence.length);
+    editor.selection = new vscode.Selection(range.start, range.end);
+    editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
+/**
+ * Places a cursor selection on the value of every occurrence of the key path.
+ * @param {vscode.TextEditor} editor
+ * @param {string[]} key_path
+ */
+async function select_all_key_occurrences(editor, key_path) {
+    let value_ranges = await request_parse_worker(editor.document, 'key_value_ranges', { key_path });
+    if (!value_ranges.length) {
+        vscode.window.showInformationMessage(`No occurrences of "${rainbow_utils.format_key_path(key_path)}" found`);
+        return;
+    }
+    if (value_ranges.length > max_selected_occurrences) {
+        vscode.window.showWarningMessage(`Only the first ${max_selected_occurrences} of ${value_ranges.length} occurrences are selected`);
+        value_ranges = value_ranges.slice(0, max_selected_occurrences);
+    }
+    editor.selections = value_ranges.map(range => new vscode.Selection(range.line, range.character, range.end_line, range.end_character));
+    editor.revealRange(editor.selections[0], vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
+/**
+ * Asks for a key path pattern and toggles its highlighting in the document.
+ * @param {vscode.TextDocument} document
+ */
+async function toggle_highlight_pattern(document) {
+    let pattern_text = await vscode.window.showInputBox({
+        prompt: 'Key path pattern to highlight, e.g. "users.*.email", "**.id" or "data[*].meta.*". Entering a highlighted pattern removes it',
+        placeHolder: '**.id',
+        validateInput: (text) => {
+            try {
+                rainbow_utils.parse_key_path_pattern(text);
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        },
+    });
+    if (pattern_text) {
+        await toggle_key_highlight(document, rainbow_utils.make_pattern_key(pattern_text));
+    }
+}
+
+/**
+ * @returns {Promise<{editor: vscode.TextEditor, key_path: string[]}|null>} - null if there is no JSON key at the cursor, the error is already shown.
+ */
+async function get_active_editor_key_path() {
+    let editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showErrorMessage('No active editor');
+        return null;
+    }
+    if (!supported_language_ids.includes(editor.document.languageId)) {
+        vscode.window.showErrorMessage('Not a JSON file');
+        return null;
+    }
+    let key_path = await get_key_path_at_cursor(editor.document, editor.selection.active);
+    if (!key_path || key_path.length === 0) {
+        vscode.window.showErrorMessage('No JSON key found at cursor position');
+        return null;
+    }
+    return { editor, key_path };
+}
+
+
+function enable_dynamic_semantic_tokenization() {
+    // Some themes can disable semantic highlighting e.g. "Tokyo Night" https://marketplace.visualstudio.com/items?itemName=enkia.tokyo-night, so we explicitly override the default setting in "configurationDefaults" section of package.json.
+    // Conflict with some other extensions might also cause semantic highlighting to completely fail (although this could be caused by the theme issue described above), see https://github.com/mechatroner/vscode_rainbow_csv/issues/149.
+    console.log('Enabling dynamic semantic tokenization');
+    let token_provider = new RainbowTokenProvider();
+    if (rainbow_token_event !== null) {
+        rainbow_token_event.dispose();
+    }
+    let document_selector = supported_language_ids.map(language_id => ({ language: language_id }));
+    rainbow_token_event = vscode.languages.registerDocumentRangeSemanticTokensProvider(document_selector, token_provider, tokens_legend);
+    console.log('Dynamic semantic tokenization enabled');
+    schedule_decorations_update();
+}
+
+function refresh_semantic_tokens() {
+    // Re-registering the provider is what forces VS Code to request the tokens again. Don't re-enable highlighting if it was disabled.
+    if (rainbow_token_event !== null) {
+        enable_dynamic_semantic_tokenization();
+    }
+}
+
+function disable_dynamic_semantic_tokenization() {
+    console.log('Disabling dynamic semantic tokenization');
+    if (rainbow_token_event !== null) {
+        rainbow_token_event.dispose();
+        rainbow_token_event = null;
+    }
+    schedule_decorations_update();
+}
+
+
+/**
+ * Find key path at cursor position in the document
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {Promise<string[]|null>}
+ */
+async function get_key_path_at_cursor(document, position) {
+    return await request_parse_worker(document, 'key_path_at_position', { line: position.line, character: position.character });
+}
+
+/**
+ * Toggle a key path in the highlight list for a document
+ * @param {vscode.TextDocument} document
+ * @param {string[]} key_path - Path in root->leaf order
+ */
+async function toggle_key_highlight(document, key_path) {
+    if (!document.fileName) {
+        vscode.window.showErrorMessage('Cannot toggle highlight: document has no file name');
+        return;
+    }
+
+    // In leaf key and path suffix modes the whole group of paths with the same ending is toggled.
+    let reversed_path = rainbow_utils.get_matched_reversed_path(key_path.slice().reverse(), get_match_suffix_length());
+
+    // Make sure that auto-selected keys are in place, so that the toggled key doesn't take their slot later.
+    await get_keys_to_highlight(document);
+    let added = get_key_selection(document).toggle(reversed_path, max_num_keys_to_highlight);
+    if (added === null) {
+        vscode.window.showErrorMessage(`Too many keys selected (max ${max_num_keys_to_highlight}). Remove some keys first.`);
+        return;
+    }
+    if (added) {
+        console.log(`Added highlight for key: ${rainbow_utils.get_path_signature(key_path)}`);
+    } else {
+        console.log(`Removed highlight for key: ${rainbow_utils.get_path_signature(key_path)}`);
+    }
+    save_key_selection(document);
+
+    // Trigger re-tokenization by refreshing semantic tokens
+    // This is done by re-registering the provider which forces a refresh
+    enable_dynamic_semantic_tokenization();
+    update_key_selection_views();
+}
+
+/**
+ * Colors scalar values of the key path by value instead of by key, or turns it off if the key path is already colored by value.
+ * Only one key path per document is colored by value.
+ * @param {vscode.TextDocument} document
+ * @param {string[]} key_path - Path in root->leaf order
+ */
+async function toggle_value_colors(document, key_path) {
+    if (!document.fileName) {
+        vscode.window.showErrorMessage('Cannot color by value: document has no file name');
+        return;
+    }
+    let reversed_path = rainbow_utils.get_matched_reversed_path(key_path.slice().reverse(), get_match_suffix_length());
+    if (get_key_selection(document).toggle_value_color_path(reversed_path)) {
+        console.log(`Coloring values of key: ${rainbow_utils.get_path_signature(key_path)}`);
+    } else {
+        console.log(`Stopped coloring values of key: ${rainbow_utils.get_path_signature(key_path)}`);
+    }
+    save_key_selection(document);
+    enable_dynamic_semantic_tokenization();
+    update_key_selection_views();
+}
+
+/**
+ * Tints the visible records of the editor with background colors of the values of the value color key, if enabled in the settings.
+ * @param {vscode.TextEditor} editor
+ */
+async function update_record_tints(editor) {
+    let document = editor.document;
+    let tint_records = vscode.workspace.getConfiguration('rainbow-json').get('tint_records_by_value', false);
+    let value_color_key = null;
+    if (tint_records && rainbow_token_event !== null && document.fileName && supported_language_ids.includes(document.languageId)) {
+        value_color_key = get_value_color_key(document);
+    }
+    let ranges_by_color = record_tint_decoration_types.map(() => []);
+    if (value_color_key !== null && editor.visibleRanges.length) {
+        let visible_range = new vscode.Range(editor.visibleRanges[0].start, editor.visibleRanges[editor.visibleRanges.length - 1].end);
+        let parsing_range = extend_range_by_margin(vscode, document, visible_range, 100);
+        let params = { value_color_key, match_suffix_length: get_match_suffix_length(), begin_line: parsing_range.start.line, end_line: parsing_range.end.line };
+        let record_colors = await request_parse_worker(document, 'record_value_colors', params);
+        for (let record_color of record_colors) {
+            ranges_by_color[record_color.color_index % ranges_by_color.length].push(new vscode.Range(record_color.line, 0, record_color.end_line, 0));
+        }
+    }
+    record_tint_decoration_types.forEach((decoration_type, idx) => editor.setDecorations(decoration_type, ranges_by_color[idx]));
+}
+
+/**
+ * Semantic tokens can only be colored by the theme, so explicit palette colors are drawn over the visible tokens with decorations.
+ * @param {vscode.TextEditor} editor
+ */
+async function update_palette_decorations(editor) {
+    let document = editor.document;
+    if (!palette_decoration_types.some(decoration_type => decoration_type !== null)) {
+        return;
+    }
+    let ranges_by_slot = palette_decoration_types.map(() => []);
+    if (rainbow_token_event !== null && document.fileName && supported_language_ids.includes(document.languageId) && editor.visibleRanges.length) {
+        let visible_range = new vscode.Range(editor.visibleRanges[0].start, editor.visibleRanges[editor.visibleRanges.length - 1].end);
+        let token_data = await compute_document_semantic_tokens(document, visible_range);
+        for (let i = 0; i < token_data.length; i += 4) {
+            // Rainbow token types come first in the legend, so their indexes are the color slots.
+            let slot = token_data[i + 3];
+            if (slot < ranges_by_slot.length && palette_decoration_types[slot] !== null) {
+                ranges_by_slot[slot].push(new vscode.Range(token_data[i], token_data[i + 1], token_data[i], token_data[i + 1] + token_data[i + 2]));
+            }
+        }
+    }
+    palette_decoration_types.forEach((decoration_type, idx) => {
+        if (decoration_type !== null) {
+            editor.setDecorations(decoration_type, ranges_by_slot[idx]);
+        }
+    });
+}
+
+/**
+ * @param {string} color - Hex color, see the palette settings.
+ * @param {string} alpha - Two hex digits.
+ * @returns {string}
+ */
+function get_translucent_color(color, alpha) {
+    let rgb = color.slice(1);
+    if (rgb.length === 3) {
+        rgb = rgb.split('').map(digit => digit + digit).join('');
+    }
+    return '#' + rgb.slice(0, 6) + alpha;
+}
+
+/**
+ * @param {{color: string|null, light_color: string|null, font_style: string|null}} slot - See semantic_tokens.resolve_palette().
+ * @returns {vscode.DecorationRenderOptions}
+ */
+function get_palette_slot_render_options(slot) {
+    let options = {};
+    if (slot.color !== null) {
+        options.dark = { color: slot.color };
+        options.light = { color: slot.light_color };
+    }
+    if (slot.font_style !== null) {
+        let keywords = semantic_tokens.parse_font_style(slot.font_style);
+        options.fontWeight = keywords.includes('bold') ? 'bold' : 'normal';
+        options.fontStyle = keywords.includes('italic') ? 'italic' : 'normal';
+        let text_decorations = keywords.filter(keyword => keyword === 'underline' || keyword === 'strikethrough').map(keyword => keyword === 'strikethrough' ? 'line-through' : keyword);
+        options.textDecoration = text_decorations.length ? text_decorations.join(' ') : 'none';
+    }
+    return options;
+}
+
+/**
+ * @returns {{color: string|null, light_color: string|null, font_style: string|null}[]|null} - See semantic_tokens.resolve_palette().
+ */
+function get_palette() {
+    let config = vscode.workspace.getConfiguration('rainbow-json');
+    return semantic_tokens.resolve_palette(config.get('palette', semantic_tokens.THEME_PALETTE), config.get('palette_overrides', []));
+}
+
+/**
+ * (Re)creates the decoration types of the color slots from the palette settings.
+ */
+function update_color_slot_decoration_types() {
+    for (let decoration_type of record_tint_decoration_types.concat(palette_decoration_types)) {
+        if (decoration_type !== null) {
+            decoration_type.dispose();
+        }
+    }
+    let palette = get_palette();
+    palette_decoration_types = semantic_tokens.rainbow_token_types.map((_token_type, idx) => {
+        return palette === null ? null : vscode.window.createTextEditorDecorationType(get_palette_slot_render_options(palette[idx]));
+    });
+    record_tint_decoration_types = semantic_tokens.rainbow_token_types.map((_token_type, idx) => {
+        let slot = palette === null ? null : palette[idx];
+        if (slot !== null && slot.color !== null) {
+            return vscode.window.createTextEditorDecorationType({
+                dark: { backgroundColor: get_translucent_color(slot.color, '26') },
+                light: { backgroundColor: get_translucent_color(slot.light_color, '1a') },
+                isWholeLine: true,
+            });
+        }
+        return vscode.window.createTextEditorDecorationType({
+            backgroundColor: new vscode.ThemeColor(`rainbowJson.recordTint${idx + 1}`),
+            isWholeLine: true,
+        });
+    });
+}
+
+function schedule_decorations_update() {
+    clearTimeout(decorations_update_timer);
+    decorations_update_timer = setTimeout(() => {
+        decorations_update_timer = null;
+        for (let editor of vscode.window.visibleTextEditors) {
+            update_record_tints(editor).catch(e => console.error('Unable to update record tints:', e));
+            update_palette_decorations(editor).catch(e => console.error('Unable to update palette decorations:', e));
+        }
+    }, decorations_update_delay_ms);
+}
+
+function update_key_selection_views() {
+    update_key_status_bar_item();
+    if (schema_tree_provider) {
+        schema_tree_provider.refresh();
+    }
+    schedule_decorations_update();
+}
+
+function update_key_status_bar_item() {
+    let editor = vscode.window.activeTextEditor;
+    if (!key_status_bar_item || !editor || !supported_language_ids.includes(editor.document.languageId)) {
+        if (key_status_bar_item) {
+            key_status_bar_item.hide();
+        }
+        return;
+    }
+    let selection = per_doc_key_selections.get(editor.document.fileName);
+    let num_keys = selection ? selection.reversed_keys.filter(path => path !== null).length : 0;
+    key_status_bar_item.text = `$(symbol-color) ${num_keys}`;
+    key_status_bar_item.tooltip = `Rainbow JSON: ${num_keys} highlighted key${num_keys === 1 ? '' : 's'}`;
+    if (selection && selection.value_color_path !== null) {
+        key_status_bar_item.tooltip += `, values of "${rainbow_utils.format_key_path(selection.value_color_path.slice().reverse())}" are colored by value`;
+    }
+    key_status_bar_item.tooltip += ', click to manage';
+    key_status_bar_item.show();
+}
+
+/**
+ * Quick Pick with all key paths of the document, picking a key toggles it, item buttons move highlighted keys between color slots.
+ * @param {vscode.TextDocument} document
+ */
+async function manage_highlighted_keys(document) {
+    await get_keys_to_highlight(document);
+    let frequency_stats = await calculate_key_frequency_stats(document);
+    let counts = new Map((frequency_stats || []).map(stat => [rainbow_utils.get_normalized_path_signature(stat.path), stat.count]));
+    let move_up_button = { iconPath: new vscode.ThemeIcon('arrow-up'), tooltip: 'Move to the previous color slot' };
+    let move_down_button = { iconPath: new vscode.ThemeIcon('arrow-down'), tooltip: 'Move to the next color slot' };
+    let format_count = (path) => {
+        let count = counts.get(rainbow_utils.get_normalized_path_signature(path));
+        return count === undefined ? '' : `${count} occurrence${count === 1 ? '' : 's'}`;
+    };
+
+    let quick_pick = vscode.window.createQuickPick();
+    quick_pick.placeholder = frequency_stats === null ? 'The document has syntax errors, only highlighted keys are listed' : 'Pick a key to toggle its highlighting';
+    quick_pick.matchOnDescription = true;
+    let build_items = () => {
+        let selection = get_key_selection(document);
+        let items = [{ label: '$(clear-all) Clear all highlighted keys', action: 'clear_all', alwaysShow: true }];
+        items.push({ label: 'Highlighted keys', kind: vscode.QuickPickItemKind.Separator });
+        let highlighted_signatures = new Set();
+        selection.reversed_keys.forEach((reversed_path, slot) => {
+            if (reversed_path === null) {
+                return;
+            }
+            let path = reversed_path.slice().reverse();
+            highlighted_signatures.add(rainbow_utils.get_normalized_path_signature(path));
+            let buttons = [];
+            if (slot > 0) {
+                buttons.push(move_up_button);
+            }
+            if (slot + 1 < max_num_keys_to_highlight) {
+                buttons.push(move_down_button);
+            }
+            let description = [`color slot ${slot + 1}`, format_count(path)].filter(text => text).join(', ');
+            items.push({ label: `$(check) ${rainbow_utils.format_key_path(path)}`, description, path, slot, buttons });
+        });
+        items.push({ label: 'Other keys', kind: vscode.QuickPickItemKind.Separator });
+        for (let stat of frequency_stats || []) {
+            if (!highlighted_signatures.has(rainbow_utils.get_normalized_path_signature(stat.path))) {
+                items.push({ label: rainbow_utils.format_key_path(stat.path), description: format_count(stat.path), path: stat.path });
+            }
+        }
+        let active_index = quick_pick.activeItems.length ? quick_pick.items.indexOf(quick_pick.activeItems[0]) : -1;
+        quick_pick.items = items;
+        if (active_index !== -1 && active_index < items.length) {
+            quick_pick.activeItems = [items[active_index]];
+        }
+    };
+    let apply_selection_change = () => {
+        save_key_selection(document);
+        refresh_semantic_tokens();
+        update_key_selection_views();
+        build_items();
+    };
+    quick_pick.onDidAccept(async () => {
+        let item = quick_pick.activeItems[0];
+        if (!item) {
+            return;
+        }
+        if (item.action === 'clear_all') {
+            get_key_selection(document).clear_all();
+            apply_selection_change();
+        } else if (item.path) {
+            await toggle_key_highlight(document, item.path);
+            build_items();
+        }
+    });
+    quick_pick.onDidTriggerItemButton((event) => {
+        let slot = event.item.slot;
+        get_key_selection(document).swap_slots(slot, event.button === move_up_button ? slot - 1 : slot + 1);
+        apply_selection_change();
+    });
+    quick_pick.onDidHide(() => quick_pick.dispose());
+    build_items();
+    quick_pick.show();
+}
+
+
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+async function activate(context) {
+    console.log('Activating Rainbow JSON');
+    extension_context = context;
+    jsonl_diagnostics = vscode.languages.createDiagnosticCollection('rainbow-json');
+    context.subscriptions.push(jsonl_diagnostics);
+    schema_diagnostics = vscode.languages.createDiagnosticCollection('rainbow-json-schema');
+    context.subscriptions.push(schema_diagnostics);
+    value_type_diagnostics = vscode.languages.createDiagnosticCollection('rainbow-json-value-types');
+    context.subscriptions.push(value_type_diagnostics);
+
+    enable_dynamic_semantic_tokenization();
+    let enable_disposable = vscode.commands.registerCommand('rainbow-json.Enable', () => {
+        enable_dynamic_semantic_tokenization();
+    });
+    let disable_disposable = vscode.commands.registerCommand('rainbow-json.Disable', () => {
+        disable_dynamic_semantic_tokenization();
+    });
+    let toggle_key_disposable = vscode.commands.registerCommand('rainbow-json.ToggleKeyHighlight', async (uri_string, hover_key_path) => {
+        if (typeof uri_string === 'string' && Array.isArray(hover_key_path)) {
+            // Invoked from the hover link with the key path, context menu passes the document Uri instead.
+            let document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri_string);
+            if (document) {
+                await toggle_key_highlight(document, hover_key_path);
+            }
+            return;
+        }
+        let key_at_cursor = await get_active_editor_key_path();
+        if (key_at_cursor) {
+            await toggle_key_highlight(key_at_cursor.editor.document, key_at_cursor.key_path);
+        }
+    });
+    let value_colors_disposable = vscode.commands.registerCommand('rainbow-json.ToggleValueColors', async () => {
+        let key_at_cursor = await get_active_editor_key_path();
+        if (key_at_cursor) {
+            await toggle_value_colors(key_at_cursor.editor.document, key_at_cursor.key_path);
+        }
+    });
+    let next_occurrence_disposable = vscode.commands.registerCommand('rainbow-json.GoToNextKeyOccurrence', async () => {
+        let key_at_cursor = await get_active_editor_key_path();
+        if (key_at_cursor) {
+            await reveal_adjacent_key_occurrence(key_at_cursor.editor, key_at_cursor.key_path, /*backward=*/false);
+        }
+    });
+    let previous_occurrence_disposable = vscode.commands.registerCommand('rainbow-json.GoToPreviousKeyOccurrence', async () => {
+        let key_at_cursor = await get_active_editor_key_path();
+        if (key_at_cursor) {
+            await reveal_adjacent_key_occurrence(key_at_cursor.editor, key_at_cursor.key_path, /*backward=*/true);
+        }
+    });
+    let select_occurrences_disposable = vscode.commands.registerCommand('rainbow-json.SelectAllKeyOccurrences', async () => {
+        let key_at_cursor = await get_active_editor_key_path();
+        if (key_at_cursor) {
+            await select_all_key_occurrences(key_at_cursor.editor, key_at_cursor.key_path);
+        }
+    });
+    let schema_report_disposable = vscode.commands.registerCommand('rainbow-json.SchemaReport', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await show_schema_report(editor.document);
+    });
+    let value_type_report_disposable = vscode.commands.registerCommand('rainbow-json.ValueTypeReport', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await show_value_type_report(editor.document);
+    });
+    let table_view_disposable = vscode.commands.registerCommand('rainbow-json.ShowTable', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await show_table_view(editor.document);
+    });
+    let export_csv_disposable = vscode.commands.registerCommand('rainbow-json.ExportCsv', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await export_delimited_file(editor.document, ',', 'csv');
+    });
+    let export_tsv_disposable = vscode.commands.registerCommand('rainbow-json.ExportTsv', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await export_delimited_file(editor.document, '\t', 'tsv');
+    });
+    let array_to_jsonl_disposable = vscode.commands.registerCommand('rainbow-json.ConvertArrayToJsonl', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await convert_json_format(editor.document, 'jsonl');
+    });
+    let jsonl_to_array_disposable = vscode.commands.registerCommand('rainbow-json.ConvertJsonlToArray', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await convert_json_format(editor.document, 'json_array');
+    });
+    let expand_record_disposable = vscode.commands.registerCommand('rainbow-json.ExpandRecord', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await expand_record(editor);
+    });
+    let write_back_record_disposable = vscode.commands.registerCommand('rainbow-json.WriteBackRecord', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        await write_back_expanded_record(editor.document);
+    });
+    let import_delimited_disposable = vscode.commands.registerCommand('rainbow-json.ConvertCsvToJson', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        await import_delimited_document(editor.document);
+    });
+    let toggle_pattern_disposable = vscode.commands.registerCommand('rainbow-json.ToggleHighlightPattern', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await toggle_highlight_pattern(editor.document);
+    });
+    let manage_keys_disposable = vscode.commands.registerCommand('rainbow-json.ManageHighlightedKeys', async () => {
+        let editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showErrorMessage('No active editor');
+            return;
+        }
+        if (!supported_language_ids.includes(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Not a JSON file');
+            return;
+        }
+        await manage_highlighted_keys(editor.document);
+    });
+    key_status_bar_item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+    key_status_bar_item.command = 'rainbow-json.ManageHighlightedKeys';
+    let active_editor_disposable = vscode.window.onDidChangeActiveTextEditor(() => update_key_selection_views());
+    update_color_slot_decoration_types();
+    let visible_ranges_disposable = vscode.window.onDidChangeTextEditorVisibleRanges(() => schedule_decorations_update());
+    let visible_editors_disposable = vscode.window.onDidChangeVisibleTextEditors(() => schedule_decorations_update());
+    schema_tree_provider = new SchemaTreeProvider();
+    let schema_tree_view = vscode.window.createTreeView('rainbow-json.schemaTree', { treeDataProvider: schema_tree_provider });
+    schema_tree_provider.tree_view = schema_tree_view;
+    let reveal_next_disposable = vscode.commands.registerCommand('rainbow-json.RevealNextKeyOccurrence', async (element) => {
+        let document = schema_tree_provider.document;
+        if (!element || !document || document.isClosed) {
+            return;
+        }
+        let editor = vscode.window.visibleTextEditors.find(visible_editor => visible_editor.document === document);
+        if (!editor) {
+            editor = await vscode.window.showTextDocument(document);
+        }
+        await reveal_adjacent_key_occurrence(editor, element.path, /*backward=*/false);
+    });
+    let document_selector = supported_language_ids.map(language_id => ({ language: language_id }));
+    let hover_disposable = vscode.languages.registerHoverProvider(document_selector, new RainbowHoverProvider());
+
+    // TODO: enable this post-MVP. Or figure out if you can use decorations to hide the bracket colors.
+    // for (let language_id of ["json", "jsonl"]) {
+    //     let config = vscode.workspace.getConfiguration('editor', {languageId: language_id});
+    //     // Adjusting these settings as `configurationDefaults` in package.json doesn't work reliably, so we set it here dynamically.
+    //     // TODO consider adjusting on workspace level only instead.
+    //     let update_global_settings = true;
+    //     if (config.get('bracketPairColorization.enabled')) {
+    //         await config.update('bracketPairColorization.enabled', false, /*configurationTarget=*/update_global_settings, /*overrideInLanguage=*/true);
+    //     }
+    // }
+
+    let change_document_disposable = vscode.workspace.onDidChangeTextDocument((event) => {
+        handle_document_change(event);
+        if (event.contentChanges.length) {
+            schedule_auto_keys_recompute(event.document);
+            schedule_diagnostics_update(event.document);
+            schedule_schema_tree_refresh(event.document);
+            schedule_decorations_update();
+        }
+    });
+    let open_document_disposable = vscode.workspace.onDidOpenTextDocument((document) => {
+        update_diagnostics(document).catch(e => console.error('Unable to update diagnostics:', e));
+    });
+    let close_document_disposable = vscode.workspace.onDidCloseTextDocument((document) => {
+        parse_worker.close_document(document.fileName);
+        clearTimeout(per_doc_recompute_timers.get(document.fileName));
+        per_doc_recompute_timers.delete(document.fileName);
+        clearTimeout(per_doc_diagnostics_timers.get(document.fileName));
+        per_doc_diagnostics_timers.delete(document.fileName);
+        jsonl_diagnostics.delete(document.uri);
+        schema_diagnostics.delete(document.uri);
+        value_type_diagnostics.delete(document.uri);
+        if (document.isUntitled) {
+            // The name of the untitled document will be reused by an unrelated document.
+            per_doc_key_selections.delete(document.fileName);
+            return;
+        }
+        // The file can be reopened with different content, but manual toggles are kept.
+        let selection = per_doc_key_selections.get(document.fileName);
+        if (selection) {
+            selection.clear_auto_keys();
+        }
+    });
+    let change_configuration_disposable = vscode.workspace.onDidChangeConfiguration((event) => {
+        if (!event.affectsConfiguration('rainbow-json')) {
+            return;
+        }
+        for (let selection of per_doc_key_selections.values()) {
+            selection.auto_keys_up_to_date = false;
+        }
+        refresh_semantic_tokens();
+        if (event.affectsConfiguration('rainbow-json.palette') || event.affectsConfiguration('rainbow-json.palette_overrides')) {
+            update_color_slot_decoration_types();
+            if (schema_tree_provider) {
+                schema_tree_provider.refresh();
+            }
+        }
+        schedule_decorations_update();
+        if (event.affectsConfiguration('rainbow-json.jsonl_diagnostics') || event.affectsConfiguration('rainbow-json.schema_rare_path_diagnostics')
+            || event.affectsConfiguration('rainbow-json.schema_expected_path_ratio') || event.affectsConfiguration('rainbow-json.schema_rare_path_ratio')
+            || event.affectsConfiguration('rainbow-json.value_type_diagnostics')) {
+            update_all_diagnostics();
+        }
+    });
+
+    context.subscriptions.push(enable_disposable);
+    context.subscriptions.push(disable_disposable);
+    context.subscriptions.push(toggle_key_disposable);
+    context.subscriptions.push(value_colors_disposable);
+    context.subscriptions.push(next_occurrence_disposable);
+    context.subscriptions.push(previous_occurrence_disposable);
+    context.subscriptions.push(select_occurrences_disposable);
+    context.subscriptions.push(schema_report_disposable);
+    context.subscriptions.push(value_type_report_disposable);
+    context.subscriptions.push(table_view_disposable);
+    context.subscriptions.push(export_csv_disposable);
+    context.subscriptions.push(export_tsv_disposable);
+    context.subscriptions.push(import_delimited_disposable);
+    context.subscriptions.push(array_to_jsonl_disposable);
+    context.subscriptions.push(jsonl_to_array_disposable);
+    context.subscriptions.push(expand_record_disposable);
+    context.subscriptions.push(write_back_record_disposable);
+    context.subscriptions.push(hover_disposable);
+    context.subscriptions.push(manage_keys_disposable);
+    context.subscriptions.push(toggle_pattern_disposable);
+    context.subscriptions.push(key_status_bar_item);
+    context.subscriptions.push(active_editor_disposable);
+    context.subscriptions.push(schema_tree_view);
+    context.subscriptions.push(reveal_next_disposable);
+    context.subscriptions.push({ dispose: () => clearTimeout(schema_tree_refresh_timer) });
+    context.subscriptions.push({ dispose: () => record_tint_decoration_types.concat(palette_decoration_types).forEach(decoration_type => decoration_type && decoration_type.dispose()) });
+    context.subscriptions.push(visible_ranges_disposable);
+    context.subscriptions.push(visible_editors_disposable);
+    context.subscriptions.push({ dispose: () => clearTimeout(decorations_update_timer) });
+    context.subscriptions.push(change_document_disposable);
+    context.subscriptions.push(open_document_disposable);
+    context.subscriptions.push(close_document_disposable);
+    context.subscriptions.push(change_configuration_disposable);
+    context.subscriptions.push({ dispose: () => parse_worker.dispose() });
+
+    let config_watcher = vscode.workspace.createFileSystemWatcher('**/' + workspace_config_file_path);
+    config_watcher.onDidCreate(load_workspace_key_config);
+    config_watcher.onDidChange(load_workspace_key_config);
+    config_watcher.onDidDelete(load_workspace_key_config);
+    context.subscriptions.push(config_watcher);
+    context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(load_workspace_key_config));
+    await load_workspace_key_config();
+    context.subscriptions.push({ dispose: () => per_doc_recompute_timers.forEach(timer => clearTimeout(timer)) });
+    context.subscriptions.push({ dispose: () => per_doc_diagnostics_timers.forEach(timer => clearTimeout(timer)) });
+    update_all_diagnostics();
+    update_key_selection_views();
 }
 
 function deactivate() {}
@@ -1,4 +1,5 @@
-// Json tokens can't span multiple lines so we can tokenize them on line-by-line basis which is nice.
+// Strict JSON tokens can't span multiple lines so we can tokenize them on line-by-line basis which is nice.
+// JSONC/JSON5 block comments and JSON5 string line continuations can, so the tokenizer carries a LexerState over from one line to the next.
 
 /**
  * @param {boolean} condition
@@ -37,16 +38,38 @@ class JsonSyntaxError extends Error {
         this.name = 'JsonSyntaxError';
         this.line_num = line_num;
         this.position = position;
+        // Lines of the tokens that were skipped because of the error, only set in recovering mode, see parse_json_objects().
+        this.skipped_line_num = null;
+        this.skipped_end_line_num = null;
     }
 }
 
 class JsonIncompleteError extends Error {
     /**
      * @param {string} message
+     * @param {string|null} [expected_message=null] - What the parser expected instead of the end of input, e.g. "Expected comma or '}'".
      */
-    constructor(message) {
+    constructor(message, expected_message=null) {
         super(message);
         this.name = 'JsonIncompleteError';
+        this.expected_message = expected_message;
+    }
+}
+
+class JsonParsingInterruptedError extends Error {
+    constructor() {
+        super('Parsing was interrupted');
+        this.name = 'JsonParsingInterruptedError';
+    }
+}
+
+/**
+ * @param {function(): boolean|null} should_stop
+ * @throws {JsonParsingInterruptedError}
+ */
+function check_should_stop(should_stop) {
+    if (should_stop !== null && should_stop()) {
+        throw new JsonParsingInterruptedError();
     }
 }
 
@@ -60,12 +83,17 @@ class JsonToken {
         this.value = value;
         this.line_num = line_num;
         this.position = position;
+        // End position is exclusive, multi-line tokens (block comments and JSON5 multi-line strings) end on a different line.
+        this.end_line_num = line_num;
+        this.end_position = position + value.length;
         
         // Token type flags
         this.constant = false;
         this.string = false;
         this.number = false;
+        this.identifier = false; // JSON5 unquoted key, also set for the JSON5 constants and numbers that are valid keys, e.g. `null` or `Infinity`.
         this.punctuation = false;
+        this.comment = false;
     }
 
     // Punctuation-specific getter methods
@@ -88,6 +116,10 @@ class JsonToken {
         return this.brace_open || this.brace_close || this.bracket_open || this.bracket_close;
     }
 
+    isScalar() {
+        return this.constant || this.string || this.number;
+    }
+
     /**
      * @param {JsonToken} openToken
      */
@@ -97,30 +129,190 @@ class JsonToken {
     }
 }
 
+// Dialects differ only in the extra syntax they accept on top of strict JSON, so a dialect is a set of feature flags.
+// JSONC is what VS Code uses for its own config files (tsconfig.json, settings.json): comments and trailing commas.
+// JSON5 additionally allows single-quoted strings, unquoted keys, hex numbers and Infinity/NaN, see https://spec.json5.org/
+class JsonDialect {
+    /**
+     * @param {string} name
+     * @param {boolean} allow_comments
+     * @param {boolean} allow_trailing_commas
+     * @param {boolean} allow_json5_literals
+     */
+    constructor(name, allow_comments, allow_trailing_commas, allow_json5_literals) {
+        this.name = name;
+        this.allow_comments = allow_comments;
+        this.allow_trailing_commas = allow_trailing_commas;
+        this.allow_json5_literals = allow_json5_literals;
+        this.token_patterns = build_token_patterns(this);
+    }
+}
+
+/**
+ * @param {JsonDialect} dialect
+ * @returns {{token_type: string, regex: RegExp}[]}
+ */
+function build_token_patterns(dialect) {
+    // Define token patterns using the 'y' (sticky) flag.
+    // The 'y' flag ensures matches only occur exactly at .lastIndex
+    // String and number patterns regexps are visualized here: https://www.json.org/fatfree.html
+    let patterns = [{ token_type: 'Whitespace', regex: /\s+/y }];
+    if (dialect.allow_comments) {
+        patterns.push(
+            { token_type: 'Comment', regex: /\/\/.*|\/\*[\s\S]*?\*\//y },
+            // Block comment that is not closed on the same line.
+            { token_type: 'BlockCommentStart', regex: /\/\*.*/y },
+        );
+    }
+    if (!dialect.allow_json5_literals) {
+        patterns.push(
+            { token_type: 'Constant', regex: /true|false|null/y },
+            // String match regex, takex from here: https://stackoverflow.com/a/249937/2898283
+            // It is a bit more permissive than the actual JSON string specification.
+            { token_type: 'String', regex: /"(?:[^"\\]|\\.)*"/y },
+            // Number: Optional negative, followed by 0 or 1-9+digits, optional fraction, optional exponent
+            // Taken from here: https://stackoverflow.com/a/13340826/2898283
+            { token_type: 'Number', regex: /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y },
+        );
+    } else {
+        patterns.push(
+            // Constants must not be followed by identifier characters, otherwise unquoted keys like `nullable` would be split.
+            { token_type: 'Constant', regex: /(?:true|false|null)(?![\w$])/y },
+            { token_type: 'String', regex: /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/y },
+            // A backslash at the end of the line inside a string is a line continuation, the string goes on at the next line.
+            { token_type: 'StringStart', regex: /"(?:[^"\\]|\\.)*\\$|'(?:[^'\\]|\\.)*\\$/y },
+            // JSON5 numbers can have an explicit plus sign, leading/trailing decimal point, hex notation and can be Infinity or NaN.
+            { token_type: 'Number', regex: /[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$])/y },
+            // Identifiers are only valid as unquoted object keys, the PDA rejects them in value positions.
+            { token_type: 'Identifier', regex: /[A-Za-z_$][\w$]*/y },
+        );
+    }
+    patterns.push({ token_type: 'Punctuation', regex: /[{}[\]:,]/y });
+    return patterns;
+}
+
+// ECMAScript reserved words are valid unquoted keys in JSON5, the literal ones are tokenized as values but can still be keys.
+const json5_identifier_regex = /^[A-Za-z_$][\w$]*$/;
+
+const JSON_DIALECT = new JsonDialect('json', /*allow_comments=*/false, /*allow_trailing_commas=*/false, /*allow_json5_literals=*/false);
+const JSONC_DIALECT = new JsonDialect('jsonc', /*allow_comments=*/true, /*allow_trailing_commas=*/true, /*allow_json5_literals=*/false);
+const JSON5_DIALECT = new JsonDialect('json5', /*allow_comments=*/true, /*allow_trailing_commas=*/true, /*allow_json5_literals=*/true);
+
+/**
+ * @param {string} language_id - VS Code language id of the document.
+ * @returns {JsonDialect}
+ */
+function get_dialect_by_language_id(language_id) {
+    if (language_id === 'jsonc') {
+        return JSONC_DIALECT;
+    }
+    if (language_id === 'json5') {
+        return JSON5_DIALECT;
+    }
+    return JSON_DIALECT;
+}
+
+const LEXER_MODE_DEFAULT = 'DEFAULT';
+const LEXER_MODE_BLOCK_COMMENT = 'BLOCK_COMMENT';
+const LEXER_MODE_STRING = 'STRING';
+
+class LexerState {
+    /**
+     * @param {string} mode
+     * @param {string|null} [quote=null] - Opening quote of the unterminated string in LEXER_MODE_STRING.
+     * @param {JsonToken|null} [pending_token=null] - The part of the multi-line token consumed so far, null if the token started before the tokenized lines.
+     */
+    constructor(mode, quote=null, pending_token=null) {
+        this.mode = mode;
+        this.quote = quote;
+        this.pending_token = pending_token;
+    }
+
+    /**
+     * Pending token content doesn't affect how the following lines are tokenized, so it is ignored here.
+     * @param {LexerState} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        return this.mode === other.mode && this.quote === other.quote;
+    }
+}
+
+const DEFAULT_LEXER_STATE = new LexerState(LEXER_MODE_DEFAULT);
+
+const block_comment_end_regex = /.*?\*\//y;
+const string_end_regexes = { '"': /(?:[^"\\]|\\.)*"/y, "'": /(?:[^'\\]|\\.)*'/y };
+const string_continuation_regexes = { '"': /(?:[^"\\]|\\.)*\\$/y, "'": /(?:[^'\\]|\\.)*\\$/y };
+
+/**
+ * Consumes the continuation of a multi-line token at the start of the line.
+ * @param {string} line
+ * @param {number} line_num
+ * @param {LexerState} lexer_state - State in LEXER_MODE_BLOCK_COMMENT or LEXER_MODE_STRING.
+ * @returns {[JsonToken, number|null]} - The pending token and the cursor position after it or null if the token goes on at the next line.
+ * @throws {JsonTokenizerError}
+ */
+function continue_multiline_token(line, line_num, lexer_state) {
+    let token = lexer_state.pending_token;
+    if (token === null) {
+        // The token started before the first tokenized line, so the best we can do is to start it from the beginning of this line.
+        token = new JsonToken('', line_num, 0);
+        token.comment = lexer_state.mode === LEXER_MODE_BLOCK_COMMENT;
+        token.string = lexer_state.mode === LEXER_MODE_STRING;
+    } else {
+        token.value += '\n';
+    }
+    let end_regex = lexer_state.mode === LEXER_MODE_BLOCK_COMMENT ? block_comment_end_regex : string_end_regexes[lexer_state.quote];
+    end_regex.lastIndex = 0;
+    let match = end_regex.exec(line);
+    if (match) {
+        token.value += match[0];
+        token.end_line_num = line_num;
+        token.end_position = match[0].length;
+        return [token, match[0].length];
+    }
+    if (lexer_state.mode === LEXER_MODE_STRING) {
+        let continuation_regex = string_continuation_regexes[lexer_state.quote];
+        continuation_regex.lastIndex = 0;
+        if (!continuation_regex.test(line)) {
+            throw new JsonTokenizerError('Unterminated string', line_num, line.length);
+        }
+    }
+    token.value += line;
+    token.end_line_num = line_num;
+    token.end_position = line.length;
+    return [token, null];
+}
+
 /**
  * @param {string} line
  * @param {number} line_num
  * @param {JsonToken[]} dst_tokens
+ * @param {JsonDialect} [dialect=JSON_DIALECT]
+ * @param {JsonToken[]|null} [dst_comments=null] - Comment tokens are collected here if provided and skipped otherwise.
+ * @param {LexerState} [lexer_state=DEFAULT_LEXER_STATE] - State at the beginning of the line.
+ * @returns {LexerState} - State at the end of the line.
  * @throws {JsonTokenizerError}
  */
-function tokenize_json_line_in_place(line, line_num, dst_tokens) {
+function tokenize_json_line_in_place(line, line_num, dst_tokens, dialect=JSON_DIALECT, dst_comments=null, lexer_state=DEFAULT_LEXER_STATE) {
     let cursor = 0;
     const length = line.length;
+    const patterns = dialect.token_patterns;
 
-    // Define token patterns using the 'y' (sticky) flag.
-    // The 'y' flag ensures matches only occur exactly at .lastIndex
-    // String and number patterns regexps are visualized here: https://www.json.org/fatfree.html
-    const patterns = [
-        { token_type: 'Whitespace', regex: /\s+/y },
-        { token_type: 'Constant', regex: /true|false|null/y },
-        // String match regex, takex from here: https://stackoverflow.com/a/249937/2898283
-        // It is a bit more permissive than the actual JSON string specification.
-        { token_type: 'String', regex: /"(?:[^"\\]|\\.)*"/y },
-        // Number: Optional negative, followed by 0 or 1-9+digits, optional fraction, optional exponent
-        // Taken from here: https://stackoverflow.com/a/13340826/2898283
-        { token_type: 'Number', regex: /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y },
-        { token_type: 'Punctuation',regex: /[{}[\]:,]/y }
-    ];
+    if (lexer_state.mode !== LEXER_MODE_DEFAULT) {
+        let [pending_token, end_cursor] = continue_multiline_token(line, line_num, lexer_state);
+        if (end_cursor === null) {
+            return new LexerState(lexer_state.mode, lexer_state.quote, pending_token);
+        }
+        if (pending_token.comment) {
+            if (dst_comments !== null) {
+                dst_comments.push(pending_token);
+            }
+        } else {
+            dst_tokens.push(pending_token);
+        }
+        cursor = end_cursor;
+    }
 
     while (cursor < length) {
         let matchFound = false;
@@ -134,19 +326,40 @@ function tokenize_json_line_in_place(line, line_num, dst_tokens) {
                 continue;
             }
             const value = match[0];
+            if (token_type === 'BlockCommentStart' || token_type === 'StringStart') {
+                // These patterns consume the rest of the line.
+                let token = new JsonToken(value, line_num, cursor);
+                token.comment = token_type === 'BlockCommentStart';
+                token.string = token_type === 'StringStart';
+                if (token.comment) {
+                    return new LexerState(LEXER_MODE_BLOCK_COMMENT, null, token);
+                }
+                return new LexerState(LEXER_MODE_STRING, value[0], token);
+            }
             // We skip adding Whitespace to the output, but we must advance the cursor
-            if (token_type !== 'Whitespace') {
+            if (token_type === 'Comment') {
+                if (dst_comments !== null) {
+                    let token = new JsonToken(value, line_num, cursor);
+                    token.comment = true;
+                    dst_comments.push(token);
+                }
+            } else if (token_type !== 'Whitespace') {
                 let token = new JsonToken(value, line_num, cursor);
                 
                 switch (token_type) {
                     case 'Constant':
                         token.constant = true;
+                        token.identifier = dialect.allow_json5_literals;
                         break;
                     case 'String':
                         token.string = true;
                         break;
                     case 'Number':
                         token.number = true;
+                        token.identifier = dialect.allow_json5_literals && json5_identifier_regex.test(value);
+                        break;
+                    case 'Identifier':
+                        token.identifier = true;
                         break;
                     case 'Punctuation':
                         token.punctuation = true;
@@ -164,16 +377,64 @@ function tokenize_json_line_in_place(line, line_num, dst_tokens) {
             throw new JsonTokenizerError(`Unexpected character: "${line[cursor]}"`, line_num, cursor);
         }
     }
+    return DEFAULT_LEXER_STATE;
+}
+
+/**
+ * The range-limited parse can start in the middle of a multi-line comment or string, so we need to know the lexer state at its first line.
+ * Tokenizing from the start of the document is too expensive, so instead we tokenize `max_lookback` preceding lines under two hypotheses:
+ * that they start outside of any comment or that they start inside a block comment.
+ * Hypotheses that hit a tokenizer error are dropped, hypotheses that end up in the same state are merged.
+ * Unlike a plain text search for comment markers, this is not confused by markers inside strings e.g. glob patterns in tsconfig.json.
+ * @param {function(number): string} get_line - Returns text of the line with the given number.
+ * @param {number} line_num
+ * @param {JsonDialect} dialect
+ * @param {number} max_lookback
+ * @returns {LexerState} - State at the beginning of `line_num` without a pending token.
+ */
+function guess_lexer_state_at_line(get_line, line_num, dialect, max_lookback) {
+    if (!dialect.allow_comments) {
+        // Multi-line tokens are only possible in dialects with comments.
+        return DEFAULT_LEXER_STATE;
+    }
+    let begin_line = Math.max(0, line_num - max_lookback);
+    let hypotheses = [DEFAULT_LEXER_STATE];
+    if (begin_line > 0) {
+        hypotheses.push(new LexerState(LEXER_MODE_BLOCK_COMMENT));
+    }
+    for (let lnum = begin_line; lnum < line_num; lnum++) {
+        let line = get_line(lnum);
+        let surviving = [];
+        for (let state of hypotheses) {
+            let next_state;
+            try {
+                next_state = tokenize_json_line_in_place(line, lnum, [], dialect, /*dst_comments=*/null, new LexerState(state.mode, state.quote));
+            } catch (e) {
+                if (e instanceof JsonTokenizerError) {
+                    continue;
+                }
+                throw e;
+            }
+            if (!surviving.some(existing => existing.equals(next_state))) {
+                surviving.push(next_state);
+            }
+        }
+        // If no hypothesis survived the line is probably just broken, start over after it.
+        hypotheses = surviving.length ? surviving : [DEFAULT_LEXER_STATE];
+    }
+    // The default state comes first, so it wins if the lookback was not enough to disambiguate.
+    return new LexerState(hypotheses[0].mode, hypotheses[0].quote);
 }
 
 /**
  * @param {string} line
  * @param {number|null} [line_num=null]
+ * @param {JsonDialect} [dialect=JSON_DIALECT]
  * @returns {JsonToken[]}
  */
-function tokenize_json_line(line, line_num=null) {
+function tokenize_json_line(line, line_num=null, dialect=JSON_DIALECT) {
     let tokens = []
-    tokenize_json_line_in_place(line, line_num, tokens);
+    tokenize_json_line_in_place(line, line_num, tokens, dialect);
     return tokens;
 }
 
@@ -265,9 +526,11 @@ class RainbowJsonNode {
 class PDAStackFrame {
     /**
      * @param {RainbowJsonNode} node
+     * @param {boolean} allow_trailing_commas - See JsonDialect, nested frames inherit it.
      */
-    constructor(node) {
+    constructor(node, allow_trailing_commas) {
         this.node = node;
+        this.allow_trailing_commas = allow_trailing_commas;
         this.current_nfa_states = [];
         this.current_array_index = 0;
         this.current_key = null;
@@ -294,7 +557,7 @@ let expect_key_state, expect_colon_state, expect_value_state, expect_comma_state
  * @param {JsonToken} token
  */
 function handle_key_token(pda_stack, token) {
-    if (!token.string) {
+    if (!token.string && !token.identifier) {
         return false;
     }
     let ctx = pda_stack[pda_stack.length - 1];
@@ -330,7 +593,7 @@ function handle_scalar_value(pda_stack, token) {
     let scalar_key_position = ctx.node.node_type === OBJECT_NODE_TYPE ? ctx.current_key_position : null;
     let scalar_index = ctx.node.node_type === ARRAY_NODE_TYPE ? ctx.current_array_index : null;
     let scalar_node = new RainbowJsonNode(SCALAR_NODE_TYPE, scalar_key, scalar_key_position, scalar_index, new Position(token.line_num, token.position));
-    scalar_node.end_position = new Position(token.line_num, token.position + token.value.length);
+    scalar_node.end_position = new Position(token.end_line_num, token.end_position);
     scalar_node.value = token.value;
     ctx.node.children.push(scalar_node);
     
@@ -363,7 +626,7 @@ function handle_open_brace(pda_stack, token) {
         ctx.current_nfa_states = [expect_comma_state, expect_array_end_state];
     }
     
-    let new_frame = new PDAStackFrame(child_node);
+    let new_frame = new PDAStackFrame(child_node, ctx.allow_trailing_commas);
     new_frame.current_nfa_states = [expect_key_state, expect_object_end_state];
     pda_stack.push(new_frame);
     return true;
@@ -390,7 +653,7 @@ function handle_open_bracket(pda_stack, token) {
         ctx.current_nfa_states = [expect_comma_state, expect_array_end_state];
     }
     
-    let new_frame = new PDAStackFrame(child_node);
+    let new_frame = new PDAStackFrame(child_node, ctx.allow_trailing_commas);
     new_frame.current_nfa_states = [expect_value_state, expect_array_end_state];
     pda_stack.push(new_frame);
     return true;
@@ -406,10 +669,10 @@ function handle_comma(pda_stack, token) {
     }
     let ctx = pda_stack[pda_stack.length - 1];
     if (ctx.node.node_type === OBJECT_NODE_TYPE) {
-        ctx.current_nfa_states = [expect_key_state];
+        ctx.current_nfa_states = ctx.allow_trailing_commas ? [expect_key_state, expect_object_end_state] : [expect_key_state];
     } else {
         ctx.current_array_index += 1;
-        ctx.current_nfa_states = [expect_value_state];
+        ctx.current_nfa_states = ctx.allow_trailing_commas ? [expect_value_state, expect_array_end_state] : [expect_value_state];
     }
     return true;
 }
@@ -476,10 +739,11 @@ function generate_error_message(nfa_states) {
 /**
  * @param {JsonToken[]} tokens
  * @param {number} token_idx
+ * @param {JsonDialect} [dialect=JSON_DIALECT]
  * @returns {[RainbowJsonNode|null, number]}
  * @throws {JsonSyntaxError|JsonIncompleteError}
  */
-function consume_json_record(tokens, token_idx) {
+function consume_json_record(tokens, token_idx, dialect=JSON_DIALECT) {
     if (token_idx >= tokens.length) {
         return [null, token_idx];
     }
@@ -492,7 +756,7 @@ function consume_json_record(tokens, token_idx) {
     let root_node_type = start_token.brace_open ? OBJECT_NODE_TYPE : ARRAY_NODE_TYPE;
     let root = new RainbowJsonNode(root_node_type, /*parent_key=*/null, /*parent_key_position=*/null, /*parent_array_index=*/null, new Position(start_token.line_num, start_token.position));
     
-    let pda_stack = [new PDAStackFrame(root)];
+    let pda_stack = [new PDAStackFrame(root, dialect.allow_trailing_commas)];
     if (root_node_type === OBJECT_NODE_TYPE) {
         pda_stack[0].current_nfa_states = [expect_key_state, expect_object_end_state];
     } else {
@@ -522,7 +786,7 @@ function consume_json_record(tokens, token_idx) {
     }
     
     if (pda_stack.length > 0) {
-        throw new JsonIncompleteError(`Unclosed brackets at end of input`);
+        throw new JsonIncompleteError(`Unclosed brackets at end of input`, generate_error_message(pda_stack[pda_stack.length - 1].current_nfa_states));
     }
     
     return [root, token_idx];
@@ -555,10 +819,11 @@ class ObjectGroupStackFrame {
 
 /**
  * @param {JsonToken[]} tokens
+ * @param {JsonSyntaxError[]|null} [dst_errors=null] - Recovering mode: mismatched closing brackets are reported here instead of being thrown.
  * @returns {CompleteObjectTokenGroup[]}
  * @throws {JsonSyntaxError}
  */
-function group_tokens_into_full_object_groups(tokens) {
+function group_tokens_into_full_object_groups(tokens, dst_errors=null) {
     // In the generic case we can have some trailing lines and some starting lines with incomplete objects.
     // But these first and last incomplete objects can have some child objects fully complete - we need to add those.
     // So essentially we need to find all complete objects, without sub-objects.
@@ -594,7 +859,21 @@ function group_tokens_into_full_object_groups(tokens) {
         }
         let top = stack[stack.length - 1];
         if (!token.isMatchingClose(tokens[top.first_token_idx])) {
-            throw new JsonSyntaxError(`Mismatched closing token "${token.value}"`, token.line_num, token.position);
+            let error = new JsonSyntaxError(`Mismatched closing token "${token.value}"`, token.line_num, token.position);
+            if (dst_errors === null) {
+                throw error;
+            }
+            error.skipped_line_num = tokens[stack[0].first_token_idx].line_num;
+            error.skipped_end_line_num = token.end_line_num;
+            dst_errors.push(error);
+            // Containers that are still open can't be completed anymore, keep their complete children and start over after the bad token.
+            for (let ogsf of stack) {
+                for (let complete_child of ogsf.complete_children_groups) {
+                    result.push(complete_child);
+                }
+            }
+            stack = [];
+            continue;
         }
         let last_complete_object = new CompleteObjectTokenGroup(top.first_token_idx, token_idx, stack.length - 1);
         stack.pop();
@@ -617,24 +896,189 @@ function group_tokens_into_full_object_groups(tokens) {
 /**
  * @param {string[]} lines
  * @param {number[]} line_nums
+ * @param {JsonDialect} [dialect=JSON_DIALECT]
+ * @param {JsonToken[]|null} [dst_comments=null] - If provided, comment tokens are collected here in document order.
+ * @param {LexerState} [lexer_state=DEFAULT_LEXER_STATE] - Lexer state at the beginning of the first line.
+ * @param {function(): boolean|null} [should_stop=null] - Polled after each line and between parsing steps, e.g. to stop on request cancellation.
+ * @param {(JsonTokenizerError|JsonSyntaxError)[]|null} [dst_errors=null] - If provided, parsing recovers from errors and reports them here instead of throwing:
+ *   a line with a tokenizer error is skipped and records can't span over it, a record with a syntax error is skipped, but its complete nested containers are still returned as records.
+ *   E.g. in JSONL one corrupt line doesn't affect its neighbors.
+ * @param {RainbowJsonNode[]|null} [dst_records=null] - If provided, records are appended here as soon as they are parsed and this array is returned,
+ *   so the records parsed before an interruption by `should_stop` are kept.
  * @returns {RainbowJsonNode[]}
- * @throws {JsonTokenizerError|JsonSyntaxError}
+ * @throws {JsonTokenizerError|JsonSyntaxError|JsonParsingInterruptedError}
  */
-function parse_json_objects(lines, line_nums) {
+function parse_json_objects(lines, line_nums, dialect=JSON_DIALECT, dst_comments=null, lexer_state=DEFAULT_LEXER_STATE, should_stop=null, dst_errors=null, dst_records=null) {
     // TODO we can probably do all 3 steps in a single pass. Or at least do them in 2 steps.
     let tokens = [];
+    let token_segments = [tokens]; // Separated by the skipped lines in recovering mode.
+    let first_new_error_idx = dst_errors === null ? 0 : dst_errors.length;
     for (let i = 0; i < lines.length; i++) {
-        tokenize_json_line_in_place(lines[i], line_nums[i], tokens);
+        check_should_stop(should_stop);
+        if (dst_errors === null) {
+            lexer_state = tokenize_json_line_in_place(lines[i], line_nums[i], tokens, dialect, dst_comments, lexer_state);
+            continue;
+        }
+        let first_line_token_idx = tokens.length;
+        try {
+            lexer_state = tokenize_json_line_in_place(lines[i], line_nums[i], tokens, dialect, dst_comments, lexer_state);
+        } catch (e) {
+            if (!(e instanceof JsonTokenizerError)) {
+                throw e;
+            }
+            dst_errors.push(e);
+            // Tokens before the error on the same line can't be trusted either, e.g. the string could have been opened by a wrong quote.
+            tokens.length = first_line_token_idx;
+            lexer_state = DEFAULT_LEXER_STATE;
+            tokens = [];
+            token_segments.push(tokens);
+        }
+    }
+    if (dst_comments !== null && lexer_state.mode === LEXER_MODE_BLOCK_COMMENT && lexer_state.pending_token !== null) {
+        // Keep the visible part of a comment that is not closed within the parsed lines.
+        dst_comments.push(lexer_state.pending_token);
+    }
+    let records = dst_records !== null ? dst_records : [];
+    for (let segment of token_segments) {
+        parse_json_tokens(segment, dialect, should_stop, dst_errors, records);
+    }
+    if (dst_errors !== null && dst_errors.length > first_new_error_idx) {
+        // Bracket mismatches are found before the other syntax errors, report all errors in document order.
+        let new_errors = dst_errors.splice(first_new_error_idx).sort((a, b) => a.line_num - b.line_num || a.position - b.position);
+        for (let error of new_errors) {
+            dst_errors.push(error);
+        }
     }
-    let token_object_groups = group_tokens_into_full_object_groups(tokens);
-    let records = [];
+    return records;
+}
+
+/**
+ * @param {JsonToken[]} tokens
+ * @param {JsonDialect} [dialect=JSON_DIALECT]
+ * @param {function(): boolean|null} [should_stop=null] - Polled after grouping and after each record.
+ * @param {JsonSyntaxError[]|null} [dst_errors=null] - Recovering mode, see parse_json_objects().
+ * @param {RainbowJsonNode[]|null} [dst_records=null] - See parse_json_objects().
+ * @returns {RainbowJsonNode[]}
+ * @throws {JsonSyntaxError|JsonParsingInterruptedError}
+ */
+function parse_json_tokens(tokens, dialect=JSON_DIALECT, should_stop=null, dst_errors=null, dst_records=null) {
+    check_should_stop(should_stop);
+    let token_object_groups = group_tokens_into_full_object_groups(tokens, dst_errors);
+    let records = dst_records !== null ? dst_records : [];
+    consume_token_groups(tokens, token_object_groups, dialect, should_stop, dst_errors, records);
+    return records;
+}
+
+/**
+ * @param {JsonToken[]} tokens
+ * @param {CompleteObjectTokenGroup[]} token_object_groups
+ * @param {JsonDialect} dialect
+ * @param {function(): boolean|null} should_stop
+ * @param {JsonSyntaxError[]|null} dst_errors
+ * @param {RainbowJsonNode[]} dst_records
+ */
+function consume_token_groups(tokens, token_object_groups, dialect, should_stop, dst_errors, dst_records) {
     for (let token_object_group of token_object_groups) {
-        let [current_record, token_idx] = consume_json_record(tokens, token_object_group.first_token_idx);
-        assert(token_idx === token_object_group.last_token_idx + 1, "Token index does not match expected last token index");
+        check_should_stop(should_stop);
+        let current_record = null;
+        try {
+            let token_idx = null;
+            [current_record, token_idx] = consume_json_record(tokens, token_object_group.first_token_idx, dialect);
+            assert(token_idx === token_object_group.last_token_idx + 1, "Token index does not match expected last token index");
+        } catch (e) {
+            if (dst_errors === null || !(e instanceof JsonSyntaxError)) {
+                throw e;
+            }
+            e.skipped_line_num = tokens[token_object_group.first_token_idx].line_num;
+            e.skipped_end_line_num = tokens[token_object_group.last_token_idx].end_line_num;
+            dst_errors.push(e);
+            // Resynchronize at the nested container boundaries: complete children of the broken record become separate records.
+            let inner_tokens = tokens.slice(token_object_group.first_token_idx + 1, token_object_group.last_token_idx);
+            let inner_groups = group_tokens_into_full_object_groups(inner_tokens);
+            for (let inner_group of inner_groups) {
+                inner_group.relative_depth += token_object_group.relative_depth + 1;
+            }
+            // The same error would be reported again by the child that contains it.
+            consume_token_groups(inner_tokens, inner_groups, dialect, should_stop, /*dst_errors=*/[], dst_records);
+            continue;
+        }
         current_record.relative_depth = token_object_group.relative_depth;
-        records.push(current_record);
+        dst_records.push(current_record);
     }
-    return records;
 }
 
-module.exports = { tokenize_json_line, parse_json_objects, JsonTokenizerError, JsonSyntaxError, JsonIncompleteError, RainbowJsonNode};
\ No newline at end of file
+class JsonLineProblem {
+    /**
+     * @param {string} message
+     * @param {number} line_num
+     * @param {number} position
+     * @param {number} length - Length of the problematic part of the line, at least 1 character.
+     */
+    constructor(message, line_num, position, length) {
+        this.message = message;
+        this.line_num = line_num;
+        this.position = position;
+        this.length = length;
+    }
+}
+
+/**
+ * Checks that the line contains exactly one complete JSON value, as required by the JSON Lines format. Empty lines are allowed.
+ * @param {string} line
+ * @param {number} line_num
+ * @returns {JsonLineProblem|null}
+ */
+function validate_jsonl_line(line, line_num) {
+    let tokens = [];
+    try {
+        tokenize_json_line_in_place(line, line_num, tokens);
+    } catch (e) {
+        if (!(e instanceof JsonTokenizerError)) {
+            throw e;
+        }
+        return new JsonLineProblem(e.message, line_num, e.position, Math.max(1, line.length - e.position));
+    }
+    if (!tokens.length) {
+        return null;
+    }
+    let record_end_idx = 1;
+    if (tokens[0].isContainerOpen()) {
+        try {
+            record_end_idx = consume_json_record(tokens, 0)[1];
+        } catch (e) {
+            if (e instanceof JsonSyntaxError) {
+                return new JsonLineProblem(e.message, line_num, e.position, Math.max(1, tokens.find(token => token.position === e.position).value.length));
+            }
+            if (e instanceof JsonIncompleteError) {
+                return new JsonLineProblem(`${e.expected_message}, got end of line`, line_num, Math.max(0, line.length - 1), 1);
+            }
+            throw e;
+        }
+    } else if (!tokens[0].isScalar()) {
+        return new JsonLineProblem(`Expected '{', '[' or scalar value, got "${tokens[0].value}"`, line_num, tokens[0].position, tokens[0].value.length);
+    }
+    if (record_end_idx === tokens.length) {
+        return null;
+    }
+    let extra_token = tokens[record_end_idx];
+    let problem_length = line.length - extra_token.position;
+    if (extra_token.isScalar()) {
+        return new JsonLineProblem(`Line has more than one record. Expected end of line, got "${extra_token.value}"`, line_num, extra_token.position, problem_length);
+    }
+    if (!extra_token.isContainerOpen()) {
+        return new JsonLineProblem(`Expected end of line, got "${extra_token.value}"`, line_num, extra_token.position, extra_token.value.length);
+    }
+    try {
+        consume_json_record(tokens, record_end_idx);
+    } catch (e) {
+        if (e instanceof JsonIncompleteError) {
+            return new JsonLineProblem(`Line has a trailing partial record. ${e.expected_message}, got end of line`, line_num, extra_token.position, problem_length);
+        }
+        if (!(e instanceof JsonSyntaxError)) {
+            throw e;
+        }
+    }
+    return new JsonLineProblem(`Line has more than one record. Expected end of line, got "${extra_token.value}"`, line_num, extra_token.position, problem_length);
+}
+
+module.exports = { tokenize_json_line, tokenize_json_line_in_place, parse_json_objects, parse_json_tokens, consume_json_record, get_dialect_by_language_id, guess_lexer_state_at_line, JsonToken, JsonDialect, LexerState, DEFAULT_LEXER_STATE, LEXER_MODE_BLOCK_COMMENT, LEXER_MODE_STRING, JSON_DIALECT, JSONC_DIALECT, JSON5_DIALECT, JsonTokenizerError, JsonSyntaxError, JsonIncompleteError, JsonParsingInterruptedError, RainbowJsonNode, JsonLineProblem, validate_jsonl_line};
\ No newline at end of file
@@ -0,0 +1,659 @@
+const json_parse = require('./json_parse');
+
+// The cache keeps top-level records of the whole document together with the lexer state at the beginning of every line.
+// When the document is edited only the lines around the edit are re-tokenized and re-parsed:
+// the reparsed region starts at the first record touched by the edit and ends at the first line after the edit where
+// brackets are balanced and the lexer state is the same as it was before the edit, so the rest of the old records can be reused as is.
+// Edits inside a multi-line container (e.g. in one element of a huge top-level array) reparse only the members of the innermost
+// container around the edit instead, the other members keep their nodes.
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {function(T): boolean} predicate - Must be monotonic: false for a (possibly empty) prefix of items and true for the rest.
+ * @returns {number} - Index of the first item satisfying the predicate or items.length if there is none.
+ */
+function find_first_index(items, predicate) {
+    let lo = 0;
+    let hi = items.length;
+    while (lo < hi) {
+        let mid = (lo + hi) >> 1;
+        if (predicate(items[mid])) {
+            hi = mid;
+        } else {
+            lo = mid + 1;
+        }
+    }
+    return lo;
+}
+
+class LineChange {
+    /**
+     * @param {number} start_line - First changed line, it is the same in the old and in the new document.
+     * @param {number} old_end_line - Last changed line (inclusive) in the old document.
+     * @param {number} new_end_line - Last changed line (inclusive) in the new document.
+     */
+    constructor(start_line, old_end_line, new_end_line) {
+        this.start_line = start_line;
+        this.old_end_line = old_end_line;
+        this.new_end_line = new_end_line;
+    }
+}
+
+/**
+ * Merges a batch of text changes into a single changed line range.
+ * Changes are applied sequentially, so each change is in the coordinates of the document with all previous changes applied.
+ * @param {{start_line: number, end_line: number, inserted_line_count: number}[]} changes - Replaced lines range (inclusive) and number of line breaks in the inserted text.
+ * @returns {LineChange|null}
+ */
+function merge_line_changes(changes) {
+    let start_line = null;
+    let end_line = null;
+    let total_line_delta = 0;
+    for (let change of changes) {
+        let change_end_line = change.start_line + change.inserted_line_count;
+        let line_delta = change.inserted_line_count - (change.end_line - change.start_line);
+        if (start_line === null) {
+            start_line = change.start_line;
+            end_line = change_end_line;
+        } else {
+            if (start_line > change.end_line) {
+                start_line += line_delta;
+            }
+            if (end_line > change.end_line) {
+                end_line += line_delta;
+            }
+            start_line = Math.min(start_line, change.start_line);
+            end_line = Math.max(end_line, change_end_line);
+        }
+        total_line_delta += line_delta;
+    }
+    if (start_line === null) {
+        return null;
+    }
+    return new LineChange(start_line, end_line - total_line_delta, end_line);
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} - Lines split the same way as in vscode.TextDocument.
+ */
+function split_lines(text) {
+    return text.split(/\r\n|\r|\n/);
+}
+
+/**
+ * Applies a text change to the document lines, changes from one batch must be applied sequentially just like in merge_line_changes().
+ * @param {string[]} lines
+ * @param {{start_line: number, start_character: number, end_line: number, end_character: number, text: string}} change
+ * @returns {string[]} - Updated lines, the array is modified in place unless the change inserts too many lines.
+ */
+function apply_text_change(lines, change) {
+    let prefix = lines[change.start_line].slice(0, change.start_character);
+    let suffix = lines[change.end_line].slice(change.end_character);
+    let new_lines = split_lines(prefix + change.text + suffix);
+    let removed_count = change.end_line - change.start_line + 1;
+    if (new_lines.length > 10000) {
+        // Spreading a huge array into splice() arguments would overflow the stack.
+        return lines.slice(0, change.start_line).concat(new_lines, lines.slice(change.start_line + removed_count));
+    }
+    lines.splice(change.start_line, removed_count, ...new_lines);
+    return lines;
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {number} line_delta
+ */
+function shift_node_lines(node, line_delta) {
+    // Every node has its own position objects, so they can be updated in place.
+    node.start_position.line += line_delta;
+    if (node.end_position !== null) {
+        node.end_position.line += line_delta;
+    }
+    if (node.parent_key_position !== null) {
+        node.parent_key_position.line += line_delta;
+    }
+    for (let child of node.children) {
+        shift_node_lines(child, line_delta);
+    }
+}
+
+/**
+ * @param {json_parse.JsonToken} token
+ * @param {number} line_delta
+ */
+function shift_token_lines(token, line_delta) {
+    token.line_num += line_delta;
+    token.end_line_num += line_delta;
+}
+
+/**
+ * @param {json_parse.JsonTokenizerError|json_parse.JsonSyntaxError} error
+ * @returns {number[]} - First and last (inclusive) line skipped because of the error: the line with a tokenizer error or the lines of the record with a syntax error.
+ */
+function get_error_line_range(error) {
+    if (error instanceof json_parse.JsonSyntaxError && error.skipped_line_num !== null) {
+        return [error.skipped_line_num, error.skipped_end_line_num];
+    }
+    return [error.line_num, error.line_num];
+}
+
+/**
+ * @param {json_parse.JsonTokenizerError|json_parse.JsonSyntaxError} error
+ * @param {number} line_delta
+ */
+function shift_error_lines(error, line_delta) {
+    error.line_num += line_delta;
+    if (error instanceof json_parse.JsonSyntaxError && error.skipped_line_num !== null) {
+        error.skipped_line_num += line_delta;
+        error.skipped_end_line_num += line_delta;
+    }
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {{line: number, character: number}} - Position of the key of an object member or of the value otherwise.
+ */
+function get_member_start_position(node) {
+    return node.parent_key_position !== null ? node.parent_key_position : node.start_position;
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {number} - Exclusive end character, the end position of a container is the position of its closing bracket.
+ */
+function get_node_end_character(node) {
+    return node.node_type === 'SCALAR' ? node.end_position.character : node.end_position.character + 1;
+}
+
+/**
+ * Counts commas between two members of a container, nothing but commas and comments can be there.
+ * @param {function(number): string} get_line
+ * @param {json_parse.JsonDialect} dialect
+ * @param {{line: number, character: number}} begin - The lexer state must be default at the beginning of the line.
+ * @param {{line: number, character: number}} end - Exclusive.
+ * @returns {number|null} - null if there is some other token between the positions.
+ */
+function count_commas_between(get_line, dialect, begin, end) {
+    let tokens = [];
+    let lexer_state = json_parse.DEFAULT_LEXER_STATE;
+    try {
+        for (let lnum = begin.line; lnum <= end.line; lnum++) {
+            lexer_state = json_parse.tokenize_json_line_in_place(get_line(lnum), lnum, tokens, dialect, /*dst_comments=*/[], lexer_state);
+        }
+    } catch (e) {
+        if (!(e instanceof json_parse.JsonTokenizerError)) {
+            throw e;
+        }
+        return null;
+    }
+    let comma_count = 0;
+    for (let token of tokens) {
+        if ((token.line_num === begin.line && token.position < begin.character) || (token.line_num === end.line && token.position >= end.character)) {
+            continue;
+        }
+        if (!token.comma) {
+            return null;
+        }
+        comma_count += 1;
+    }
+    return comma_count;
+}
+
+/**
+ * @param {number} comma_count - Number of commas between two members or between a member and a container bracket.
+ * @param {boolean} has_member_before
+ * @param {boolean} has_member_after
+ * @param {json_parse.JsonDialect} dialect
+ * @returns {boolean}
+ */
+function is_valid_member_separator(comma_count, has_member_before, has_member_after, dialect) {
+    if (!has_member_before) {
+        return comma_count === 0;
+    }
+    if (has_member_after) {
+        return comma_count === 1;
+    }
+    return comma_count === 0 || (comma_count === 1 && dialect.allow_trailing_commas);
+}
+
+/**
+ * Complete containers nested in a record with a syntax error are recovered as separate records to keep them highlighted,
+ * but they are not records of the document, e.g. for the key statistics and exports.
+ * @param {json_parse.RainbowJsonNode[]} records - In document order.
+ * @param {(json_parse.JsonTokenizerError|json_parse.JsonSyntaxError)[]} errors - Ordered by the first skipped line.
+ * @returns {json_parse.RainbowJsonNode[]}
+ */
+function remove_records_nested_in_errors(records, errors) {
+    let result = [];
+    let error_idx = 0;
+    let max_skipped_end_line = -1;
+    for (let record of records) {
+        while (error_idx < errors.length && get_error_line_range(errors[error_idx])[0] <= record.start_position.line) {
+            max_skipped_end_line = Math.max(max_skipped_end_line, get_error_line_range(errors[error_idx])[1]);
+            error_idx += 1;
+        }
+        // Top-level records can share a line with a skipped record, but never be nested in it.
+        if (record.relative_depth === 0 || max_skipped_end_line < record.end_position.line) {
+            result.push(record);
+        }
+    }
+    return result;
+}
+
+class DocumentParseCache {
+    /**
+     * @param {json_parse.JsonDialect} dialect
+     */
+    constructor(dialect) {
+        this.dialect = dialect;
+        this.version = null;
+        this.line_count = 0;
+        this.line_states = []; // Lexer state at the beginning of each line plus the state at the end of the document.
+        this.records = []; // Top-level records in document order.
+        this.comments = [];
+        // Parsing recovers from errors like in parse_json_objects(): records from the lines skipped because of an error are missing, see has_error_in_line_range().
+        this.errors = []; // Ordered by the first skipped line.
+    }
+
+    /**
+     * @param {function(number): string} get_line
+     * @param {number} line_count
+     * @param {number} version
+     */
+    rebuild(get_line, line_count, version) {
+        this.line_states = [json_parse.DEFAULT_LEXER_STATE];
+        this.records = [];
+        this.comments = [];
+        this.errors = [];
+        this.reparse_region(get_line, line_count, /*begin_line=*/0, /*min_end_line=*/line_count - 1, /*line_delta=*/0);
+        this.line_count = line_count;
+        this.version = version;
+    }
+
+    /**
+     * @param {function(number): string} get_line - Accessor for the lines of the already changed document.
+     * @param {number} line_count
+     * @param {LineChange} line_change
+     * @param {number} version
+     */
+    update(get_line, line_count, line_change, version) {
+        if (this.reparse_container_members(get_line, line_change)) {
+            this.line_count = line_count;
+            this.version = version;
+            return;
+        }
+        let line_delta = line_change.new_end_line - line_change.old_end_line;
+        let begin_line = line_change.start_line;
+        let min_end_line = line_change.new_end_line;
+        for (let error of this.errors) {
+            // Reparse all lines skipped because of an error touched by the edit, the edit may have fixed it.
+            let [error_begin_line, error_end_line] = get_error_line_range(error);
+            if (error_begin_line <= line_change.old_end_line && error_end_line >= line_change.start_line) {
+                begin_line = Math.min(begin_line, error_begin_line);
+                if (error_end_line > line_change.old_end_line) {
+                    min_end_line = Math.max(min_end_line, error_end_line + line_delta);
+                }
+            }
+        }
+        // Start from the beginning of the first record that ends at or after the edit and make sure that the line doesn't start inside a multi-line comment or string.
+        while (true) {
+            let record_idx = find_first_index(this.records, record => record.end_position.line >= begin_line);
+            if (record_idx < this.records.length && this.records[record_idx].start_position.line < begin_line) {
+                begin_line = this.records[record_idx].start_position.line;
+            }
+            if (begin_line === 0 || this.line_states[begin_line].equals(json_parse.DEFAULT_LEXER_STATE)) {
+                break;
+            }
+            begin_line -= 1;
+        }
+        if (!this.reparse_region(get_line, line_count, begin_line, min_end_line, line_delta)) {
+            this.rebuild(get_line, line_count, version);
+            return;
+        }
+        this.line_count = line_count;
+        this.version = version;
+    }
+
+    /**
+     * Reparses the members of the innermost container around the edit that are on the changed lines, the other nodes are reused.
+     * @param {function(number): string} get_line - Accessor for the lines of the already changed document.
+     * @param {LineChange} line_change
+     * @returns {boolean} - false if the edit can't be handled this way, e.g. it is not inside a multi-line container or the new members don't parse,
+     * then the region around the edit must be reparsed from the beginning of a top-level record.
+     */
+    reparse_container_members(get_line, line_change) {
+        let line_delta = line_change.new_end_line - line_change.old_end_line;
+        let record_idx = find_first_index(this.records, record => record.end_position.line > line_change.old_end_line);
+        if (record_idx === this.records.length || this.records[record_idx].start_position.line >= line_change.start_line) {
+            return false;
+        }
+        // Descend to the innermost container that has its brackets outside of the changed lines.
+        let ancestors = [];
+        let path_indexes = [];
+        let container = this.records[record_idx];
+        while (true) {
+            let child_idx = find_first_index(container.children, child => child.end_position.line > line_change.old_end_line);
+            if (child_idx === container.children.length) {
+                break;
+            }
+            let child = container.children[child_idx];
+            if (child.node_type === 'SCALAR' || child.start_position.line >= line_change.start_line) {
+                break;
+            }
+            ancestors.push(container);
+            path_indexes.push(child_idx);
+            container = child;
+        }
+
+        // Reparse whole lines, so members sharing a line with the changed lines are reparsed as well.
+        let members = container.children;
+        let first = find_first_index(members, member => member.end_position.line >= line_change.start_line);
+        let last = find_first_index(members, member => get_member_start_position(member).line > line_change.old_end_line) - 1;
+        let begin_line = line_change.start_line;
+        let end_line = line_change.old_end_line;
+        if (first <= last) {
+            begin_line = Math.min(begin_line, get_member_start_position(members[first]).line);
+            end_line = Math.max(end_line, members[last].end_position.line);
+        }
+        while (first > 0 && members[first - 1].end_position.line >= begin_line) {
+            first -= 1;
+            begin_line = Math.min(begin_line, get_member_start_position(members[first]).line);
+        }
+        while (last + 1 < members.length && get_member_start_position(members[last + 1]).line <= end_line) {
+            last += 1;
+            end_line = Math.max(end_line, members[last].end_position.line);
+        }
+        let has_member_before = first > 0;
+        let has_member_after = last + 1 < members.length;
+        // Old document coordinates of the end of the previous member and the start of the next one or of the container brackets.
+        let separator_begin = has_member_before ? {line: members[first - 1].end_position.line, character: get_node_end_character(members[first - 1])} : {line: container.start_position.line, character: container.start_position.character + 1};
+        let separator_end = has_member_after ? get_member_start_position(members[last + 1]) : container.end_position;
+        if (separator_begin.line >= begin_line || separator_end.line <= end_line || this.has_error_in_line_range(begin_line, end_line)) {
+            return false;
+        }
+        if (!this.line_states[separator_begin.line].equals(json_parse.DEFAULT_LEXER_STATE) || !this.line_states[begin_line].equals(json_parse.DEFAULT_LEXER_STATE) || !this.line_states[end_line + 1].equals(json_parse.DEFAULT_LEXER_STATE)) {
+            return false;
+        }
+
+        let new_end_line = end_line + line_delta;
+        let tokens = [];
+        let comments = [];
+        let new_states = [];
+        let lexer_state = json_parse.DEFAULT_LEXER_STATE;
+        try {
+            for (let lnum = begin_line; lnum <= new_end_line; lnum++) {
+                new_states.push(lexer_state);
+                lexer_state = json_parse.tokenize_json_line_in_place(get_line(lnum), lnum, tokens, this.dialect, comments, lexer_state);
+            }
+        } catch (e) {
+            if (!(e instanceof json_parse.JsonTokenizerError)) {
+                throw e;
+            }
+            return false;
+        }
+        if (!lexer_state.equals(json_parse.DEFAULT_LEXER_STATE)) {
+            return false;
+        }
+        let comma_count_before = count_commas_between(get_line, this.dialect, separator_begin, {line: begin_line, character: 0});
+        let comma_count_after = count_commas_between(get_line, this.dialect, {line: new_end_line + 1, character: 0}, {line: separator_end.line + line_delta, character: separator_end.character});
+        if (comma_count_before === null || comma_count_after === null) {
+            return false;
+        }
+
+        // Parse the members between synthetic brackets of the same container type, separators around them are checked separately.
+        let leading_comma_count = tokens.length > 0 && tokens[0].comma ? 1 : 0;
+        let trailing_comma_count = tokens.length > leading_comma_count && tokens[tokens.length - 1].comma ? 1 : 0;
+        let is_object = container.node_type === 'OBJECT';
+        let open_token = new json_parse.JsonToken(is_object ? '{' : '[', container.start_position.line, container.start_position.character);
+        let close_token = new json_parse.JsonToken(is_object ? '}' : ']', separator_end.line + line_delta, separator_end.character);
+        let member_tokens = [open_token].concat(tokens.slice(leading_comma_count, tokens.length - trailing_comma_count), [close_token]);
+        if (member_tokens[member_tokens.length - 2].comma) {
+            // Would be accepted as a trailing comma by the dialects that allow it.
+            return false;
+        }
+        let new_members = null;
+        try {
+            let [parsed_container, token_idx] = json_parse.consume_json_record(member_tokens, 0, this.dialect);
+            if (token_idx !== member_tokens.length) {
+                return false;
+            }
+            new_members = parsed_container.children;
+        } catch (e) {
+            if (!(e instanceof json_parse.JsonSyntaxError) && !(e instanceof json_parse.JsonIncompleteError)) {
+                throw e;
+            }
+            return false;
+        }
+        let separators_valid = false;
+        if (new_members.length === 0) {
+            separators_valid = is_valid_member_separator(comma_count_before + leading_comma_count + trailing_comma_count + comma_count_after, has_member_before, has_member_after, this.dialect);
+        } else {
+            separators_valid = is_valid_member_separator(comma_count_before + leading_comma_count, has_member_before, /*has_member_after=*/true, this.dialect)
+                && is_valid_member_separator(trailing_comma_count + comma_count_after, /*has_member_before=*/true, has_member_after, this.dialect);
+        }
+        if (!separators_valid) {
+            return false;
+        }
+
+        container.children = members.slice(0, first).concat(new_members, members.slice(last + 1));
+        for (let i = first; i < container.children.length; i++) {
+            let member = container.children[i];
+            if (i >= first + new_members.length && line_delta !== 0) {
+                shift_node_lines(member, line_delta);
+            }
+            if (!is_object) {
+                member.parent_array_index = i;
+            }
+        }
+        if (line_delta !== 0) {
+            container.end_position.line += line_delta;
+            for (let depth = ancestors.length - 1; depth >= 0; depth--) {
+                let ancestor = ancestors[depth];
+                for (let i = path_indexes[depth] + 1; i < ancestor.children.length; i++) {
+                    shift_node_lines(ancestor.children[i], line_delta);
+                }
+                ancestor.end_position.line += line_delta;
+            }
+            for (let i = record_idx + 1; i < this.records.length; i++) {
+                shift_node_lines(this.records[i], line_delta);
+            }
+        }
+
+        let first_replaced_comment = find_first_index(this.comments, comment => comment.end_line_num >= begin_line);
+        let kept_comments = this.comments.slice(find_first_index(this.comments, comment => comment.line_num > end_line));
+        // Errors after the reparsed lines stay in the list, there are none on the lines themselves.
+        let kept_errors = this.errors.slice(find_first_index(this.errors, error => get_error_line_range(error)[0] > end_line));
+        if (line_delta !== 0) {
+            for (let comment of kept_comments) {
+                shift_token_lines(comment, line_delta);
+            }
+            for (let error of kept_errors) {
+                shift_error_lines(error, line_delta);
+            }
+        }
+        this.comments = this.comments.slice(0, first_replaced_comment).concat(comments, kept_comments);
+        this.line_states = this.line_states.slice(0, begin_line).concat(new_states, this.line_states.slice(end_line + 1));
+        return true;
+    }
+
+    /**
+     * Replaces old records, comments and lexer states starting from `begin_line` with freshly parsed ones.
+     * Parsing goes on past `min_end_line` until it is safe to reuse what comes after in the old document.
+     * @param {function(number): string} get_line
+     * @param {number} line_count
+     * @param {number} begin_line - Line where the lexer state is default and no record from the old document spans over it.
+     * @param {number} min_end_line
+     * @param {number} line_delta - Difference between the new and the old line numbers after the changed region.
+     * @returns {boolean} - false if the region turned out to close brackets opened before it, in that case the whole document must be reparsed.
+     */
+    reparse_region(get_line, line_count, begin_line, min_end_line, line_delta) {
+        let tokens = [];
+        let token_segments = [tokens]; // Separated by the skipped lines with tokenizer errors, same as in parse_json_objects().
+        let comments = [];
+        let new_states = [];
+        let lexer_state = this.line_states[begin_line];
+        let errors = [];
+        let depth = 0;
+        let lnum = begin_line;
+        let pending_token = null;
+        let old_next_line = null; // First line in the old document coordinates that is reused.
+        for (; lnum < line_count; lnum++) {
+            new_states.push(lexer_state);
+            let first_line_token_idx = tokens.length;
+            try {
+                lexer_state = json_parse.tokenize_json_line_in_place(get_line(lnum), lnum, tokens, this.dialect, comments, lexer_state);
+            } catch (e) {
+                if (!(e instanceof json_parse.JsonTokenizerError)) {
+                    throw e;
+                }
+                errors.push(e);
+                tokens.length = first_line_token_idx;
+                lexer_state = json_parse.DEFAULT_LEXER_STATE;
+                // Records can't span over the skipped line, so brackets opened before it don't need to be closed.
+                tokens = [];
+                token_segments.push(tokens);
+                depth = 0;
+            }
+            pending_token = lexer_state.pending_token;
+            if (pending_token !== null) {
+                // Don't hold on to the partial multi-line token, states are only needed for comparison.
+                lexer_state = new json_parse.LexerState(lexer_state.mode, lexer_state.quote);
+            }
+            for (let i = first_line_token_idx; i < tokens.length; i++) {
+                if (tokens[i].isContainerOpen()) {
+                    depth += 1;
+                } else if (tokens[i].isContainerClose()) {
+                    depth -= 1;
+                }
+            }
+            if (depth < 0 && begin_line > 0) {
+                return false;
+            }
+            if (lnum < min_end_line || depth !== 0 || !lexer_state.equals(json_parse.DEFAULT_LEXER_STATE)) {
+                continue;
+            }
+            // Note that an unclosed bracket makes the region extend to the end of the document.
+            let candidate_line = lnum + 1 - line_delta;
+            if (candidate_line >= this.line_states.length || !this.line_states[candidate_line].equals(lexer_state)) {
+                continue;
+            }
+            let record_idx = find_first_index(this.records, record => record.end_position.line >= candidate_line);
+            if (record_idx < this.records.length && this.records[record_idx].start_position.line < candidate_line) {
+                continue;
+            }
+            old_next_line = candidate_line;
+            break;
+        }
+
+        if (old_next_line === null && pending_token !== null && pending_token.comment) {
+            // Comment that is not closed until the end of the document, same as in parse_json_objects().
+            comments.push(pending_token);
+        }
+
+        let new_records = [];
+        for (let segment of token_segments) {
+            for (let record of json_parse.parse_json_tokens(segment, this.dialect, /*should_stop=*/null, errors)) {
+                new_records.push(record);
+            }
+        }
+        errors.sort((a, b) => get_error_line_range(a)[0] - get_error_line_range(b)[0]);
+        if (errors.length > 0) {
+            new_records = remove_records_nested_in_errors(new_records, errors);
+        }
+
+        let first_replaced_record = find_first_index(this.records, record => record.end_position.line >= begin_line);
+        let first_replaced_comment = find_first_index(this.comments, comment => comment.end_line_num >= begin_line);
+        let first_replaced_error = find_first_index(this.errors, error => get_error_line_range(error)[0] >= begin_line);
+        let kept_records = [];
+        let kept_comments = [];
+        let kept_errors = [];
+        let kept_states = [lexer_state];
+        if (old_next_line !== null) {
+            kept_records = this.records.slice(find_first_index(this.records, record => record.start_position.line >= old_next_line));
+            kept_comments = this.comments.slice(find_first_index(this.comments, comment => comment.line_num >= old_next_line));
+            kept_states = this.line_states.slice(old_next_line);
+            kept_errors = this.errors.slice(find_first_index(this.errors, error => get_error_line_range(error)[0] >= old_next_line));
+            if (line_delta !== 0) {
+                for (let record of kept_records) {
+                    shift_node_lines(record, line_delta);
+                }
+                for (let comment of kept_comments) {
+                    shift_token_lines(comment, line_delta);
+                }
+                for (let error of kept_errors) {
+                    shift_error_lines(error, line_delta);
+                }
+            }
+        }
+        this.records = this.records.slice(0, first_replaced_record).concat(new_records, kept_records);
+        this.comments = this.comments.slice(0, first_replaced_comment).concat(comments, kept_comments);
+        this.errors = this.errors.slice(0, first_replaced_error).concat(errors, kept_errors);
+        this.line_states = this.line_states.slice(0, begin_line).concat(new_states, kept_states);
+        return true;
+    }
+
+    /**
+     * @param {number} begin_line
+     * @param {number} end_line - Inclusive.
+     * @returns {boolean}
+     */
+    has_error_in_line_range(begin_line, end_line) {
+        return this.get_errors_in_line_range(begin_line, end_line).length > 0;
+    }
+
+    /**
+     * @param {number} begin_line
+     * @param {number} end_line - Inclusive.
+     * @returns {(json_parse.JsonTokenizerError|json_parse.JsonSyntaxError)[]} - Errors with skipped lines in the range.
+     */
+    get_errors_in_line_range(begin_line, end_line) {
+        // Lines skipped because of a bracket mismatch can contain lines skipped because of other errors, so the ends of the ranges are not ordered.
+        let last_idx = find_first_index(this.errors, error => get_error_line_range(error)[0] > end_line);
+        return this.errors.slice(0, last_idx).filter(error => get_error_line_range(error)[1] >= begin_line);
+    }
+
+    /**
+     * @param {number} begin_line
+     * @param {number} end_line - Inclusive.
+     * @returns {json_parse.RainbowJsonNode[]}
+     */
+    get_records_in_line_range(begin_line, end_line) {
+        let first_idx = find_first_index(this.records, record => record.end_position.line >= begin_line);
+        let last_idx = find_first_index(this.records, record => record.start_position.line > end_line);
+        return this.records.slice(first_idx, Math.max(first_idx, last_idx));
+    }
+
+    /**
+     * @param {number} begin_line
+     * @param {number} end_line - Inclusive.
+     * @returns {json_parse.JsonToken[]}
+     */
+    get_comments_in_line_range(begin_line, end_line) {
+        let first_idx = find_first_index(this.comments, comment => comment.end_line_num >= begin_line);
+        let last_idx = find_first_index(this.comments, comment => comment.line_num > end_line);
+        return this.comments.slice(first_idx, Math.max(first_idx, last_idx));
+    }
+
+    /**
+     * @param {{line: number, character: number}} position
+     * @returns {json_parse.RainbowJsonNode|null} - Top-level record containing the position.
+     */
+    find_record_at_position(position) {
+        let idx = find_first_index(this.records, record => record.end_position.line > position.line || (record.end_position.line === position.line && record.end_position.character >= position.character));
+        if (idx < this.records.length && this.records[idx].getValueRange().contains(position)) {
+            return this.records[idx];
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    find_first_index,
+    merge_line_changes,
+    split_lines,
+    apply_text_change,
+    LineChange,
+    DocumentParseCache
+};
@@ -0,0 +1,531 @@
+const worker_threads = require('worker_threads');
+const json_parse = require('./json_parse');
+const rainbow_utils = require('./rainbow_utils');
+const parse_cache = require('./parse_cache');
+const semantic_tokens = require('./semantic_tokens');
+
+// Tokenization, parsing and key statistics run in this worker thread to keep the extension host responsive.
+// The extension mirrors document texts and edits here with open/change/close messages, see ParseWorkerClient in parse_worker_client.js.
+// Requests carry the document version they were made for, messages are delivered in order, so the mirrored text is always up to date.
+
+// How many lines before the parsing range to look at to find out whether the range starts inside a multi-line comment.
+const lexer_state_lookback_lines = 500;
+// How many lines around the hovered line are parsed when the document is too large to be parsed as a whole.
+const hover_parse_margin_lines = 100;
+
+class WorkerDocument {
+    /**
+     * @param {string} language_id
+     * @param {number} version
+     * @param {string} text
+     */
+    constructor(language_id, version, text) {
+        this.language_id = language_id;
+        this.version = version;
+        this.lines = parse_cache.split_lines(text);
+        this.cache = new parse_cache.DocumentParseCache(json_parse.get_dialect_by_language_id(language_id));
+        this.get_line = (lnum) => this.lines[lnum];
+        this.reports = new Map(); // Whole-document statistics reused by hovers until the document changes, report name -> report.
+        this.reports_version = null;
+        this.value_colors = null; // {name, version, indexes}, unlike the reports the indexes are kept across versions so that the colors don't change on every edit.
+    }
+
+    /**
+     * @param {number} version
+     * @param {{start_line: number, start_character: number, end_line: number, end_character: number, text: string}[]} changes
+     */
+    apply_changes(version, changes) {
+        let cache_up_to_date = this.cache.version === this.version;
+        for (let change of changes) {
+            this.lines = parse_cache.apply_text_change(this.lines, change);
+        }
+        this.version = version;
+        if (cache_up_to_date) {
+            let line_change = parse_cache.merge_line_changes(changes.map(change => ({
+                start_line: change.start_line,
+                end_line: change.end_line,
+                inserted_line_count: parse_cache.split_lines(change.text).length - 1,
+            })));
+            this.cache.update(this.get_line, this.lines.length, line_change, this.version);
+        }
+    }
+
+    /**
+     * @returns {parse_cache.DocumentParseCache}
+     */
+    get_parse_cache() {
+        if (this.cache.version !== this.version) {
+            this.cache.rebuild(this.get_line, this.lines.length, this.version);
+        }
+        return this.cache;
+    }
+
+    /**
+     * For a huge document the rebuild would block the worker for too long, so the cache is only built once a request needs the whole document,
+     * after that it is kept up to date incrementally.
+     * @param {number} full_scan_max_lines
+     * @returns {boolean} - true if get_parse_cache() doesn't need a rebuild or the document is small enough for it.
+     */
+    can_use_parse_cache(full_scan_max_lines) {
+        return this.cache.version === this.version || this.lines.length <= full_scan_max_lines;
+    }
+
+    /**
+     * Parses the lines without the cache in recovering mode, records that start before the range are only partially parsed.
+     * @param {number} begin_line
+     * @param {number} end_line - Inclusive.
+     * @param {json_parse.JsonToken[]} dst_comments
+     * @param {function(): boolean|null} [should_stop=null]
+     * @param {json_parse.RainbowJsonNode[]|null} [dst_records=null] - Keeps the records parsed before an interruption, see json_parse.parse_json_objects().
+     * @returns {json_parse.RainbowJsonNode[]}
+     * @throws {json_parse.JsonParsingInterruptedError}
+     */
+    parse_line_range(begin_line, end_line, dst_comments, should_stop=null, dst_records=null) {
+        let lines = this.lines.slice(begin_line, end_line + 1);
+        let line_nums = lines.map((_line, i) => begin_line + i);
+        let lexer_state = json_parse.guess_lexer_state_at_line(this.get_line, begin_line, this.cache.dialect, lexer_state_lookback_lines);
+        return json_parse.parse_json_objects(lines, line_nums, this.cache.dialect, dst_comments, lexer_state, should_stop, /*dst_errors=*/[], dst_records);
+    }
+
+    /**
+     * @param {string} name
+     * @param {function(json_parse.RainbowJsonNode[]): Object} calculate_report - Called with the cached records.
+     * @returns {Object}
+     */
+    get_report(name, calculate_report) {
+        if (this.reports_version !== this.version) {
+            this.reports.clear();
+            this.reports_version = this.version;
+        }
+        if (!this.reports.has(name)) {
+            this.reports.set(name, calculate_report(this.get_parse_cache().records));
+        }
+        return this.reports.get(name);
+    }
+
+    /**
+     * @returns {Object} - See rainbow_utils.calculate_value_type_report(), `has_errors` is set if records around syntax errors were skipped.
+     */
+    get_value_type_report() {
+        return this.get_report('value_types', (records) => {
+            let report = rainbow_utils.calculate_value_type_report(records);
+            report.has_errors = this.cache.errors.length > 0;
+            return report;
+        });
+    }
+
+    /**
+     * Values of `value_color_key` are numbered over the whole document when it can use the parse cache, otherwise only the given records are numbered.
+     * Values keep their indexes across versions, new values are appended.
+     * @param {(string|null)[]} keys_to_highlight
+     * @param {number|null} match_suffix_length
+     * @param {string|null} value_color_key - See rainbow_utils.KeyPathMatcher.
+     * @param {number|null} [full_scan_max_lines=null] - See can_use_parse_cache(), null to always use the cache.
+     * @param {json_parse.RainbowJsonNode[]} [records=[]] - Records to number the values of if the cache can't be used.
+     * @returns {rainbow_utils.KeyPathMatcher}
+     */
+    get_key_matcher(keys_to_highlight, match_suffix_length, value_color_key, full_scan_max_lines=null, records=[]) {
+        let value_color_indexes = null;
+        if (value_color_key !== null) {
+            let name = `${match_suffix_length}:${value_color_key}`;
+            if (this.value_colors === null || this.value_colors.name !== name) {
+                this.value_colors = { name, version: null, indexes: new Map() };
+            }
+            if (this.value_colors.version !== this.version) {
+                if (full_scan_max_lines === null || this.can_use_parse_cache(full_scan_max_lines)) {
+                    rainbow_utils.collect_value_color_indexes(this.get_parse_cache().records, value_color_key, match_suffix_length, this.value_colors.indexes);
+                    this.value_colors.version = this.version;
+                } else {
+                    rainbow_utils.collect_value_color_indexes(records, value_color_key, match_suffix_length, this.value_colors.indexes);
+                }
+            }
+            value_color_indexes = this.value_colors.indexes;
+        }
+        return new rainbow_utils.KeyPathMatcher(keys_to_highlight, match_suffix_length, value_color_key, value_color_indexes);
+    }
+
+    /**
+     * @returns {Map<string, number>} - Path signature -> number of occurrences.
+     */
+    get_key_counts() {
+        return this.get_report('key_counts', (records) => {
+            let stats = rainbow_utils.calculate_records_key_frequency_stats(records);
+            return new Map(stats.map(stat => [rainbow_utils.get_normalized_path_signature(stat.path), stat.count]));
+        });
+    }
+}
+
+/** @type {Map<string, WorkerDocument>} */
+let documents = new Map();
+
+// Request handlers take the document, request params and `is_cancelled` function, results of cancelled requests are discarded.
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{full_scan_max_lines: number, sampling_options: Object}} params
+ * @returns {{path: string[], count: number}[]|null} - null if the document has syntax errors.
+ */
+function handle_key_stats_request(doc, params) {
+    if (doc.lines.length <= params.full_scan_max_lines) {
+        let cache = doc.get_parse_cache();
+        // Partially parsed documents are not used for auto-highlighting, same as in calculate_key_frequency_stats().
+        return cache.errors.length === 0 ? rainbow_utils.calculate_records_key_frequency_stats(cache.records) : null;
+    }
+    return rainbow_utils.calculate_sampled_key_frequency_stats(doc.get_line, doc.lines.length, doc.cache.dialect, params.sampling_options);
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{keys_to_highlight: (string|null)[], match_suffix_length: number|null, value_color_key: string|null, begin_line: number, end_line: number, time_budget_ms: number, full_scan_max_lines: number}} params - Line range is inclusive.
+ *   See rainbow_utils.KeyPathMatcher for the keys, match_suffix_length and value_color_key.
+ *   Tokens computed so far are returned when the time budget runs out, 0 means no limit.
+ *   Documents with more lines than `full_scan_max_lines` are not parsed as a whole just for the tokens, only the range is.
+ * @param {function(): boolean} is_cancelled
+ * @returns {number[]} - See semantic_tokens.compute_semantic_tokens().
+ */
+function handle_semantic_tokens_request(doc, params, is_cancelled) {
+    let begin_line = Math.max(0, params.begin_line);
+    let end_line = Math.min(doc.lines.length - 1, params.end_line);
+    // The cache is neither interrupted nor counted towards the time budget: a rebuild that is interrupted on every scroll would never finish for a large document.
+    let cache = doc.can_use_parse_cache(params.full_scan_max_lines) ? doc.get_parse_cache() : null;
+    if (is_cancelled()) {
+        return [];
+    }
+    let deadline = params.time_budget_ms > 0 ? Date.now() + params.time_budget_ms : null;
+    let should_stop = () => is_cancelled() || (deadline !== null && Date.now() > deadline);
+    let records;
+    let comments;
+    if (cache !== null && !cache.has_error_in_line_range(begin_line, end_line)) {
+        records = cache.get_records_in_line_range(begin_line, end_line);
+        comments = cache.get_comments_in_line_range(begin_line, end_line);
+    } else {
+        // Either there is no cache or the cached records around the range are missing because of a syntax error somewhere nearby, but the range itself might still be parseable.
+        comments = [];
+        records = [];
+        try {
+            // Recovering mode keeps the records around the syntax errors highlighted.
+            doc.parse_line_range(begin_line, end_line, comments, should_stop, records);
+        } catch (e) {
+            if (!(e instanceof json_parse.JsonParsingInterruptedError)) {
+                throw e;
+            }
+            if (is_cancelled()) {
+                return [];
+            }
+            // Out of the time budget: highlight the records parsed so far, that is cheap compared to parsing them.
+            should_stop = is_cancelled;
+        }
+    }
+    let key_matcher = doc.get_key_matcher(params.keys_to_highlight, params.match_suffix_length, params.value_color_key, params.full_scan_max_lines, records);
+    return semantic_tokens.compute_semantic_tokens(doc.get_line, key_matcher, records, comments, begin_line, end_line, should_stop);
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{line: number, character: number}} params - Position in the document.
+ * @returns {string[]|null}
+ */
+function handle_key_path_at_position_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    let errors = cache.get_errors_in_line_range(params.line, params.line);
+    if (errors.length > 0) {
+        console.log('JSON parsing error:', errors[0].message);
+        return null;
+    }
+    let record = cache.find_record_at_position(params);
+    if (!record) {
+        return null;
+    }
+    return rainbow_utils.find_key_path_at_position(record, params, []);
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{line: number, character: number, indent: string|null}} params - Position in the document, see rainbow_utils.format_json_node() for `indent`.
+ * @returns {{line: number, character: number, end_line: number, end_character: number, text: string}|null} - Value range and formatted text of the record at the position.
+ */
+function handle_record_at_position_request(doc, params) {
+    let record = rainbow_utils.find_dataset_record_at_position(doc.get_parse_cache(), params);
+    if (record === null) {
+        return null;
+    }
+    return Object.assign(rainbow_utils.get_node_value_range(record), { text: rainbow_utils.format_json_node(record, params.indent) });
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @returns {{text: string|null}} - See rainbow_utils.format_single_record().
+ */
+function handle_minified_record_request(doc) {
+    return { text: rainbow_utils.format_single_record(doc.get_parse_cache()) };
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{max_problems: number}} params
+ * @returns {json_parse.JsonLineProblem[]}
+ */
+function handle_jsonl_problems_request(doc, params) {
+    let problems = [];
+    for (let lnum = 0; lnum < doc.lines.length && problems.length < params.max_problems; lnum++) {
+        let problem = json_parse.validate_jsonl_line(doc.lines[lnum], lnum);
+        if (problem !== null) {
+            problems.push(problem);
+        }
+    }
+    return problems;
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{expected_path_ratio: number, rare_path_ratio: number}} params
+ * @returns {Object} - See rainbow_utils.calculate_schema_report(), `has_errors` is set if records around syntax errors were skipped.
+ */
+function handle_schema_report_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    let report = rainbow_utils.calculate_schema_report(cache.records, params.expected_path_ratio, params.rare_path_ratio);
+    report.has_errors = cache.errors.length > 0;
+    return report;
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @returns {Object} - See WorkerDocument.get_value_type_report().
+ */
+function handle_value_type_report_request(doc) {
+    return doc.get_value_type_report();
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{line: number, character: number, full_scan_max_lines: number}} params - Position in the document.
+ *   Documents with more lines than `full_scan_max_lines` are not parsed as a whole just for a hover, only the lines around the position are.
+ * @returns {{key_path: string[], display_path: string, count: number|null, type_counts: Object<string, number>|null}|null} - Info about the key at the position,
+ *   `count` and `type_counts` are null if the document wasn't parsed as a whole.
+ */
+function handle_key_info_at_position_request(doc, params) {
+    let record = null;
+    let is_whole_document = doc.can_use_parse_cache(params.full_scan_max_lines);
+    if (is_whole_document) {
+        let cache = doc.get_parse_cache();
+        if (cache.has_error_in_line_range(params.line, params.line)) {
+            return null;
+        }
+        record = cache.find_record_at_position(params);
+    } else {
+        // Key paths are complete if the record starts within the margin, e.g. for JSONL lines or elements of a top-level array, since array levels are not part of key paths.
+        let records = doc.parse_line_range(Math.max(0, params.line - hover_parse_margin_lines), Math.min(doc.lines.length - 1, params.line + hover_parse_margin_lines), []);
+        record = records.find(range_record => range_record.getValueRange().contains(params)) || null;
+    }
+    if (!record) {
+        return null;
+    }
+    let node_chain = rainbow_utils.find_key_node_chain_at_position(record, params, []);
+    if (!node_chain) {
+        return null;
+    }
+    let key_path = rainbow_utils.find_key_path_at_position(record, params, []);
+    let display_path = rainbow_utils.format_display_key_path(node_chain);
+    if (!is_whole_document) {
+        return { key_path, display_path, count: null, type_counts: null };
+    }
+    let signature = rainbow_utils.get_normalized_path_signature(key_path);
+    let value_type_stats = doc.get_value_type_report().paths.find(stats => rainbow_utils.get_normalized_path_signature(stats.path) === signature);
+    return {
+        key_path,
+        display_path,
+        count: doc.get_key_counts().get(signature) || 0,
+        type_counts: value_type_stats ? value_type_stats.type_counts : {},
+    };
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @returns {{nodes: Object[], has_errors: boolean}} - See rainbow_utils.build_schema_tree().
+ */
+function handle_schema_tree_request(doc) {
+    return doc.get_report('schema_tree', (records) => ({ nodes: rainbow_utils.build_schema_tree(records), has_errors: doc.cache.errors.length > 0 }));
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{key_path: string[], line: number, character: number, backward: boolean}} params
+ * @returns {{line: number, character: number, length: number}|null}
+ */
+function handle_adjacent_key_occurrence_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    return rainbow_utils.find_adjacent_key_occurrence(cache.records, params.key_path, params, params.backward);
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{key_path: string[]}} params
+ * @returns {{line: number, character: number, end_line: number, end_character: number}[]}
+ */
+function handle_key_value_ranges_request(doc, params) {
+    return rainbow_utils.find_key_value_ranges(doc.get_parse_cache().records, params.key_path);
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{value_color_key: string, match_suffix_length: number|null, begin_line: number, end_line: number}} params - Line range is inclusive.
+ * @returns {{line: number, end_line: number, color_index: number}[]} - See rainbow_utils.find_record_value_colors().
+ */
+function handle_record_value_colors_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    let records = rainbow_utils.get_dataset_records(cache.get_records_in_line_range(params.begin_line, params.end_line));
+    // Elements of a huge top-level array are not all in the range.
+    let first_idx = parse_cache.find_first_index(records, record => record.end_position.line >= params.begin_line);
+    let last_idx = parse_cache.find_first_index(records, record => record.start_position.line > params.end_line);
+    records = records.slice(first_idx, Math.max(first_idx, last_idx));
+    let key_matcher = doc.get_key_matcher([], params.match_suffix_length, params.value_color_key);
+    return rainbow_utils.find_record_value_colors(records, key_matcher);
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{max_rows: number}} params
+ * @returns {{column_paths: string[][], rows: {line: number, character: number, cells: Object[]}[], record_count: number, has_errors: boolean}}
+ *   Only the first `max_rows` records are included, see rainbow_utils.get_record_table_cells() for the cells.
+ */
+function handle_table_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    let records = rainbow_utils.get_dataset_records(cache.records);
+    let column_paths = rainbow_utils.get_table_column_paths(records);
+    let column_indexes = new Map(column_paths.map((path, idx) => [rainbow_utils.get_normalized_path_signature(path), idx]));
+    let rows = records.slice(0, params.max_rows).map(record => ({
+        line: record.start_position.line,
+        character: record.start_position.character,
+        cells: rainbow_utils.get_record_table_cells(doc.get_line, record, column_indexes),
+    }));
+    return { column_paths, rows, record_count: records.length, has_errors: cache.errors.length > 0 };
+}
+
+/**
+ * @param {WorkerDocument} doc
+ * @param {{delimiter: string, explode_arrays: boolean}} params
+ * @returns {{text: string|null, error: string|null, record_count: number, has_errors: boolean}} - See rainbow_utils.export_records_as_delimited_text().
+ *   `text` is null if a value can't be serialized, `error` tells why.
+ */
+function handle_delimited_export_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    let has_errors = cache.errors.length > 0;
+    let records = rainbow_utils.get_dataset_records(cache.records);
+    let text;
+    try {
+        text = rainbow_utils.export_records_as_delimited_text(records, params.delimiter, params.explode_arrays);
+    } catch (e) {
+        if (!(e instanceof rainbow_utils.JsonConversionError)) {
+            throw e;
+        }
+        return { text: null, error: `${e.message} (line ${e.line_num + 1})`, record_count: 0, has_errors };
+    }
+    return { text, error: null, record_count: records.length, has_errors };
+}
+
+/**
+ * JSON5 and JSONC records are converted to standard JSON.
+ * @param {WorkerDocument} doc
+ * @param {{target: string, indent: string|null}} params - `target` is 'jsonl' or 'json_array', see rainbow_utils.format_json_node() for `indent`.
+ * @returns {{text: string|null, error: string|null, record_count: number, has_errors: boolean}} - `text` is null if the document can't be converted, `error` tells why.
+ */
+function handle_format_conversion_request(doc, params) {
+    let cache = doc.get_parse_cache();
+    let has_errors = cache.errors.length > 0;
+    let records = cache.records;
+    if (params.target === 'jsonl') {
+        if (records.length !== 1 || records[0].node_type !== 'ARRAY') {
+            return { text: null, error: has_errors ? 'the document has syntax errors' : 'the document is not a JSON array', record_count: 0, has_errors };
+        }
+        records = records[0].children;
+    }
+    let text;
+    try {
+        if (params.target === 'jsonl') {
+            text = records.map(record => rainbow_utils.format_json_node(record, /*indent=*/null, /*to_standard_json=*/true) + '\n').join('');
+        } else {
+            let element_texts = records.map(record => rainbow_utils.format_json_node(record, params.indent, /*to_standard_json=*/true, /*depth=*/1));
+            text = rainbow_utils.format_json_array_text(element_texts, params.indent);
+        }
+    } catch (e) {
+        if (!(e instanceof rainbow_utils.JsonConversionError)) {
+            throw e;
+        }
+        return { text: null, error: `${e.message} (line ${e.line_num + 1})`, record_count: 0, has_errors };
+    }
+    return { text, error: null, record_count: records.length, has_errors };
+}
+
+const request_handlers = {
+    key_stats: handle_key_stats_request,
+    semantic_tokens: handle_semantic_tokens_request,
+    key_path_at_position: handle_key_path_at_position_request,
+    jsonl_problems: handle_jsonl_problems_request,
+    schema_report: handle_schema_report_request,
+    value_type_report: handle_value_type_report_request,
+    key_info_at_position: handle_key_info_at_position_request,
+    schema_tree: handle_schema_tree_request,
+    adjacent_key_occurrence: handle_adjacent_key_occurrence_request,
+    key_value_ranges: handle_key_value_ranges_request,
+    record_value_colors: handle_record_value_colors_request,
+    table: handle_table_request,
+    delimited_export: handle_delimited_export_request,
+    format_conversion: handle_format_conversion_request,
+    record_at_position: handle_record_at_position_request,
+    minified_record: handle_minified_record_request,
+};
+
+/**
+ * @param {Object} message
+ * @returns {Object} - Reply to the request message.
+ */
+function handle_request(message) {
+    let reply = { request_id: message.request_id };
+    let cancellation_flag = message.cancellation_flag;
+    let is_cancelled = () => cancellation_flag !== null && Atomics.load(cancellation_flag, 0) !== 0;
+    if (is_cancelled()) {
+        reply.cancelled = true;
+        return reply;
+    }
+    let doc = documents.get(message.doc_id);
+    if (!doc || doc.version !== message.version) {
+        reply.error = `Document ${message.doc_id} version ${message.version} is not synchronized with the parse worker`;
+        return reply;
+    }
+    try {
+        reply.result = request_handlers[message.request_type](doc, message.params, is_cancelled);
+    } catch (e) {
+        reply.error = e.stack || String(e);
+    }
+    if (is_cancelled()) {
+        delete reply.result;
+        delete reply.error;
+        reply.cancelled = true;
+    }
+    return reply;
+}
+
+/**
+ * @param {Object} message
+ */
+function handle_message(message) {
+    if (message.type === 'open') {
+        documents.set(message.doc_id, new WorkerDocument(message.language_id, message.version, message.text));
+    } else if (message.type === 'change') {
+        let doc = documents.get(message.doc_id);
+        if (doc) {
+            doc.apply_changes(message.version, message.changes);
+        }
+    } else if (message.type === 'close') {
+        documents.delete(message.doc_id);
+    } else if (message.type === 'request') {
+        worker_threads.parentPort.postMessage(handle_request(message));
+    }
+}
+
+if (worker_threads.parentPort !== null) {
+    worker_threads.parentPort.on('message', handle_message);
+}
+
+// Exported for the unit tests, the extension only talks to the worker through messages.
+module.exports = { WorkerDocument, handle_semantic_tokens_request, handle_key_info_at_position_request };
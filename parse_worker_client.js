@@ -0,0 +1,160 @@
+const path = require('path');
+const worker_threads = require('worker_threads');
+
+class RequestCancelledError extends Error {
+    constructor() {
+        super('Request was cancelled');
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Creates a flag that can be raised from the main thread while the worker is busy, the worker checks it with Atomics.load().
+ * @returns {Int32Array}
+ */
+function create_cancellation_flag() {
+    return new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+}
+
+/**
+ * @param {Int32Array} cancellation_flag
+ */
+function raise_cancellation_flag(cancellation_flag) {
+    Atomics.store(cancellation_flag, 0, 1);
+}
+
+class ParseWorkerClient {
+    // The worker keeps its own copy of each document: the full text is sent once and then only the changes.
+    // If a change can't be mirrored (e.g. some events were missed) the document is re-sent before the next request.
+    constructor() {
+        /** @type {worker_threads.Worker|null} */
+        this.worker = null;
+        this.next_request_id = 1;
+        this.pending_requests = new Map(); // request_id -> {resolve, reject}
+        this.synced_documents = new Map(); // doc_id -> {version, language_id} of the document copy in the worker.
+    }
+
+    /**
+     * @returns {worker_threads.Worker}
+     */
+    get_worker() {
+        if (this.worker !== null) {
+            return this.worker;
+        }
+        let worker = new worker_threads.Worker(path.join(__dirname, 'parse_worker.js'));
+        worker.on('message', (reply) => {
+            let pending = this.pending_requests.get(reply.request_id);
+            if (!pending) {
+                return;
+            }
+            this.pending_requests.delete(reply.request_id);
+            if (reply.cancelled) {
+                pending.reject(new RequestCancelledError());
+            } else if (reply.error !== undefined) {
+                pending.reject(new Error(reply.error));
+            } else {
+                pending.resolve(reply.result);
+            }
+        });
+        let handle_failure = (error) => {
+            if (this.worker !== worker) {
+                return;
+            }
+            console.error('Rainbow JSON parse worker failed:', error);
+            this.reset(error);
+        };
+        worker.on('error', handle_failure);
+        worker.on('exit', (exit_code) => handle_failure(new Error(`Parse worker exited with code ${exit_code}`)));
+        this.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Forgets the current worker, it will be restarted and the documents re-sent on the next request.
+     * @param {Error} error - Pending requests are rejected with this error.
+     */
+    reset(error) {
+        let worker = this.worker;
+        this.worker = null;
+        this.synced_documents.clear();
+        for (let pending of this.pending_requests.values()) {
+            pending.reject(error);
+        }
+        this.pending_requests.clear();
+        if (worker !== null) {
+            worker.terminate();
+        }
+    }
+
+    /**
+     * @param {string} doc_id
+     * @param {number} version
+     * @param {string} language_id
+     * @param {function(): string} get_text - Only called if the worker doesn't have this version of the document yet.
+     */
+    sync_document(doc_id, version, language_id, get_text) {
+        let synced = this.synced_documents.get(doc_id);
+        if (synced && synced.version === version && synced.language_id === language_id) {
+            return;
+        }
+        this.get_worker().postMessage({ type: 'open', doc_id, version, language_id, text: get_text() });
+        this.synced_documents.set(doc_id, { version, language_id });
+    }
+
+    /**
+     * @param {string} doc_id
+     * @param {number} version - Document version after the changes.
+     * @param {{start_line: number, start_character: number, end_line: number, end_character: number, text: string}[]} changes - Applied sequentially.
+     */
+    change_document(doc_id, version, changes) {
+        let synced = this.synced_documents.get(doc_id);
+        if (!synced) {
+            return;
+        }
+        if (synced.version !== version - 1 || this.worker === null) {
+            // Some changes were missed, the document will be re-sent on the next request.
+            this.synced_documents.delete(doc_id);
+            return;
+        }
+        this.worker.postMessage({ type: 'change', doc_id, version, changes });
+        synced.version = version;
+    }
+
+    /**
+     * @param {string} doc_id
+     */
+    close_document(doc_id) {
+        if (this.synced_documents.delete(doc_id) && this.worker !== null) {
+            this.worker.postMessage({ type: 'close', doc_id });
+        }
+    }
+
+    /**
+     * The document must be synchronized with sync_document() first.
+     * @param {string} request_type - One of request_handlers in parse_worker.js.
+     * @param {string} doc_id
+     * @param {number} version
+     * @param {Object} params
+     * @param {Int32Array|null} [cancellation_flag=null] - See create_cancellation_flag().
+     * @returns {Promise<any>} - Rejected with RequestCancelledError if the flag was raised before the worker finished the request.
+     */
+    request(request_type, doc_id, version, params, cancellation_flag=null) {
+        let request_id = this.next_request_id++;
+        let worker = this.get_worker();
+        return new Promise((resolve, reject) => {
+            this.pending_requests.set(request_id, { resolve, reject });
+            worker.postMessage({ type: 'request', request_id, request_type, doc_id, version, params, cancellation_flag });
+        });
+    }
+
+    dispose() {
+        this.reset(new Error('Parse worker was disposed'));
+    }
+}
+
+module.exports = {
+    ParseWorkerClient,
+    RequestCancelledError,
+    create_cancellation_flag,
+    raise_cancellation_flag
+};
@@ -1,9 +1,396 @@
 const json_parse = require('./json_parse');
+const parse_cache = require('./parse_cache');
+
+/**
+ * Keys are compared by their decoded value, so that JSON5 `name`, `'name'` and `"name"` are the same key as the JSON-quoted keys from the workspace config.
+ * @param {string} key - Raw key token or a pattern key, see make_pattern_key().
+ * @returns {string} - The key as a JSON string, pattern keys are kept as is.
+ */
+function normalize_key(key) {
+    if (key[0] === '"' && key.indexOf('\\') === -1) {
+        return key; // Standard JSON key without escapes, by far the most common case.
+    }
+    if (key[0] === '"' || key[0] === "'") {
+        return JSON.stringify(decode_json_string(key));
+    }
+    if (key.startsWith(PATTERN_KEY_PREFIX)) {
+        return key;
+    }
+    // JSON5 identifier, it can only contain unicode escapes.
+    return JSON.stringify(key.replace(/\\u([0-9a-fA-F]{4})/g, (_match, code) => String.fromCharCode(parseInt(code, 16))));
+}
 
 function get_path_signature(path) {
     return path ? path.join('->') : null;
 }
 
+/**
+ * Signature that is the same for the paths which keys differ only in quoting or escapes, see normalize_key().
+ * Used by the key matcher, the key statistics and the schema tree, so that workspace config keys and JSON5 keys with any quoting are the same key.
+ * @param {string[]|null} path - Raw key tokens.
+ * @returns {string|null}
+ */
+function get_normalized_path_signature(path) {
+    return path ? path.map(normalize_key).join('->') : null;
+}
+
+// Pattern rules share color slots with exact key paths: they are stored as single-element "paths" with this prefix, which can't start a JSON key token.
+const PATTERN_KEY_PREFIX = 'pattern:';
+
+/**
+ * @param {string} pattern_text - E.g. "users.*.email".
+ * @returns {string[]} - Key path representation of the pattern rule.
+ */
+function make_pattern_key(pattern_text) {
+    return [PATTERN_KEY_PREFIX + pattern_text];
+}
+
+/**
+ * @param {string} signature - Path signature.
+ * @returns {string|null} - Pattern text if the signature belongs to a pattern rule.
+ */
+function get_pattern_text(signature) {
+    return signature.startsWith(PATTERN_KEY_PREFIX) ? signature.slice(PATTERN_KEY_PREFIX.length) : null;
+}
+
+/**
+ * Parses a key path pattern like `users.*.email`, `**.id` or `data[*].meta.*`.
+ * `*` matches one key (or any part of a key name e.g. `*_id`), `**` matches any number of keys.
+ * Array levels are transparent in key paths, so `[*]` markers are optional and ignored. Keys with special characters can be written as JSON strings: `"a.b".c`.
+ * @param {string} pattern_text
+ * @returns {(RegExp|null)[]} - Matchers of key names from root to leaf, null stands for `**`.
+ * @throws {Error} - If the pattern is malformed.
+ */
+function parse_key_path_pattern(pattern_text) {
+    let segments = [];
+    let pos = 0;
+    while (pos < pattern_text.length) {
+        let segment = null;
+        let is_quoted = pattern_text[pos] === '"';
+        if (is_quoted) {
+            let string_match = /^"(?:[^"\\]|\\.)*"/.exec(pattern_text.slice(pos));
+            if (!string_match) {
+                throw new Error(`Unterminated string at position ${pos}`);
+            }
+            segment = JSON.parse(string_match[0]);
+            pos += string_match[0].length;
+        } else {
+            let end = pos;
+            while (end < pattern_text.length && pattern_text[end] !== '.' && pattern_text[end] !== '[') {
+                end += 1;
+            }
+            segment = pattern_text.slice(pos, end);
+            pos = end;
+        }
+        let has_array_marker = false;
+        while (pattern_text.startsWith('[*]', pos) || pattern_text.startsWith('[]', pos)) {
+            pos += pattern_text.startsWith('[*]', pos) ? 3 : 2;
+            has_array_marker = true;
+        }
+        if (pos < pattern_text.length) {
+            if (pattern_text[pos] !== '.') {
+                throw new Error(`Unexpected "${pattern_text[pos]}" at position ${pos}`);
+            }
+            pos += 1;
+            if (pos === pattern_text.length) {
+                throw new Error('Pattern ends with "."');
+            }
+        }
+        if (!is_quoted && segment === '') {
+            if (!has_array_marker) {
+                throw new Error('Empty key name in pattern');
+            }
+            continue; // Array level without a key, e.g. `[*].id` for a top-level array.
+        }
+        if (!is_quoted && segment === '**') {
+            segments.push(null);
+        } else if (is_quoted) {
+            segments.push(new RegExp('^' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$'));
+        } else {
+            segments.push(new RegExp('^' + segment.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'));
+        }
+    }
+    if (!segments.length) {
+        throw new Error('Empty pattern');
+    }
+    return segments;
+}
+
+/**
+ * @param {(RegExp|null)[]} segments - Result of parse_key_path_pattern().
+ * @param {string[]} key_names - Unquoted key names from root to leaf.
+ * @returns {boolean}
+ */
+function match_key_path_pattern(segments, key_names) {
+    let match_from = (segment_idx, key_idx) => {
+        if (segment_idx === segments.length) {
+            return key_idx === key_names.length;
+        }
+        if (segments[segment_idx] === null) {
+            for (let next_key_idx = key_idx; next_key_idx <= key_names.length; next_key_idx++) {
+                if (match_from(segment_idx + 1, next_key_idx)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        return key_idx < key_names.length && segments[segment_idx].test(key_names[key_idx]) && match_from(segment_idx + 1, key_idx + 1);
+    };
+    return match_from(0, 0);
+}
+
+/**
+ * Checks that `prefix_signature` is a prefix of `signature` on a path element boundary.
+ * A plain startsWith check is not enough for JSON5 unquoted keys, e.g. "id" is a string prefix of "idx".
+ * @param {string} signature
+ * @param {string} prefix_signature
+ * @returns {boolean}
+ */
+function is_path_signature_prefix(signature, prefix_signature) {
+    return signature === prefix_signature || signature.startsWith(prefix_signature + '->');
+}
+
+const MATCH_MODE_FULL_PATH = 'full_path';
+const MATCH_MODE_LEAF_KEY = 'leaf_key';
+
+/**
+ * @param {string} match_mode - "full_path", "leaf_key" or "path_suffix(N)".
+ * @returns {number|null} - Number of trailing path elements to compare, null to compare full paths.
+ */
+function parse_match_mode(match_mode) {
+    if (match_mode === MATCH_MODE_LEAF_KEY) {
+        return 1;
+    }
+    let suffix_match = /^path_suffix\((\d+)\)$/.exec(match_mode);
+    if (suffix_match && Number(suffix_match[1]) > 0) {
+        return Number(suffix_match[1]);
+    }
+    return null; // MATCH_MODE_FULL_PATH or an unknown value.
+}
+
+/**
+ * @param {string[]} reversed_path - Leaf->root key path.
+ * @param {number|null} match_suffix_length - See parse_match_mode().
+ * @returns {string[]} - The part of the path that is compared in the match mode.
+ */
+function get_matched_reversed_path(reversed_path, match_suffix_length) {
+    return match_suffix_length === null ? reversed_path : reversed_path.slice(0, match_suffix_length);
+}
+
+class KeyPathMatcher {
+    /**
+     * @param {(string|null)[]} keys_to_highlight - Normalized signatures (see get_normalized_path_signature()) of reversed paths already shortened with get_matched_reversed_path(), null for empty color slots.
+     *   Signatures of pattern rules (see make_pattern_key()) match paths with the pattern instead.
+     * @param {number|null} [match_suffix_length=null] - See parse_match_mode(), patterns always match the full path.
+     * @param {string|null} [value_color_key=null] - Normalized signature of the matched reversed path which scalar values are colored by value instead of by key.
+     * @param {Map<string, number>|null} [value_color_indexes=null] - See collect_value_color_indexes(), values missing from it get get_value_hash_color_index().
+     */
+    constructor(keys_to_highlight, match_suffix_length=null, value_color_key=null, value_color_indexes=null) {
+        this.keys_to_highlight = keys_to_highlight;
+        this.match_suffix_length = match_suffix_length;
+        this.value_color_key = value_color_key;
+        this.value_color_indexes = value_color_indexes || new Map();
+        this.pattern_segments = keys_to_highlight.map(key => {
+            let pattern_text = key ? get_pattern_text(key) : null;
+            if (pattern_text === null) {
+                return null;
+            }
+            try {
+                return parse_key_path_pattern(pattern_text);
+            } catch (e) {
+                return null; // Malformed patterns are rejected when they are added, this can only be a stale pattern from an old version.
+            }
+        });
+        this.has_patterns = this.pattern_segments.some(segments => segments !== null);
+    }
+
+    /**
+     * Exact keys take precedence over patterns.
+     * The path of a node from a partially parsed record can lack the root-side keys, so it matches highlighted keys that it is a prefix of.
+     * @param {string[]} reversed_path - Leaf->root key path of a node.
+     * @returns {number} - Index of the first color slot which key matches the path or -1.
+     */
+    find_slot(reversed_path) {
+        let signature = get_normalized_path_signature(get_matched_reversed_path(reversed_path, this.match_suffix_length));
+        let slot = this.keys_to_highlight.findIndex((key, idx) => key && this.pattern_segments[idx] === null && is_path_signature_prefix(key, signature));
+        if (slot !== -1 || !this.has_patterns) {
+            return slot;
+        }
+        let key_names = reversed_path.map(key => format_key_path([key])).reverse();
+        return this.pattern_segments.findIndex(segments => segments !== null && match_key_path_pattern(segments, key_names));
+    }
+
+    /**
+     * @param {string[]} reversed_path - Leaf->root key path of a node.
+     * @returns {boolean}
+     */
+    is_value_color_path(reversed_path) {
+        if (this.value_color_key === null) {
+            return false;
+        }
+        let signature = get_normalized_path_signature(get_matched_reversed_path(reversed_path, this.match_suffix_length));
+        return is_path_signature_prefix(this.value_color_key, signature);
+    }
+
+    /**
+     * @param {string} value - Scalar token text.
+     * @returns {number} - Color index of the value, not limited to the number of color slots.
+     */
+    get_value_color_index(value) {
+        let normalized_value = normalize_scalar_value(value);
+        let index = this.value_color_indexes.get(normalized_value);
+        return index === undefined ? get_value_hash_color_index(normalized_value) : index;
+    }
+}
+
+/**
+ * String values are compared without quotes, so that JSON5 'INFO' and "INFO" get the same color.
+ * @param {string} value - Scalar token text.
+ * @returns {string}
+ */
+function normalize_scalar_value(value) {
+    if (value.length >= 2 && (value[0] === '"' || value[0] === "'") && value[value.length - 1] === value[0]) {
+        return value.slice(1, -1);
+    }
+    return value;
+}
+
+const json5_escape_chars = { 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t', 'v': '\v', '0': '\0' };
+
+/**
+ * Decodes a JSON or JSON5 string token: single quotes, escapes like `\x41` or `\'` and line continuations of multi-line strings.
+ * @param {string} text - String token text with quotes.
+ * @returns {string}
+ */
+function decode_json_string(text) {
+    if (text[0] === '"') {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            // JSON5 escape sequences, decoded below.
+        }
+    }
+    return text.slice(1, -1).replace(/\\(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|(\r\n|[\n\r\u2028\u2029])|([\s\S]))/g, (_match, hex, unicode, line_break, char) => {
+        if (hex !== undefined || unicode !== undefined) {
+            return String.fromCharCode(parseInt(hex !== undefined ? hex : unicode, 16));
+        }
+        if (line_break !== undefined) {
+            return '';
+        }
+        return Object.prototype.hasOwnProperty.call(json5_escape_chars, char) ? json5_escape_chars[char] : char;
+    });
+}
+
+/**
+ * Fallback for values that were not seen by collect_value_color_indexes(), e.g. in a document with syntax errors.
+ * The index is stable but can collide with the indexes of other values.
+ * @param {string} normalized_value
+ * @returns {number}
+ */
+function get_value_hash_color_index(normalized_value) {
+    // FNV-1a.
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized_value.length; i++) {
+        hash ^= normalized_value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Numbers distinct values of the key path in the order of their first occurrence, so that each value has the same color everywhere in the document.
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @param {string} value_color_key - Normalized signature of the matched reversed key path.
+ * @param {number|null} match_suffix_length - See parse_match_mode().
+ * @param {Map<string, number>|null} [value_color_indexes=null] - Indexes collected before, values missing from it are appended without renumbering the others.
+ * @returns {Map<string, number>} - Normalized scalar value -> color index.
+ */
+function collect_value_color_indexes(records, value_color_key, match_suffix_length, value_color_indexes=null) {
+    let key_matcher = new KeyPathMatcher([], match_suffix_length, value_color_key);
+    value_color_indexes = value_color_indexes || new Map();
+    let visit = (node, reversed_path) => {
+        if (node.parent_key) {
+            reversed_path = [node.parent_key].concat(reversed_path);
+            if (node.node_type === 'SCALAR' && node.value !== null && key_matcher.is_value_color_path(reversed_path)) {
+                let normalized_value = normalize_scalar_value(node.value);
+                if (!value_color_indexes.has(normalized_value)) {
+                    value_color_indexes.set(normalized_value, value_color_indexes.size);
+                }
+            }
+        }
+        for (let child of node.children) {
+            visit(child, reversed_path);
+        }
+    };
+    for (let record of records) {
+        visit(record, []);
+    }
+    return value_color_indexes;
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} reversed_path
+ * @param {KeyPathMatcher} key_matcher
+ * @returns {string|null} - The first scalar value with the value color path in the node.
+ */
+function find_value_color_value(node, reversed_path, key_matcher) {
+    if (node.parent_key) {
+        reversed_path = [node.parent_key].concat(reversed_path);
+        if (node.node_type === 'SCALAR' && node.value !== null && key_matcher.is_value_color_path(reversed_path)) {
+            return node.value;
+        }
+    }
+    for (let child of node.children) {
+        let value = find_value_color_value(child, reversed_path, key_matcher);
+        if (value !== null) {
+            return value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the records to tint by the value of the value color key, a record that has several values of the key is tinted by the first one.
+ * @param {json_parse.RainbowJsonNode[]} records - Dataset records, see get_dataset_records().
+ * @param {KeyPathMatcher} key_matcher - Matcher with the value color key.
+ * @returns {{line: number, end_line: number, color_index: number}[]} - Line ranges of the records (end line inclusive) in document order.
+ */
+function find_record_value_colors(records, key_matcher) {
+    let result = [];
+    for (let record of records) {
+        let value = find_value_color_value(record, [], key_matcher);
+        if (value !== null) {
+            result.push({ line: record.start_position.line, end_line: record.end_position.line, color_index: key_matcher.get_value_color_index(value) });
+        }
+    }
+    return result;
+}
+
+/**
+ * Merges frequency stats of paths that are the same in the match mode, e.g. "a->id" and "b->id" in leaf key mode.
+ * @param {{path: string[], count: number}[]} stats - Sorted by frequency, see calculate_records_key_frequency_stats().
+ * @param {number|null} match_suffix_length - See parse_match_mode().
+ * @returns {{path: string[], count: number}[]} - Root->leaf matched paths sorted by frequency.
+ */
+function merge_key_frequency_stats(stats, match_suffix_length) {
+    if (match_suffix_length === null) {
+        return stats;
+    }
+    let merged = new Map();
+    for (let stat of stats) {
+        let path = get_matched_reversed_path(stat.path.slice().reverse(), match_suffix_length).reverse();
+        let signature = get_normalized_path_signature(path);
+        if (merged.has(signature)) {
+            merged.get(signature).count += stat.count;
+        } else {
+            merged.set(signature, { path, count: stat.count, order: merged.size });
+        }
+    }
+    let sorted_stats = Array.from(merged.values()).sort((a, b) => b.count - a.count || a.order - b.order);
+    return sorted_stats.map(stat => ({ path: stat.path, count: stat.count }));
+}
+
 /**
  * Recursively collects all (key, path) pairs from a node
  * @param {json_parse.RainbowJsonNode} node
@@ -14,7 +401,7 @@ function collect_keys_from_node(node, path, freq_map) {
     path = path.slice();
     if (node.parent_key) { // Array elements don't have parent keys.
         path.push(node.parent_key);
-        let path_key = get_path_signature(path);
+        let path_key = get_normalized_path_signature(path);
         if (freq_map.has(path_key)) {
             freq_map.get(path_key).count++;
         } else {
@@ -30,15 +417,28 @@ function collect_keys_from_node(node, path, freq_map) {
     }
 }
 
-function calculate_key_frequency_stats(lines, line_nums) {
+/**
+ * @param {string[]} lines
+ * @param {number[]} line_nums
+ * @param {json_parse.JsonDialect} [dialect=json_parse.JSON_DIALECT]
+ * @returns {{path: string[], count: number}[]}
+ */
+function calculate_key_frequency_stats(lines, line_nums, dialect=json_parse.JSON_DIALECT) {
     let records = [];
     try {
         // TODO in stats calculation we can do less robust error handling than in incremental parsing to ensure that we can use 'root' as the first path element.
-        records = json_parse.parse_json_objects(lines, line_nums);
+        records = json_parse.parse_json_objects(lines, line_nums, dialect);
     } catch (e) {
         return [];
     }
+    return calculate_records_key_frequency_stats(records);
+}
 
+/**
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @returns {{path: string[], count: number}[]}
+ */
+function calculate_records_key_frequency_stats(records) {
     // Collect all (key, path) pairs with frequency and first-seen order
     let freq_map = new Map();
     for (let record of records) {
@@ -60,7 +460,1398 @@ function calculate_key_frequency_stats(lines, line_nums) {
     return sorted_pairs.slice().map(item => ({ path: item.path, count: item.count }));
 }
 
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {{line: number, character: number}} position
+ * @param {json_parse.RainbowJsonNode[]} current_chain - Ancestors of the node.
+ * @returns {json_parse.RainbowJsonNode[]|null} - Nodes from the record root to the node which key (or scalar value) is at position.
+ */
+function find_key_node_chain_at_position(node, position, current_chain) {
+    current_chain = current_chain.concat([node]);
+    if (node.parent_key) {
+        let parent_key_range = node.getParentKeyRange();
+        if (parent_key_range && parent_key_range.contains(position)) {
+            return current_chain;
+        }
+
+        // For scalar nodes, also check if position is within the value
+        if (node.node_type === 'SCALAR') {
+            let scalar_range = node.getValueRange();
+            if (scalar_range && scalar_range.contains(position)) {
+                return current_chain;
+            }
+        }
+    }
+
+    // Recursively check children
+    for (let child of node.children) {
+        let result = find_key_node_chain_at_position(child, position, current_chain);
+        if (result) {
+            return result;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find the key path at a given position in the document
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {{line: number, character: number}} position
+ * @param {string[]} current_path
+ * @returns {string[]|null} - The path to the key at position, or null if not found
+ */
+function find_key_path_at_position(node, position, current_path) {
+    let chain = find_key_node_chain_at_position(node, position, []);
+    if (!chain) {
+        return null;
+    }
+    return current_path.concat(chain.filter(chain_node => chain_node.parent_key).map(chain_node => chain_node.parent_key));
+}
+
+/**
+ * Unlike key paths, display paths show array levels, e.g. "items->[ ]->sku".
+ * @param {json_parse.RainbowJsonNode[]} node_chain - See find_key_node_chain_at_position().
+ * @returns {string}
+ */
+function format_display_key_path(node_chain) {
+    let segments = [];
+    for (let node of node_chain) {
+        if (node.parent_key) {
+            segments.push(format_key_path([node.parent_key]));
+        } else if (node.parent_array_index !== null) {
+            segments.push('[ ]');
+        }
+    }
+    return segments.join('->');
+}
+
+/**
+ * @param {string[]} path - Raw key tokens, e.g. ['"user"', '"id"'].
+ * @returns {string} - Human-readable path with unquoted keys, e.g. "user->id".
+ */
+function format_key_path(path) {
+    return path.map(key => {
+        if (key.startsWith('"')) {
+            try {
+                return JSON.parse(key);
+            } catch (e) {
+                return key;
+            }
+        }
+        if (key.startsWith("'")) {
+            return key.slice(1, -1); // JSON5 single-quoted key.
+        }
+        return key;
+    }).join('->');
+}
+
+/**
+ * A JSON dataset can be a single top-level array of records instead of JSONL, in that case the array elements are the records.
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @returns {json_parse.RainbowJsonNode[]}
+ */
+function get_dataset_records(records) {
+    if (records.length === 1 && records[0].node_type === 'ARRAY') {
+        return records[0].children;
+    }
+    return records;
+}
+
+/**
+ * Collects distinct key paths of a record together with the first node that has each path.
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} path
+ * @param {Map<string, {path: string[], node: json_parse.RainbowJsonNode}>} dst_paths - Path signature -> path info.
+ */
+function collect_record_paths(node, path, dst_paths) {
+    if (node.parent_key) { // Array elements don't have parent keys.
+        path = path.concat([node.parent_key]);
+        let signature = get_normalized_path_signature(path);
+        if (!dst_paths.has(signature)) {
+            dst_paths.set(signature, { path, node });
+        }
+    }
+    for (let child of node.children) {
+        collect_record_paths(child, path, dst_paths);
+    }
+}
+
+/**
+ * Finds key paths that most records have and the records that don't, as well as key paths that only a few records have e.g. because of a typo.
+ * A missing or rare key path is only reported at the top level, i.e. children of a missing key are not reported as missing too.
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @param {number} expected_path_ratio - Key paths present in at least this share of records are expected in every record.
+ * @param {number} rare_path_ratio - Key paths present in at most this share of records are rare.
+ * @returns {{
+ *   record_count: number,
+ *   paths: {path: string[], record_count: number}[],
+ *   records_missing_expected_paths: {line_num: number, missing_paths: string[][]}[],
+ *   rare_path_occurrences: {path: string[], line_num: number, position: number, length: number}[]
+ * }} - Paths are sorted by the number of records that have them.
+ */
+function calculate_schema_report(records, expected_path_ratio, rare_path_ratio) {
+    records = get_dataset_records(records);
+    let path_stats = new Map();
+    let per_record_paths = [];
+    for (let record of records) {
+        let record_paths = new Map();
+        collect_record_paths(record, [], record_paths);
+        per_record_paths.push(record_paths);
+        for (let [signature, path_info] of record_paths) {
+            if (path_stats.has(signature)) {
+                path_stats.get(signature).record_count += 1;
+            } else {
+                path_stats.set(signature, { path: path_info.path, record_count: 1, order: path_stats.size });
+            }
+        }
+    }
+    let record_count = records.length;
+    let paths = Array.from(path_stats.values()).sort((a, b) => b.record_count - a.record_count || a.order - b.order);
+    let is_expected = (stat) => stat.record_count >= record_count * expected_path_ratio;
+    let is_rare = (stat) => stat.record_count <= record_count * rare_path_ratio && stat.record_count < record_count;
+    let expected_paths = paths.filter(is_expected);
+    let rare_signatures = new Set(paths.filter(is_rare).map(stat => get_normalized_path_signature(stat.path)));
+
+    let records_missing_expected_paths = [];
+    let rare_path_occurrences = [];
+    for (let i = 0; i < records.length; i++) {
+        let record_paths = per_record_paths[i];
+        let has_parent = (path) => path.length === 1 || record_paths.has(get_normalized_path_signature(path.slice(0, -1)));
+        let missing_paths = expected_paths.filter(stat => !record_paths.has(get_normalized_path_signature(stat.path)) && has_parent(stat.path)).map(stat => stat.path);
+        if (missing_paths.length) {
+            records_missing_expected_paths.push({ line_num: records[i].start_position.line, missing_paths });
+        }
+        for (let [signature, path_info] of record_paths) {
+            let parent_signature = get_normalized_path_signature(path_info.path.slice(0, -1));
+            if (rare_signatures.has(signature) && !rare_signatures.has(parent_signature)) {
+                let key_position = path_info.node.parent_key_position;
+                rare_path_occurrences.push({ path: path_info.path, line_num: key_position.line, position: key_position.character, length: path_info.node.parent_key.length });
+            }
+        }
+    }
+    return {
+        record_count,
+        paths: paths.map(stat => ({ path: stat.path, record_count: stat.record_count })),
+        records_missing_expected_paths,
+        rare_path_occurrences,
+    };
+}
+
+/**
+ * Merges key paths of all records into a single tree, array levels are transparent same as in key paths.
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @returns {{key: string, path: string[], count: number, children: Object[]}[]} - Top-level schema nodes in first-seen order, `count` is the number of occurrences of the path.
+ */
+function build_schema_tree(records) {
+    let root = { children: [], children_by_key: new Map() };
+    let add_node = (node, schema_parent) => {
+        let schema_node = schema_parent;
+        if (node.parent_key) {
+            let normalized_key = normalize_key(node.parent_key);
+            schema_node = schema_parent.children_by_key.get(normalized_key);
+            if (!schema_node) {
+                let path = schema_parent.path ? schema_parent.path.concat([node.parent_key]) : [node.parent_key];
+                schema_node = { key: node.parent_key, path, count: 0, children: [], children_by_key: new Map() };
+                schema_parent.children_by_key.set(normalized_key, schema_node);
+                schema_parent.children.push(schema_node);
+            }
+            schema_node.count += 1;
+        }
+        for (let child of node.children) {
+            add_node(child, schema_node);
+        }
+    };
+    for (let record of records) {
+        add_node(record, root);
+    }
+    let strip_lookup = (schema_node) => {
+        delete schema_node.children_by_key;
+        schema_node.children.forEach(strip_lookup);
+        return schema_node;
+    };
+    return root.children.map(strip_lookup);
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} path
+ * @param {string} signature - Signature of the key path to find.
+ * @param {json_parse.RainbowJsonNode[]} dst_nodes - Nodes with the key path in document order.
+ */
+function collect_key_occurrences(node, path, signature, dst_nodes) {
+    if (node.parent_key) {
+        path = path.concat([node.parent_key]);
+        if (get_path_signature(path) === signature) {
+            dst_nodes.push(node);
+        }
+    }
+    for (let child of node.children) {
+        collect_key_occurrences(child, path, signature, dst_nodes);
+    }
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {{line: number, character: number, end_line: number, end_character: number}} - End is exclusive.
+ */
+function get_node_value_range(node) {
+    // End position of containers is the position of the closing bracket.
+    let end_character = node.node_type === 'SCALAR' ? node.end_position.character : node.end_position.character + 1;
+    return { line: node.start_position.line, character: node.start_position.character, end_line: node.end_position.line, end_character };
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @param {string[]} key_path
+ * @returns {{line: number, character: number, end_line: number, end_character: number}[]} - Value ranges of all occurrences of the key path in document order.
+ */
+function find_key_value_ranges(records, key_path) {
+    let signature = get_path_signature(key_path);
+    let nodes = [];
+    for (let record of records) {
+        collect_key_occurrences(record, [], signature, nodes);
+    }
+    return nodes.map(get_node_value_range);
+}
+
+/**
+ * @param {function(number): string} get_line
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {string} - Source text of the node value.
+ */
+function get_node_text(get_line, node) {
+    let range = get_node_value_range(node);
+    if (range.line === range.end_line) {
+        return get_line(range.line).slice(range.character, range.end_character);
+    }
+    let parts = [get_line(range.line).slice(range.character)];
+    for (let line = range.line + 1; line < range.end_line; line++) {
+        parts.push(get_line(line));
+    }
+    parts.push(get_line(range.end_line).slice(0, range.end_character));
+    return parts.join('\n');
+}
+
+/**
+ * Objects with keys and arrays that contain them are split into the columns of their keys, other values are cells of their own column.
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {boolean}
+ */
+function is_table_cell_value(node) {
+    if (node.node_type === 'OBJECT') {
+        return !node.children.length;
+    }
+    if (node.node_type === 'ARRAY') {
+        return node.children.every(is_table_cell_value);
+    }
+    return true;
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} path
+ * @param {Set<string>} dst_signatures - Receives signatures of the key paths that have non-object cell values, see is_table_cell_value().
+ */
+function collect_table_cell_value_paths(node, path, dst_signatures) {
+    if (node.parent_key) {
+        path = path.concat([node.parent_key]);
+        if (is_table_cell_value(node)) {
+            if (node.node_type !== 'OBJECT') { // Empty objects alone don't need a column.
+                dst_signatures.add(get_normalized_path_signature(path));
+            }
+            return;
+        }
+    }
+    for (let child of node.children) {
+        collect_table_cell_value_paths(child, path, dst_signatures);
+    }
+}
+
+/**
+ * Table columns are the key paths without nested key paths, objects are represented by the columns of their keys.
+ * A key path with nested key paths still has its own column if it also has other values, e.g. a scalar in some records and an object in others.
+ * Arrays of scalars are single columns, key paths inside of arrays of objects are columns with several values per record.
+ * @param {json_parse.RainbowJsonNode[]} records - Dataset records, see get_dataset_records().
+ * @returns {string[][]} - Root->leaf key paths of the columns in the order of calculate_records_key_frequency_stats().
+ */
+function get_table_column_paths(records) {
+    let stats = calculate_records_key_frequency_stats(records);
+    let parent_signatures = new Set();
+    for (let stat of stats) {
+        for (let length = 1; length < stat.path.length; length++) {
+            parent_signatures.add(get_normalized_path_signature(stat.path.slice(0, length)));
+        }
+    }
+    let cell_value_signatures = new Set();
+    for (let record of records) {
+        collect_table_cell_value_paths(record, [], cell_value_signatures);
+    }
+    return stats.filter(stat => {
+        let signature = get_normalized_path_signature(stat.path);
+        return !parent_signatures.has(signature) || cell_value_signatures.has(signature);
+    }).map(stat => stat.path);
+}
+
+/**
+ * @param {function(number): string} get_line
+ * @param {json_parse.RainbowJsonNode} record
+ * @param {Map<string, number>} column_indexes - Column path signature -> column index, see get_table_column_paths().
+ * @returns {({values: string[], line: number, character: number}|null)[]} - Source texts of the values of each column in document order and the position of the first value, null for missing keys.
+ */
+function get_record_table_cells(get_line, record, column_indexes) {
+    return get_record_cell_nodes(record, column_indexes).map(nodes => {
+        if (!nodes.length) {
+            return null;
+        }
+        return { values: nodes.map(node => get_node_text(get_line, node)), line: nodes[0].start_position.line, character: nodes[0].start_position.character };
+    });
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} record
+ * @param {Map<string, number>} column_indexes - Column path signature -> column index, see get_table_column_paths().
+ * @returns {json_parse.RainbowJsonNode[][]} - Nodes of each column in document order, several nodes if the key path is inside of an array.
+ *   Values that are split into the columns of their keys are not included, see is_table_cell_value().
+ */
+function get_record_cell_nodes(record, column_indexes) {
+    let cell_nodes = [];
+    for (let i = 0; i < column_indexes.size; i++) {
+        cell_nodes.push([]);
+    }
+    let visit = (node, path) => {
+        if (node.parent_key) {
+            path = path.concat([node.parent_key]);
+            let column_index = column_indexes.get(get_normalized_path_signature(path));
+            if (column_index !== undefined && is_table_cell_value(node)) {
+                cell_nodes[column_index].push(node);
+                return;
+            }
+        }
+        for (let child of node.children) {
+            visit(child, path);
+        }
+    };
+    visit(record, []);
+    return cell_nodes;
+}
+
+/**
+ * @param {string[]} path - Root->leaf key path.
+ * @returns {string} - Dotted column name with unquoted keys, e.g. "user.address.city".
+ */
+function get_export_column_name(path) {
+    return path.map(key => format_key_path([key])).join('.');
+}
+
+/**
+ * @param {string} value - Scalar token text.
+ * @returns {string} - Strings without quotes and escape sequences, numbers converted to JSON where possible (e.g. 0x10 is 16), other scalars as written.
+ */
+function get_scalar_text(value) {
+    if (value[0] === '"' || value[0] === "'") {
+        return decode_json_string(value);
+    }
+    let number_text = get_json_number_text(value);
+    return number_text !== null ? number_text : value;
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {string} - Containers are serialized as minified standard JSON, comments and JSON5 syntax are not copied into the cell.
+ * @throws {JsonConversionError}
+ */
+function get_export_value_text(node) {
+    return node.node_type === 'SCALAR' ? get_scalar_text(node.value) : format_json_node(node, /*indent=*/null, /*to_standard_json=*/true);
+}
+
+/**
+ * Collects the value nodes of the export rows of a node, each element of an array of objects gets its own rows.
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} path - Key path of the parent node.
+ * @param {Map<string, number>} column_indexes - Column path signature -> column index, see get_table_column_paths().
+ * @param {boolean} explode_arrays - Elements of arrays of scalars get their own rows too.
+ * @param {boolean} in_array - The node is inside of an array of objects.
+ * @param {Set<number>} dst_array_columns - Receives indexes of the columns which nodes are inside of arrays of objects.
+ * @returns {{rows: Map<number, json_parse.RainbowJsonNode>[], repeat: boolean}} - Column index -> value node of each row.
+ *   `repeat` is true if the rows are not from array elements, the single row is then repeated in all rows of the sibling arrays.
+ */
+function collect_export_row_nodes(node, path, column_indexes, explode_arrays, in_array, dst_array_columns) {
+    if (node.parent_key) {
+        path = path.concat([node.parent_key]);
+        let column_index = column_indexes.get(get_normalized_path_signature(path));
+        if (column_index !== undefined && is_table_cell_value(node)) {
+            if (in_array) {
+                dst_array_columns.add(column_index);
+            }
+            if (explode_arrays && node.node_type === 'ARRAY') {
+                return { rows: node.children.map(element => new Map([[column_index, element]])), repeat: false };
+            }
+            return { rows: [new Map([[column_index, node]])], repeat: true };
+        }
+    }
+    if (node.node_type === 'ARRAY') {
+        let rows = [];
+        for (let element of node.children) {
+            let element_rows = collect_export_row_nodes(element, path, column_indexes, explode_arrays, /*in_array=*/true, dst_array_columns).rows;
+            // Elements without any of the column keys still get an empty row, so that the rows match the elements.
+            rows.push(...(element_rows.length ? element_rows : [new Map()]));
+        }
+        return { rows, repeat: false };
+    }
+    let repeated_row = new Map();
+    let element_rows_list = [];
+    for (let child of node.children) {
+        let result = collect_export_row_nodes(child, path, column_indexes, explode_arrays, in_array, dst_array_columns);
+        if (!result.repeat) {
+            element_rows_list.push(result.rows);
+            continue;
+        }
+        for (let row of result.rows) {
+            for (let [column_index, value_node] of row) {
+                repeated_row.set(column_index, value_node);
+            }
+        }
+    }
+    // Rows of sibling arrays are zipped instead of multiplied.
+    let num_rows = element_rows_list.reduce((max_rows, element_rows) => Math.max(max_rows, element_rows.length), 1);
+    let rows = [];
+    for (let row_idx = 0; row_idx < num_rows; row_idx++) {
+        let row = new Map(repeated_row);
+        for (let element_rows of element_rows_list) {
+            for (let [column_index, value_node] of (row_idx < element_rows.length ? element_rows[row_idx] : [])) {
+                row.set(column_index, value_node);
+            }
+        }
+        rows.push(row);
+    }
+    return { rows, repeat: element_rows_list.length === 0 };
+}
+
+/**
+ * Flattens a record into delimited file rows.
+ * With `explode_arrays` each array element gets its own row, values outside of arrays are repeated in all rows of the record.
+ * Otherwise arrays are serialized as JSON and values of a key path inside of an array of objects are collected into a JSON array with an element per object, null for objects without the key.
+ * @param {json_parse.RainbowJsonNode} record
+ * @param {Map<string, number>} column_indexes - Column path signature -> column index, see get_table_column_paths().
+ * @param {boolean} explode_arrays
+ * @returns {string[][]} - Cells of the rows, missing keys are empty cells.
+ * @throws {JsonConversionError} - If a serialized value can't be represented in JSON, e.g. NaN.
+ */
+function get_record_export_rows(record, column_indexes, explode_arrays) {
+    let array_columns = new Set();
+    let rows = collect_export_row_nodes(record, [], column_indexes, explode_arrays, /*in_array=*/false, array_columns).rows;
+    let column_idxs = Array.from(column_indexes.values()).sort((a, b) => a - b);
+    if (explode_arrays) {
+        return rows.map(row => column_idxs.map(column_idx => row.has(column_idx) ? get_export_value_text(row.get(column_idx)) : ''));
+    }
+    return [column_idxs.map(column_idx => {
+        if (array_columns.has(column_idx)) {
+            return '[' + rows.map(row => row.has(column_idx) ? format_json_node(row.get(column_idx), /*indent=*/null, /*to_standard_json=*/true) : 'null').join(',') + ']';
+        }
+        let row = rows.find(row => row.has(column_idx));
+        return row ? get_export_value_text(row.get(column_idx)) : '';
+    })];
+}
+
+/**
+ * Fields with the delimiter, quotes or line breaks are quoted and quotes inside of them are doubled (RFC 4180), the same quoting is used for TSV.
+ * @param {string[]} fields
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function format_delimited_line(fields, delimiter) {
+    return fields.map(field => {
+        if (field.includes(delimiter) || field.includes('"') || field.includes('\n') || field.includes('\r')) {
+            return '"' + field.replace(/"/g, '""') + '"';
+        }
+        return field;
+    }).join(delimiter);
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode[]} records - Dataset records, see get_dataset_records().
+ * @param {string} delimiter
+ * @param {boolean} explode_arrays - See get_record_export_rows().
+ * @returns {string} - Delimited file text with a header line of dotted key paths.
+ * @throws {JsonConversionError}
+ */
+function export_records_as_delimited_text(records, delimiter, explode_arrays) {
+    let column_paths = get_table_column_paths(records);
+    let column_indexes = new Map(column_paths.map((path, idx) => [get_normalized_path_signature(path), idx]));
+    let lines = [format_delimited_line(column_paths.map(get_export_column_name), delimiter)];
+    for (let record of records) {
+        for (let row of get_record_export_rows(record, column_indexes, explode_arrays)) {
+            lines.push(format_delimited_line(row, delimiter));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses delimited text with RFC 4180 quoting, quoted fields can contain delimiters, doubled quotes and line breaks.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]} - Rows of fields, empty lines are skipped.
+ */
+function parse_delimited_text(text, delimiter) {
+    let rows = [];
+    let row = [];
+    let field = '';
+    let in_quotes = false;
+    let field_started = false; // Distinguishes an empty line from a line with a single empty field.
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i];
+        if (in_quotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (c === '"') {
+                in_quotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            in_quotes = true;
+            field_started = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+            field_started = true;
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i += 1;
+            }
+            if (field_started || field !== '') {
+                row.push(field);
+                rows.push(row);
+            }
+            row = [];
+            field = '';
+            field_started = false;
+        } else {
+            field += c;
+        }
+    }
+    if (field_started || field !== '') {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * @param {string} field
+ * @returns {string} - JSON text of the value: numbers as written, booleans, nulls, valid JSON arrays and objects (e.g. exported with serialized arrays) and strings otherwise.
+ */
+function infer_imported_value_json(field) {
+    if (field === 'true' || field === 'false' || field === 'null' || /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(field)) {
+        return field;
+    }
+    if (/^\s*[[{]/.test(field)) {
+        try {
+            return JSON.stringify(JSON.parse(field));
+        } catch (e) {
+            // Not JSON, keep the text as a string.
+        }
+    }
+    return JSON.stringify(field);
+}
+
+/**
+ * Splits dotted headers into nested key paths, headers that would conflict with each other (e.g. "a" and "a.b") or have empty parts stay flat.
+ * Repeated headers get a numeric suffix to keep the keys unique.
+ * @param {string[]} headers
+ * @param {boolean} nest_keys
+ * @returns {string[][]} - Root->leaf key names (without quotes) for each column.
+ */
+function get_imported_key_paths(headers, nest_keys) {
+    let seen_headers = new Map();
+    let unique_headers = headers.map(header => {
+        let count = (seen_headers.get(header) || 0) + 1;
+        seen_headers.set(header, count);
+        return count === 1 ? header : `${header}_${count}`;
+    });
+    let key_paths = unique_headers.map(header => {
+        let parts = header.split('.');
+        return nest_keys && !parts.includes('') ? parts : [header];
+    });
+    let signatures = new Set(key_paths.map(path => JSON.stringify(path)));
+    let prefix_signatures = new Set();
+    for (let path of key_paths) {
+        for (let length = 1; length < path.length; length++) {
+            prefix_signatures.add(JSON.stringify(path.slice(0, length)));
+        }
+    }
+    return key_paths.map((path, idx) => {
+        let is_conflicting = prefix_signatures.has(JSON.stringify(path)) || path.some((_key, length) => length > 0 && signatures.has(JSON.stringify(path.slice(0, length))));
+        return is_conflicting ? [unique_headers[idx]] : path;
+    });
+}
+
+/**
+ * @param {string[][]} key_paths - See get_imported_key_paths().
+ * @param {string[]} fields
+ * @returns {string} - Single-line JSON object with keys in the column order, empty fields are left out.
+ */
+function format_imported_record(key_paths, fields) {
+    let root = new Map(); // Key -> nested Map or JSON text of the value.
+    key_paths.forEach((path, idx) => {
+        if (idx >= fields.length || fields[idx] === '') {
+            return;
+        }
+        let node = root;
+        for (let key of path.slice(0, -1)) {
+            if (!node.has(key)) {
+                node.set(key, new Map());
+            }
+            node = node.get(key);
+        }
+        node.set(path[path.length - 1], infer_imported_value_json(fields[idx]));
+    });
+    let format_node = (node) => '{' + Array.from(node.entries()).map(([key, value]) => JSON.stringify(key) + ': ' + (value instanceof Map ? format_node(value) : value)).join(', ') + '}';
+    return format_node(root);
+}
+
+/**
+ * @param {string} text - CSV or TSV text with a header line.
+ * @param {string} delimiter
+ * @param {boolean} nest_keys - Rebuild nested objects from dotted headers.
+ * @returns {{records: string[], key_paths: string[][]}} - Single-line JSON records and the key paths of the columns.
+ */
+function convert_delimited_text_to_records(text, delimiter, nest_keys) {
+    let rows = parse_delimited_text(text, delimiter);
+    if (!rows.length) {
+        return { records: [], key_paths: [] };
+    }
+    let key_paths = get_imported_key_paths(rows[0], nest_keys);
+    return { records: rows.slice(1).map(fields => format_imported_record(key_paths, fields)), key_paths };
+}
+
+class JsonConversionError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} line_num
+     * @param {number} position
+     */
+    constructor(message, line_num, position) {
+        super(message);
+        this.name = 'JsonConversionError';
+        this.line_num = line_num;
+        this.position = position;
+    }
+}
+
+const json_number_regex = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+/**
+ * @param {string} value - Number token text.
+ * @returns {string|null} - The number in JSON syntax with the same digits, hex numbers are converted to decimal. Null for Infinity and NaN.
+ */
+function get_json_number_text(value) {
+    if (json_number_regex.test(value)) {
+        return value;
+    }
+    let sign = value[0] === '-' ? '-' : '';
+    let unsigned = value.replace(/^[+-]/, '');
+    if (/^0[xX]/.test(unsigned)) {
+        return sign + BigInt(unsigned).toString();
+    }
+    // JSON5 allows a leading or trailing decimal point.
+    let text = sign + unsigned.replace(/^\./, '0.').replace(/\.(?=[eE]|$)/, '');
+    return json_number_regex.test(text) ? text : null;
+}
+
+/**
+ * @param {string} text - String token text with quotes.
+ * @returns {string} - JSON string, as written if it is already valid JSON.
+ */
+function get_json_string_text(text) {
+    if (text[0] === '"') {
+        try {
+            JSON.parse(text);
+            return text;
+        } catch (e) {
+            // JSON5 escape sequences or a multi-line string.
+        }
+    }
+    return JSON.stringify(decode_json_string(text));
+}
+
+/**
+ * Formats the node from its parsed tokens, so the key order and the number literals stay exactly as written. Comments are not kept.
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string|null} [indent=null] - Indentation of one nesting level, null formats the node on a single line without whitespace.
+ * @param {boolean} [to_standard_json=false] - Convert JSON5 keys, strings and numbers to JSON, otherwise they are kept as written.
+ * @param {number} [depth=0] - Nesting level of the node, its first line is not indented.
+ * @returns {string}
+ * @throws {JsonConversionError} - If a number can't be represented in JSON, e.g. NaN.
+ */
+function format_json_node(node, indent=null, to_standard_json=false, depth=0) {
+    if (node.node_type === 'SCALAR') {
+        if (!to_standard_json || node.value === 'true' || node.value === 'false' || node.value === 'null') {
+            return node.value;
+        }
+        if (node.value[0] === '"' || node.value[0] === "'") {
+            return get_json_string_text(node.value);
+        }
+        let number_text = get_json_number_text(node.value);
+        if (number_text === null) {
+            throw new JsonConversionError(`${node.value} can't be represented in JSON`, node.start_position.line, node.start_position.character);
+        }
+        return number_text;
+    }
+    let [open, close] = node.node_type === 'OBJECT' ? ['{', '}'] : ['[', ']'];
+    if (!node.children.length) {
+        return open + close;
+    }
+    let items = node.children.map(child => {
+        let value = format_json_node(child, indent, to_standard_json, depth + 1);
+        if (node.node_type !== 'OBJECT') {
+            return value;
+        }
+        let key = child.parent_key;
+        if (to_standard_json) {
+            key = key[0] === '"' || key[0] === "'" ? get_json_string_text(key) : JSON.stringify(key);
+        }
+        return key + (indent === null ? ':' : ': ') + value;
+    });
+    if (indent === null) {
+        return open + items.join(',') + close;
+    }
+    let child_indent = indent.repeat(depth + 1);
+    return open + '\n' + items.map(item => child_indent + item).join(',\n') + '\n' + indent.repeat(depth) + close;
+}
+
+/**
+ * Elements of a top-level array are the records, like in get_dataset_records().
+ * @param {parse_cache.DocumentParseCache} cache
+ * @param {{line: number, character: number}} position
+ * @returns {json_parse.RainbowJsonNode|null} - Object or array record at the position, null if there is none or the line has a syntax error.
+ */
+function find_dataset_record_at_position(cache, position) {
+    if (cache.has_error_in_line_range(position.line, position.line)) {
+        return null;
+    }
+    let record = cache.find_record_at_position(position);
+    if (record && record.node_type === 'ARRAY' && cache.records.length === 1) {
+        let elements = record.children;
+        let idx = parse_cache.find_first_index(elements, element => element.end_position.line > position.line || (element.end_position.line === position.line && element.end_position.character >= position.character));
+        record = idx < elements.length && elements[idx].getValueRange().contains(position) ? elements[idx] : null;
+    }
+    if (!record || record.node_type === 'SCALAR') {
+        return null;
+    }
+    return record;
+}
+
+/**
+ * @param {parse_cache.DocumentParseCache} cache
+ * @returns {string|null} - The only record of the document on a single line with JSON5 syntax kept as written, null if the document has syntax errors or doesn't have exactly one record.
+ */
+function format_single_record(cache) {
+    if (cache.errors.length > 0 || cache.records.length !== 1) {
+        return null;
+    }
+    return format_json_node(cache.records[0]);
+}
+
+/**
+ * @param {{line: number, character: number}} position
+ * @param {{start: {line: number, character: number}, end: {line: number, character: number}}} range - Replaced range.
+ * @param {string} text - Inserted text.
+ * @returns {{line: number, character: number}|null} - Position after the replacement, null if the replaced range contains the position.
+ */
+function shift_position_after_change(position, range, text) {
+    let is_before = (a, b) => a.line < b.line || (a.line === b.line && a.character <= b.character);
+    if (!is_before(range.end, position)) {
+        return is_before(position, range.start) ? position : null;
+    }
+    let inserted_lines = text.split(/\r\n|\r|\n/);
+    let line = position.line + inserted_lines.length - 1 - (range.end.line - range.start.line);
+    if (range.end.line !== position.line) {
+        return { line, character: position.character };
+    }
+    let last_line_length = inserted_lines[inserted_lines.length - 1].length;
+    let character = position.character - range.end.character + (inserted_lines.length === 1 ? range.start.character + last_line_length : last_line_length);
+    return { line, character };
+}
+
+/**
+ * @param {string[]} element_texts - Formatted at depth 1, see format_json_node().
+ * @param {string|null} indent - See format_json_node(), with null each element is on its own line without indentation.
+ * @returns {string}
+ */
+function format_json_array_text(element_texts, indent) {
+    if (!element_texts.length) {
+        return '[]\n';
+    }
+    let element_indent = indent === null ? '' : indent;
+    return '[\n' + element_texts.map(text => element_indent + text).join(',\n') + '\n]\n';
+}
+
+/**
+ * Finds the next (or previous) occurrence of the key path relative to the position, wrapping around the end (or the start) of the document.
+ * An occurrence which key contains the position is neither next nor previous.
+ * @param {json_parse.RainbowJsonNode[]} records - Records in document order.
+ * @param {string[]} key_path
+ * @param {{line: number, character: number}} position
+ * @param {boolean} backward
+ * @returns {{line: number, character: number, length: number}|null} - Key range of the occurrence.
+ */
+function find_adjacent_key_occurrence(records, key_path, position, backward) {
+    if (!records.length) {
+        return null;
+    }
+    let signature = get_path_signature(key_path);
+    let is_after = (occurrence) => occurrence.line > position.line || (occurrence.line === position.line && occurrence.character > position.character);
+    let is_before = (occurrence) => occurrence.line < position.line || (occurrence.line === position.line && occurrence.character + occurrence.length <= position.character);
+    // Start from the record at the position, records are visited at most twice so that the wrap-around finds the occurrences before the position in the same record.
+    let start_idx = parse_cache.find_first_index(records, record => record.end_position.line > position.line || (record.end_position.line === position.line && record.end_position.character >= position.character));
+    start_idx = Math.min(records.length - 1, start_idx);
+    for (let step = 0; step <= records.length; step++) {
+        let idx = backward ? start_idx - step : start_idx + step;
+        idx = ((idx % records.length) + records.length) % records.length;
+        let nodes = [];
+        collect_key_occurrences(records[idx], [], signature, nodes);
+        let occurrences = nodes.map(node => ({ line: node.parent_key_position.line, character: node.parent_key_position.character, length: node.parent_key.length }));
+        if (backward) {
+            occurrences.reverse();
+        }
+        for (let occurrence of occurrences) {
+            if (step > 0 || (backward ? is_before(occurrence) : is_after(occurrence))) {
+                return occurrence;
+            }
+        }
+    }
+    return null;
+}
+
+const value_types = ['string', 'number', 'bool', 'null', 'object', 'array'];
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @returns {string} - One of value_types.
+ */
+function get_value_type(node) {
+    if (node.node_type === 'OBJECT') {
+        return 'object';
+    }
+    if (node.node_type === 'ARRAY') {
+        return 'array';
+    }
+    if (node.value === 'true' || node.value === 'false') {
+        return 'bool';
+    }
+    if (node.value === 'null') {
+        return 'null';
+    }
+    if (node.value.startsWith('"') || node.value.startsWith("'")) {
+        return 'string';
+    }
+    return 'number';
+}
+
+/**
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} path
+ * @param {Map<string, {path: string[], type_counts: Object<string, number>, nodes: json_parse.RainbowJsonNode[]}>} dst_stats - Path signature -> value type stats.
+ */
+function collect_value_types(node, path, dst_stats) {
+    if (node.parent_key) {
+        path = path.concat([node.parent_key]);
+        let signature = get_normalized_path_signature(path);
+        let stats = dst_stats.get(signature);
+        if (!stats) {
+            stats = { path, type_counts: {}, nodes: [] };
+            dst_stats.set(signature, stats);
+        }
+        let value_type = get_value_type(node);
+        stats.type_counts[value_type] = (stats.type_counts[value_type] || 0) + 1;
+        stats.nodes.push(node);
+    }
+    for (let child of node.children) {
+        collect_value_types(child, path, dst_stats);
+    }
+}
+
+/**
+ * Infers the value type distribution of each key path and finds values with a type that differs from the majority, e.g. `"price": "12"` among numeric prices.
+ * Null values are neither counted for the majority nor reported as mismatches because null is commonly used for missing values.
+ * Array elements count separately, so a path inside an array of objects can have more values than there are records.
+ * @param {json_parse.RainbowJsonNode[]} records
+ * @returns {{
+ *   paths: {path: string[], type_counts: Object<string, number>, majority_type: string|null}[],
+ *   type_mismatches: {path: string[], value_type: string, majority_type: string, line_num: number, position: number, end_line_num: number, end_position: number}[]
+ * }} - majority_type is null if no type has more than half of the non-null values, it is 'null' if all values are null. Mismatches are in document order.
+ */
+function calculate_value_type_report(records) {
+    let path_stats = new Map();
+    for (let record of get_dataset_records(records)) {
+        collect_value_types(record, [], path_stats);
+    }
+    let paths = [];
+    let type_mismatches = [];
+    for (let stats of path_stats.values()) {
+        let non_null_count = stats.nodes.length - (stats.type_counts['null'] || 0);
+        let majority_type = non_null_count === 0 ? 'null' : value_types.find(value_type => value_type !== 'null' && (stats.type_counts[value_type] || 0) * 2 > non_null_count) || null;
+        paths.push({ path: stats.path, type_counts: stats.type_counts, majority_type });
+        if (majority_type === null) {
+            continue;
+        }
+        for (let node of stats.nodes) {
+            let value_type = get_value_type(node);
+            if (value_type !== majority_type && value_type !== 'null') {
+                let value_range = get_node_value_range(node);
+                type_mismatches.push({
+                    path: stats.path, value_type, majority_type,
+                    line_num: value_range.line, position: value_range.character,
+                    end_line_num: value_range.end_line, end_position: value_range.end_character,
+                });
+            }
+        }
+    }
+    type_mismatches.sort((a, b) => a.line_num - b.line_num || a.position - b.position);
+    return { paths, type_mismatches };
+}
+
+/**
+ * @param {Object<string, number>} type_counts
+ * @returns {string} - E.g. "number: 99 (99.0%), string: 1 (1.0%)"
+ */
+function format_value_type_counts(type_counts) {
+    let total = Object.values(type_counts).reduce((a, b) => a + b, 0);
+    let present_types = value_types.filter(value_type => type_counts[value_type]);
+    present_types.sort((a, b) => type_counts[b] - type_counts[a]);
+    return present_types.map(value_type => `${value_type}: ${type_counts[value_type]} (${(100 * type_counts[value_type] / total).toFixed(1)}%)`).join(', ');
+}
+
+const SAMPLING_MODE_FIRST_RECORDS = 'first_records';
+const SAMPLING_MODE_LINE_WINDOWS = 'line_windows';
+const SAMPLING_MODE_TIME_BUDGET = 'time_budget';
+
+// Sampled windows can start inside a multi-line comment, see json_parse.guess_lexer_state_at_line().
+const sampling_lexer_state_lookback_lines = 50;
+
+/**
+ * Collects records that start and end within the line range.
+ * The range can start in the middle of a record: the scanner drops tokens until it finds a line after which brackets are balanced
+ * and then collects records between such lines, records with syntax errors are skipped.
+ * @param {function(number): string} get_line
+ * @param {number} begin_line
+ * @param {number} end_line - Exclusive.
+ * @param {json_parse.JsonDialect} dialect
+ * @param {json_parse.RainbowJsonNode[]} dst_records
+ * @param {number} max_records - Stop when `dst_records` has this many records.
+ * @param {number|null} deadline - Stop when Date.now() exceeds this timestamp.
+ * @returns {boolean} - false if stopped because of `max_records` or `deadline`.
+ */
+function collect_records_in_line_range(get_line, begin_line, end_line, dialect, dst_records, max_records, deadline) {
+    let lexer_state = json_parse.guess_lexer_state_at_line(get_line, begin_line, dialect, sampling_lexer_state_lookback_lines);
+    let tokens = [];
+    let depth = 0;
+    for (let lnum = begin_line; lnum < end_line; lnum++) {
+        if (dst_records.length >= max_records || (deadline !== null && Date.now() > deadline)) {
+            return false;
+        }
+        let first_line_token_idx = tokens.length;
+        try {
+            lexer_state = json_parse.tokenize_json_line_in_place(get_line(lnum), lnum, tokens, dialect, /*dst_comments=*/null, lexer_state);
+        } catch (e) {
+            if (!(e instanceof json_parse.JsonTokenizerError)) {
+                throw e;
+            }
+            tokens = [];
+            depth = 0;
+            lexer_state = json_parse.DEFAULT_LEXER_STATE;
+            continue;
+        }
+        for (let i = first_line_token_idx; i < tokens.length; i++) {
+            if (tokens[i].isContainerOpen()) {
+                depth += 1;
+            } else if (tokens[i].isContainerClose()) {
+                depth -= 1;
+            }
+        }
+        if (depth < 0) {
+            // Tail of a record that started before the range.
+            tokens = [];
+            depth = 0;
+            continue;
+        }
+        if (depth !== 0 || !lexer_state.equals(json_parse.DEFAULT_LEXER_STATE)) {
+            continue;
+        }
+        try {
+            for (let record of json_parse.parse_json_tokens(tokens, dialect)) {
+                if (dst_records.length < max_records) {
+                    dst_records.push(record);
+                }
+            }
+        } catch (e) {
+            if (!(e instanceof json_parse.JsonSyntaxError || e instanceof json_parse.JsonIncompleteError)) {
+                throw e;
+            }
+        }
+        tokens = [];
+    }
+    return true;
+}
+
+/**
+ * @param {number} index
+ * @returns {number} - Van der Corput sequence element in [0, 1): 0, 1/2, 1/4, 3/4, 1/8, ...
+ */
+function van_der_corput(index) {
+    let result = 0;
+    let denominator = 1;
+    while (index > 0) {
+        denominator *= 2;
+        result += (index % 2) / denominator;
+        index = Math.floor(index / 2);
+    }
+    return result;
+}
+
+/**
+ * @param {number} line_count
+ * @param {number} num_windows
+ * @param {number} window_lines
+ * @returns {number[]} - First lines of evenly spaced non-overlapping windows in document order.
+ */
+function get_evenly_spaced_window_starts(line_count, num_windows, window_lines) {
+    num_windows = Math.min(num_windows, Math.ceil(line_count / window_lines));
+    let result = [];
+    for (let i = 0; i < num_windows; i++) {
+        result.push(Math.floor(i * line_count / num_windows));
+    }
+    return result;
+}
+
+/**
+ * @param {number} line_count
+ * @param {number} window_lines
+ * @returns {number[]} - First lines of all windows ordered so that every prefix of the result is spread over the whole document.
+ */
+function get_coarse_to_fine_window_starts(line_count, window_lines) {
+    let num_windows = Math.ceil(line_count / window_lines);
+    let sequence_length = 1;
+    while (sequence_length < num_windows) {
+        sequence_length *= 2;
+    }
+    let visited = new Set();
+    let result = [];
+    for (let i = 0; i < sequence_length; i++) {
+        let window_idx = Math.floor(van_der_corput(i) * num_windows);
+        if (!visited.has(window_idx)) {
+            visited.add(window_idx);
+            result.push(window_idx * window_lines);
+        }
+    }
+    return result;
+}
+
+/**
+ * Calculates key frequency stats from a sample of the document records, the full scan is too slow for multi-gigabyte files.
+ * @param {function(number): string} get_line
+ * @param {number} line_count
+ * @param {json_parse.JsonDialect} dialect
+ * @param {{mode: string, max_records: number, num_windows: number, window_lines: number, time_budget_ms: number}} options
+ *   - mode: SAMPLING_MODE_FIRST_RECORDS uses the first `max_records` records.
+ *     SAMPLING_MODE_LINE_WINDOWS uses `num_windows` evenly spaced windows of `window_lines` lines.
+ *     SAMPLING_MODE_TIME_BUDGET scans windows of `window_lines` lines spread over the whole document until `time_budget_ms` is exceeded.
+ * @returns {{path: string[], count: number}[]}
+ */
+function calculate_sampled_key_frequency_stats(get_line, line_count, dialect, options) {
+    let records = [];
+    if (options.mode === SAMPLING_MODE_FIRST_RECORDS) {
+        collect_records_in_line_range(get_line, 0, line_count, dialect, records, options.max_records, /*deadline=*/null);
+    } else if (options.mode === SAMPLING_MODE_LINE_WINDOWS) {
+        for (let window_start of get_evenly_spaced_window_starts(line_count, options.num_windows, options.window_lines)) {
+            let window_end = Math.min(line_count, window_start + options.window_lines);
+            collect_records_in_line_range(get_line, window_start, window_end, dialect, records, Infinity, /*deadline=*/null);
+        }
+    } else if (options.mode === SAMPLING_MODE_TIME_BUDGET) {
+        let deadline = Date.now() + options.time_budget_ms;
+        for (let window_start of get_coarse_to_fine_window_starts(line_count, options.window_lines)) {
+            let window_end = Math.min(line_count, window_start + options.window_lines);
+            if (!collect_records_in_line_range(get_line, window_start, window_end, dialect, records, Infinity, deadline)) {
+                break;
+            }
+        }
+    } else {
+        throw new Error(`Unknown sampling mode: ${options.mode}`);
+    }
+    return calculate_records_key_frequency_stats(records);
+}
+
+class KeyHighlightSelection {
+    constructor() {
+        // Color slots with reversed (leaf->root) key paths.
+        // Removed keys leave null slots instead of being spliced out, this preserves consistency of color mapping for other keys.
+        /** @type {(string[]|null)[]} */
+        this.reversed_keys = [];
+        this.auto_keys_up_to_date = false;
+        // Signatures of reversed key paths toggled by the user, they take precedence over auto-highlighting.
+        this.manually_added = new Set();
+        this.manually_removed = new Set();
+        // Reversed key path which scalar values are colored by value, see KeyPathMatcher.
+        /** @type {string[]|null} */
+        this.value_color_path = null;
+    }
+
+    /**
+     * Replaces auto-selected keys, manually added keys and auto-selected keys that are still selected keep their slots.
+     * @param {string[][]} auto_reversed_paths - Auto-selected reversed key paths, most frequent first.
+     * @param {number} max_slots
+     * @returns {string[][]} - Auto-selected paths that were not added because there is no free slot for them.
+     */
+    set_auto_keys(auto_reversed_paths, max_slots) {
+        let skipped_paths = [];
+        let auto_signatures = new Set(auto_reversed_paths.map(get_path_signature));
+        let slots = this.reversed_keys.map(path => {
+            if (path === null) {
+                return null;
+            }
+            let signature = get_path_signature(path);
+            return this.manually_added.has(signature) || auto_signatures.has(signature) ? path : null;
+        });
+        let present_signatures = new Set(slots.filter(path => path !== null).map(get_path_signature));
+        for (let path of auto_reversed_paths) {
+            let signature = get_path_signature(path);
+            if (present_signatures.has(signature) || this.manually_removed.has(signature)) {
+                continue;
+            }
+            let free_slot = slots.indexOf(null);
+            if (free_slot !== -1) {
+                slots[free_slot] = path;
+            } else if (slots.length < max_slots) {
+                slots.push(path);
+            } else {
+                skipped_paths.push(path);
+                continue;
+            }
+            present_signatures.add(signature);
+        }
+        while (slots.length && slots[slots.length - 1] === null) {
+            slots.pop();
+        }
+        this.reversed_keys = slots;
+        this.auto_keys_up_to_date = true;
+        return skipped_paths;
+    }
+
+    /**
+     * Drops auto-selected keys, they will be recalculated on the next access.
+     */
+    clear_auto_keys() {
+        this.set_auto_keys([], this.reversed_keys.length);
+        this.auto_keys_up_to_date = false;
+    }
+
+    /**
+     * @param {string[]} reversed_path
+     * @param {number} max_slots
+     * @returns {boolean|null} - true if the key was added, false if it was removed and null if there is no free slot for it.
+     */
+    toggle(reversed_path, max_slots) {
+        let signature = get_path_signature(reversed_path);
+        let existing_index = this.reversed_keys.findIndex(existing => get_path_signature(existing) === signature);
+        if (existing_index !== -1) {
+            this.reversed_keys[existing_index] = null;
+            this.manually_added.delete(signature);
+            this.manually_removed.add(signature);
+            return false;
+        }
+        let free_slot = this.reversed_keys.indexOf(null);
+        if (free_slot !== -1) {
+            this.reversed_keys[free_slot] = reversed_path;
+        } else if (this.reversed_keys.length < max_slots) {
+            this.reversed_keys.push(reversed_path);
+        } else {
+            return null;
+        }
+        this.manually_removed.delete(signature);
+        this.manually_added.add(signature);
+        return true;
+    }
+
+    /**
+     * Swaps keys in two color slots, moved keys are treated as manually added so that they keep their new slots.
+     * @param {number} slot_a
+     * @param {number} slot_b
+     */
+    swap_slots(slot_a, slot_b) {
+        while (this.reversed_keys.length <= Math.max(slot_a, slot_b)) {
+            this.reversed_keys.push(null);
+        }
+        let path_a = this.reversed_keys[slot_a];
+        this.reversed_keys[slot_a] = this.reversed_keys[slot_b];
+        this.reversed_keys[slot_b] = path_a;
+        for (let path of [this.reversed_keys[slot_a], this.reversed_keys[slot_b]]) {
+            if (path !== null) {
+                this.manually_added.add(get_path_signature(path));
+            }
+        }
+        while (this.reversed_keys.length && this.reversed_keys[this.reversed_keys.length - 1] === null) {
+            this.reversed_keys.pop();
+        }
+    }
+
+    /**
+     * Removes all keys, auto-selected keys are treated as manually removed so that they don't come back.
+     */
+    clear_all() {
+        for (let path of this.reversed_keys) {
+            if (path !== null) {
+                let signature = get_path_signature(path);
+                this.manually_added.delete(signature);
+                this.manually_removed.add(signature);
+            }
+        }
+        this.reversed_keys = [];
+    }
+
+    /**
+     * @param {string[]} reversed_path
+     * @returns {boolean} - true if values of the key are colored now, false if coloring by value was turned off.
+     */
+    toggle_value_color_path(reversed_path) {
+        if (this.value_color_path !== null && get_path_signature(this.value_color_path) === get_path_signature(reversed_path)) {
+            this.value_color_path = null;
+            return false;
+        }
+        this.value_color_path = reversed_path;
+        return true;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    has_manual_changes() {
+        return this.manually_added.size > 0 || this.manually_removed.size > 0 || this.value_color_path !== null;
+    }
+
+    /**
+     * Only manually added keys are stored in slots, auto-selected keys are recalculated after loading.
+     * @returns {{reversed_keys: (string[]|null)[], manually_removed: string[], value_color_path: (string[]|null)}} - JSON-compatible object.
+     */
+    serialize() {
+        let reversed_keys = this.reversed_keys.map(path => path !== null && this.manually_added.has(get_path_signature(path)) ? path : null);
+        while (reversed_keys.length && reversed_keys[reversed_keys.length - 1] === null) {
+            reversed_keys.pop();
+        }
+        return { reversed_keys, manually_removed: Array.from(this.manually_removed), value_color_path: this.value_color_path };
+    }
+
+    /**
+     * @param {{reversed_keys: (string[]|null)[], manually_removed: string[], value_color_path: (string[]|null|undefined)}} data - Result of serialize(), value_color_path is missing in data saved by older versions.
+     * @returns {KeyHighlightSelection}
+     */
+    static deserialize(data) {
+        let selection = new KeyHighlightSelection();
+        selection.reversed_keys = data.reversed_keys.slice();
+        for (let path of selection.reversed_keys) {
+            if (path !== null) {
+                selection.manually_added.add(get_path_signature(path));
+            }
+        }
+        selection.manually_removed = new Set(data.manually_removed);
+        selection.value_color_path = data.value_color_path || null;
+        return selection;
+    }
+}
+
+/**
+ * Parses the workspace-level config file that assigns keys to highlight to the files matching glob patterns, e.g.
+ * {"highlight_keys": {"datasets/*.jsonl": [["user", "id"], ["event"]]}}
+ * Key paths are lists of key names from root to leaf.
+ * @param {string} text
+ * @returns {{glob: string, key_paths: string[][]}[]} - Key paths consist of JSON-quoted keys, same as in get_path_signature().
+ */
+function parse_workspace_key_config(text) {
+    let config = JSON.parse(text);
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Config must be a JSON object');
+    }
+    let highlight_keys = config.highlight_keys;
+    if (highlight_keys === undefined) {
+        return [];
+    }
+    if (highlight_keys === null || typeof highlight_keys !== 'object' || Array.isArray(highlight_keys)) {
+        throw new Error('"highlight_keys" must be an object mapping glob patterns to lists of key paths');
+    }
+    let result = [];
+    for (let [glob, key_paths] of Object.entries(highlight_keys)) {
+        if (!Array.isArray(key_paths) || !key_paths.every(path => Array.isArray(path) && path.length && path.every(key => typeof key === 'string'))) {
+            throw new Error(`Key paths for "${glob}" must be a list of non-empty lists of key names`);
+        }
+        result.push({ glob, key_paths: key_paths.map(path => path.map(key => JSON.stringify(key))) });
+    }
+    return result;
+}
+
 module.exports = {
+    make_pattern_key,
+    get_pattern_text,
+    parse_key_path_pattern,
+    match_key_path_pattern,
+    MATCH_MODE_FULL_PATH,
+    MATCH_MODE_LEAF_KEY,
+    parse_match_mode,
+    get_matched_reversed_path,
+    KeyPathMatcher,
+    normalize_scalar_value,
+    get_value_hash_color_index,
+    collect_value_color_indexes,
+    find_record_value_colors,
+    merge_key_frequency_stats,
+    KeyHighlightSelection,
     get_path_signature,
-    calculate_key_frequency_stats
+    get_normalized_path_signature,
+    is_path_signature_prefix,
+    calculate_key_frequency_stats,
+    calculate_records_key_frequency_stats,
+    calculate_sampled_key_frequency_stats,
+    find_key_node_chain_at_position,
+    find_key_path_at_position,
+    format_display_key_path,
+    format_key_path,
+    get_dataset_records,
+    calculate_schema_report,
+    build_schema_tree,
+    find_adjacent_key_occurrence,
+    get_node_value_range,
+    find_key_value_ranges,
+    get_node_text,
+    get_table_column_paths,
+    get_record_table_cells,
+    get_record_cell_nodes,
+    get_export_column_name,
+    get_scalar_text,
+    get_record_export_rows,
+    format_delimited_line,
+    export_records_as_delimited_text,
+    parse_delimited_text,
+    infer_imported_value_json,
+    get_imported_key_paths,
+    format_imported_record,
+    convert_delimited_text_to_records,
+    decode_json_string,
+    JsonConversionError,
+    format_json_node,
+    format_json_array_text,
+    find_dataset_record_at_position,
+    format_single_record,
+    shift_position_after_change,
+    value_types,
+    get_value_type,
+    calculate_value_type_report,
+    format_value_type_counts,
+    get_evenly_spaced_window_starts,
+    get_coarse_to_fine_window_starts,
+    parse_workspace_key_config,
+    SAMPLING_MODE_FIRST_RECORDS,
+    SAMPLING_MODE_LINE_WINDOWS,
+    SAMPLING_MODE_TIME_BUDGET
 };
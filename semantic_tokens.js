@@ -0,0 +1,345 @@
+const json_parse = require('./json_parse');
+const rainbow_utils = require('./rainbow_utils');
+const parse_cache = require('./parse_cache');
+
+// Semantic token computation that doesn't depend on vscode API, so it can run in the parse worker.
+// Tokens are collected as flat [line, character, length, token_type_index] quadruples, see SemanticTokenList.
+
+// Start with rainbow2 because rainbow1 has no color.
+// Each token type is a color slot, rainbow11 and later slots are mapped to scopes that fewer themes color distinctly.
+const rainbow_token_types = [/*'rainbow1', */'rainbow2', 'rainbow4', 'rainbow10', 'rainbow8', 'rainbow5', 'rainbow6', 'rainbow9', 'rainbow7'/*, 'rainbow3'*/,
+    'rainbow11', 'rainbow12', 'rainbow13', 'rainbow14', 'rainbow15', 'rainbow16', 'rainbow17', 'rainbow18'];
+const ambient_token_type = 'rainbow3';
+const comment_token_type = 'comment';
+const all_token_types = rainbow_token_types.concat(['rainbow1', ambient_token_type, comment_token_type]);
+
+const THEME_PALETTE = 'theme';
+
+/**
+ * Repeats the base colors with the font style to fill all color slots.
+ * @param {{color: string, light_color: string}[]} base_colors
+ * @param {string} font_style - Font style of the repeated colors, see parse_font_style().
+ * @returns {{color: string, light_color: string, font_style: string|null}[]}
+ */
+function extend_palette(base_colors, font_style) {
+    let palette = [];
+    for (let slot = 0; slot < rainbow_token_types.length; slot++) {
+        let base = base_colors[slot % base_colors.length];
+        palette.push({ color: base.color, light_color: base.light_color, font_style: slot < base_colors.length ? null : font_style });
+    }
+    return palette;
+}
+
+// Built-in palettes don't depend on the theme, `color` is used with dark themes and `light_color` with light themes.
+const builtin_palettes = {
+    bright: extend_palette([
+        { color: '#ff6b6b', light_color: '#c92a2a' },
+        { color: '#4dabf7', light_color: '#1864ab' },
+        { color: '#69db7c', light_color: '#2b8a3e' },
+        { color: '#ffd43b', light_color: '#a07c00' },
+        { color: '#da77f2', light_color: '#862e9c' },
+        { color: '#ffa94d', light_color: '#d9480f' },
+        { color: '#3bc9db', light_color: '#0b7285' },
+        { color: '#f783ac', light_color: '#a61e4d' },
+    ], 'italic'),
+    pastel: extend_palette([
+        { color: '#ffc9c9', light_color: '#e03131' },
+        { color: '#a5d8ff', light_color: '#1c7ed6' },
+        { color: '#b2f2bb', light_color: '#37b24d' },
+        { color: '#ffec99', light_color: '#f08c00' },
+        { color: '#eebefa', light_color: '#ae3ec9' },
+        { color: '#ffd8a8', light_color: '#f76707' },
+        { color: '#99e9f2', light_color: '#1098ad' },
+        { color: '#fcc2d7', light_color: '#d6336c' },
+    ], 'italic'),
+    // Okabe-Ito colors for dark themes and Paul Tol's muted colors for light themes, repeated colors are underlined to keep them distinguishable without hue.
+    colorblind_safe: extend_palette([
+        { color: '#e69f00', light_color: '#cc6677' },
+        { color: '#56b4e9', light_color: '#332288' },
+        { color: '#009e73', light_color: '#117733' },
+        { color: '#f0e442', light_color: '#999933' },
+        { color: '#0072b2', light_color: '#88ccee' },
+        { color: '#d55e00', light_color: '#882255' },
+        { color: '#cc79a7', light_color: '#44aa99' },
+        { color: '#bbbbbb', light_color: '#aa4499' },
+    ], 'underline'),
+};
+
+const font_style_keywords = ['bold', 'italic', 'underline', 'strikethrough'];
+
+/**
+ * @param {string} font_style - Space separated keywords, e.g. "bold italic".
+ * @returns {string[]} - Known keywords.
+ */
+function parse_font_style(font_style) {
+    return font_style.split(/\s+/).filter(keyword => font_style_keywords.includes(keyword));
+}
+
+/**
+ * @param {string|undefined} color
+ * @returns {boolean}
+ */
+function is_hex_color(color) {
+    return typeof color === 'string' && /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(color);
+}
+
+/**
+ * Combines the chosen palette with per-slot overrides from the settings.
+ * Slots without a color keep the theme color of their token type, so overrides can change only the font style.
+ * @param {string} palette_name - "theme" or one of builtin_palettes.
+ * @param {({color: (string|undefined), light_color: (string|undefined), font_style: (string|undefined)}|null)[]} overrides - Per-slot overrides, invalid colors are ignored.
+ * @returns {{color: string|null, light_color: string|null, font_style: string|null}[]|null} - One entry per color slot, null if all slots use theme colors and styles.
+ */
+function resolve_palette(palette_name, overrides) {
+    let palette = Object.prototype.hasOwnProperty.call(builtin_palettes, palette_name) ? builtin_palettes[palette_name] : null;
+    let has_overrides = false;
+    let resolved = [];
+    for (let slot = 0; slot < rainbow_token_types.length; slot++) {
+        let entry = palette ? Object.assign({}, palette[slot]) : { color: null, light_color: null, font_style: null };
+        let override = slot < overrides.length ? overrides[slot] : null;
+        if (override && typeof override === 'object') {
+            if (is_hex_color(override.color)) {
+                entry.color = override.color;
+                entry.light_color = is_hex_color(override.light_color) ? override.light_color : override.color;
+                has_overrides = true;
+            }
+            if (typeof override.font_style === 'string') {
+                entry.font_style = override.font_style;
+                has_overrides = true;
+            }
+        }
+        resolved.push(entry);
+    }
+    return palette || has_overrides ? resolved : null;
+}
+
+class SemanticTokenList {
+    constructor() {
+        /** @type {number[]} */
+        this.data = [];
+    }
+
+    /**
+     * @param {number} line
+     * @param {number} character
+     * @param {number} length
+     * @param {string} token_type - One of all_token_types.
+     */
+    push(line, character, length, token_type) {
+        this.data.push(line, character, length, all_token_types.indexOf(token_type));
+    }
+}
+
+/**
+ * @param {{line: number, character: number}} a
+ * @param {{line: number, character: number}} b
+ * @returns {boolean}
+ */
+function is_before(a, b) {
+    return a.line < b.line || (a.line === b.line && a.character < b.character);
+}
+
+/**
+ * Semantic tokens can't span multiple lines, so multi-line ranges are split into per-line tokens.
+ * @param {function(number): string} get_line
+ * @param {string} token_type
+ * @param {{line: number, character: number}} lastPushedPosition
+ * @param {{line: number, character: number}} currentPosition
+ * @param {SemanticTokenList} builder
+ */
+function push_tokens_between_positions(get_line, token_type, lastPushedPosition, currentPosition, builder) {
+    // Nothing to push if positions are the same or current is before last
+    if (!is_before(lastPushedPosition, currentPosition)) {
+        return;
+    }
+
+    if (lastPushedPosition.line === currentPosition.line) {
+        builder.push(lastPushedPosition.line, lastPushedPosition.character, currentPosition.character - lastPushedPosition.character, token_type);
+        return;
+    }
+    // Multi-line - push token for remainder of first line
+    let firstLineText = get_line(lastPushedPosition.line);
+    if (lastPushedPosition.character < firstLineText.length) {
+        builder.push(lastPushedPosition.line, lastPushedPosition.character, firstLineText.length - lastPushedPosition.character, token_type);
+    }
+
+    // Push tokens for intermediate full lines
+    for (let line = lastPushedPosition.line + 1; line < currentPosition.line; line++) {
+        let lineText = get_line(line);
+        if (lineText.length > 0) {
+            builder.push(line, 0, lineText.length, token_type);
+        }
+    }
+
+    // Push token for beginning of last line
+    if (currentPosition.character > 0) {
+        builder.push(currentPosition.line, 0, currentPosition.character, token_type);
+    }
+}
+
+
+class CommentQueue {
+    /**
+     * @param {json_parse.JsonToken[]} comments - Comment tokens in document order.
+     */
+    constructor(comments) {
+        this.comments = comments;
+        this.next_idx = 0;
+    }
+}
+
+
+/**
+ * Pushes ambient tokens between positions, interrupting them to push comment tokens for comments that fall in between.
+ * @param {function(number): string} get_line
+ * @param {CommentQueue} comment_queue
+ * @param {{line: number, character: number}} lastPushedPosition
+ * @param {{line: number, character: number}} currentPosition
+ * @param {SemanticTokenList} builder
+ */
+function push_gap_tokens(get_line, comment_queue, lastPushedPosition, currentPosition, builder) {
+    while (comment_queue.next_idx < comment_queue.comments.length) {
+        let comment = comment_queue.comments[comment_queue.next_idx];
+        let comment_start = { line: comment.line_num, character: comment.position };
+        if (!is_before(comment_start, currentPosition)) {
+            break;
+        }
+        comment_queue.next_idx += 1;
+        let comment_end = { line: comment.end_line_num, character: comment.end_position };
+        if (!is_before(lastPushedPosition, comment_end)) {
+            // The comment is inside an already highlighted key-value range, e.g. `"key": /* comment */ 42`.
+            continue;
+        }
+        if (is_before(comment_start, lastPushedPosition)) {
+            // Multi-line comment that started before the processed range.
+            comment_start = lastPushedPosition;
+        }
+        push_tokens_between_positions(get_line, ambient_token_type, lastPushedPosition, comment_start, builder);
+        push_tokens_between_positions(get_line, comment_token_type, comment_start, comment_end, builder);
+        lastPushedPosition = comment_end;
+    }
+    push_tokens_between_positions(get_line, ambient_token_type, lastPushedPosition, currentPosition, builder);
+}
+
+
+/**
+ * @param {function(number): string} get_line
+ * @param {rainbow_utils.KeyPathMatcher} key_matcher
+ * @param {CommentQueue} comment_queue
+ * @param {SemanticTokenList} builder
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} current_path
+ * @param {{line: number, character: number}} lastPushedPosition
+ * @returns {{line: number, character: number}}
+ */
+function push_current_node(get_line, key_matcher, comment_queue, builder, node, current_path, lastPushedPosition) {
+    let reversed_path = current_path.slice().reverse();
+    let highlight_index = key_matcher.find_slot(reversed_path);
+    if (node.node_type === 'SCALAR' && node.value !== null && key_matcher.is_value_color_path(reversed_path)) {
+        // Each distinct value of the key gets its own color, e.g. "level": "ERROR" and "level": "INFO".
+        highlight_index = key_matcher.get_value_color_index(node.value);
+    }
+    if (highlight_index === -1) {
+        return lastPushedPosition;
+    }
+    let token_type = rainbow_token_types[highlight_index % rainbow_token_types.length];
+    let start_line = node.parent_key_position.line;
+    let end_line = start_line;
+    let start_col = node.parent_key_position.character;
+    let end_col = start_col + node.parent_key.length;
+    if (node.node_type === 'SCALAR' && node.value !== null) {
+        // For scalar nodes highlight the whole key-value pair.
+        end_line = node.end_position.line;
+        end_col = node.end_position.character;
+    }
+    let current_range_start = { line: start_line, character: start_col };
+    let current_range_end = { line: end_line, character: end_col };
+    if (!is_before(lastPushedPosition, current_range_end)) {
+        // The node is before the processed range.
+        return lastPushedPosition;
+    }
+    if (is_before(current_range_start, lastPushedPosition)) {
+        current_range_start = lastPushedPosition;
+    }
+    push_gap_tokens(get_line, comment_queue, lastPushedPosition, current_range_start, builder);
+    // Key and value can be on different lines and JSON5 strings can span multiple lines.
+    push_tokens_between_positions(get_line, token_type, current_range_start, current_range_end, builder);
+    return current_range_end;
+}
+
+/**
+ * @param {function(number): string} get_line
+ * @param {rainbow_utils.KeyPathMatcher} key_matcher
+ * @param {CommentQueue} comment_queue
+ * @param {SemanticTokenList} builder
+ * @param {json_parse.RainbowJsonNode} node
+ * @param {string[]} path - Current path
+ * @param {{line: number, character: number}} lastPushedPosition - Start position of the range being processed
+ * @param {number} begin_line - Children outside of the line range are skipped, which matters for huge records from the parse cache.
+ * @param {number} end_line - Inclusive.
+ * @param {function(): boolean|null} should_stop - Polled before each child node.
+ * @returns {{line: number, character: number}}
+ * @throws {json_parse.JsonParsingInterruptedError}
+ */
+function push_node_tokens(get_line, key_matcher, comment_queue, builder, node, path, lastPushedPosition, begin_line, end_line, should_stop) {
+    path = path.slice();
+    if (node.parent_key) { // Arrays elements don't have parent_key, so path doesn't change which is exactly what is needed.
+        path.push(node.parent_key);
+        lastPushedPosition = push_current_node(get_line, key_matcher, comment_queue, builder, node, path, lastPushedPosition);
+    }
+    let first_child_idx = parse_cache.find_first_index(node.children, child => child.end_position.line >= begin_line);
+    for (let child_idx = first_child_idx; child_idx < node.children.length; child_idx++) {
+        let child = node.children[child_idx];
+        if ((child.parent_key_position || child.start_position).line > end_line) {
+            break;
+        }
+        if (should_stop !== null && should_stop()) {
+            throw new json_parse.JsonParsingInterruptedError();
+        }
+        lastPushedPosition = push_node_tokens(get_line, key_matcher, comment_queue, builder, child, path, lastPushedPosition, begin_line, end_line, should_stop);
+    }
+    return lastPushedPosition;
+}
+
+/**
+ * @param {function(number): string} get_line
+ * @param {rainbow_utils.KeyPathMatcher} key_matcher - Assigns color slots to key paths and values of the value color key.
+ * @param {json_parse.RainbowJsonNode[]} records - Records overlapping with the line range.
+ * @param {json_parse.JsonToken[]} comments - Comments overlapping with the line range.
+ * @param {number} begin_line
+ * @param {number} end_line - Inclusive.
+ * @param {function(): boolean|null} [should_stop=null] - Polled before each record and each nested node, tokens pushed so far are returned when it returns true.
+ * @returns {number[]} - Flat [line, character, length, token_type_index] quadruples in document order.
+ */
+function compute_semantic_tokens(get_line, key_matcher, records, comments, begin_line, end_line, should_stop=null) {
+    let builder = new SemanticTokenList();
+    let comment_queue = new CommentQueue(comments);
+    let lastPushedPosition = { line: begin_line, character: 0 };
+    for (let record of records) {
+        if (should_stop !== null && should_stop()) {
+            return builder.data;
+        }
+        try {
+            lastPushedPosition = push_node_tokens(get_line, key_matcher, comment_queue, builder, record, /*path=*/[], lastPushedPosition, begin_line, end_line, should_stop);
+        } catch (e) {
+            if (!(e instanceof json_parse.JsonParsingInterruptedError)) {
+                throw e;
+            }
+            return builder.data;
+        }
+    }
+    push_gap_tokens(get_line, comment_queue, lastPushedPosition, { line: end_line, character: get_line(end_line).length }, builder);
+    return builder.data;
+}
+
+module.exports = {
+    compute_semantic_tokens,
+    rainbow_token_types,
+    THEME_PALETTE,
+    builtin_palettes,
+    parse_font_style,
+    resolve_palette,
+    ambient_token_type,
+    comment_token_type,
+    all_token_types
+};
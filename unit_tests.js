@@ -1,6 +1,9 @@
 // Import the tokenize_line function
-const { tokenize_json_line, parse_json_objects, JsonTokenizerError, JsonSyntaxError, JsonIncompleteError } = require('./json_parse.js');
+const { tokenize_json_line, tokenize_json_line_in_place, parse_json_objects, get_dialect_by_language_id, guess_lexer_state_at_line, JSON_DIALECT, JSONC_DIALECT, JSON5_DIALECT, LexerState, DEFAULT_LEXER_STATE, LEXER_MODE_BLOCK_COMMENT, JsonTokenizerError, JsonSyntaxError, JsonIncompleteError, JsonParsingInterruptedError, validate_jsonl_line } = require('./json_parse.js');
 const rainbow_utils = require('./rainbow_utils.js');
+const parse_cache = require('./parse_cache.js');
+const semantic_tokens = require('./semantic_tokens.js');
+const parse_worker = require('./parse_worker.js');
 
 /**
  * @param {boolean} condition
@@ -561,6 +564,235 @@ test('Parse with empty lines between objects', () => {
     assertEquals(result[2].children[0].value, '3');
 });
 
+// Recovering mode tests
+test('Recovering mode skips JSONL line with tokenizer error', () => {
+    const errors = [];
+    const records = parse_json_objects(['{"a": 1}', '{"a": 2, @}', '{"a": 3}'], [0, 1, 2], JSON_DIALECT, null, DEFAULT_LEXER_STATE, null, errors);
+    assertEquals(JSON.stringify(records.map(r => r.start_position.line)), JSON.stringify([0, 2]));
+    assertEquals(errors.length, 1);
+    assert(errors[0] instanceof JsonTokenizerError);
+    assertEquals(errors[0].line_num, 1);
+});
+
+test('Recovering mode skips JSONL line with syntax error', () => {
+    const errors = [];
+    const records = parse_json_objects(['{"a": 1}', '{"a" 2}', '{"a": 3]', '{"a": 4}'], [0, 1, 2, 3], JSON_DIALECT, null, DEFAULT_LEXER_STATE, null, errors);
+    assertEquals(JSON.stringify(records.map(r => r.start_position.line)), JSON.stringify([0, 3]));
+    assertEquals(errors.length, 2);
+    assertEquals(errors[0].message, 'Expected colon, got "2"');
+    assertEquals(errors[0].line_num, 1);
+    assertEquals(errors[1].message, 'Mismatched closing token "]"');
+    assertEquals(errors[1].line_num, 2);
+});
+
+test('Recovering mode keeps complete children of a broken record', () => {
+    const errors = [];
+    const lines = ['[', '  {"a": 1},', '  {"a" 2},', '  {"a": {"b": 3}}', ']'];
+    const records = parse_json_objects(lines, [0, 1, 2, 3, 4], JSON_DIALECT, null, DEFAULT_LEXER_STATE, null, errors);
+    assertEquals(JSON.stringify(records.map(r => r.start_position.line)), JSON.stringify([1, 3]));
+    assertEquals(records[1].children[0].parent_key, '"a"');
+    assertEquals(errors.length, 1);
+    assertEquals(errors[0].line_num, 2);
+});
+
+test('Recovering mode without errors matches strict mode', () => {
+    const lines = ['{"a": [1, 2], "b": {"c": null}}', '[{"d": true}]'];
+    const errors = [];
+    const strict = parse_json_objects(lines, [0, 1]);
+    const recovered = parse_json_objects(lines, [0, 1], JSON_DIALECT, null, DEFAULT_LEXER_STATE, null, errors);
+    assertEquals(errors.length, 0);
+    assertEquals(JSON.stringify(recovered), JSON.stringify(strict));
+});
+
+// JSONL validation tests
+test('validate_jsonl_line accepts single records and empty lines', () => {
+    assertEquals(validate_jsonl_line('{"a": [1, {"b": null}]}', 0), null);
+    assertEquals(validate_jsonl_line('[1, 2]', 0), null);
+    assertEquals(validate_jsonl_line('"scalar"', 0), null);
+    assertEquals(validate_jsonl_line('   ', 0), null);
+});
+
+test('validate_jsonl_line reports malformed lines', () => {
+    const syntax_problem = validate_jsonl_line('{"a" 1}', 3);
+    assertEquals(syntax_problem.message, 'Expected colon, got "1"');
+    assertEquals(syntax_problem.line_num, 3);
+    assertEquals(syntax_problem.position, 5);
+    assertEquals(validate_jsonl_line('{"a": 1', 0).message, 'Expected comma or closing brace, got end of line');
+    assertEquals(validate_jsonl_line('{"a": @}', 0).message, 'Unexpected character: "@"');
+    assertEquals(validate_jsonl_line('{"a": 1},', 0).message, 'Expected end of line, got ","');
+});
+
+test('validate_jsonl_line reports extra records', () => {
+    const extra_record = validate_jsonl_line('{"a": 1} {"b": 2}', 0);
+    assertEquals(extra_record.message, 'Line has more than one record. Expected end of line, got "{"');
+    assertEquals(extra_record.position, 9);
+    assertEquals(extra_record.length, 8);
+    assertEquals(validate_jsonl_line('{"a": 1} {"b": ', 0).message, 'Line has a trailing partial record. Expected value, got end of line');
+});
+
+// Dialect tests - JSONC and JSON5
+test('Dialect is chosen by language id', () => {
+    assertEquals(get_dialect_by_language_id('json'), JSON_DIALECT);
+    assertEquals(get_dialect_by_language_id('jsonl'), JSON_DIALECT);
+    assertEquals(get_dialect_by_language_id('jsonc'), JSONC_DIALECT);
+    assertEquals(get_dialect_by_language_id('json5'), JSON5_DIALECT);
+});
+
+test('Comments throw in strict JSON', () => {
+    assertThrows(() => tokenize_json_line('{"a": 1} // comment'), 'Should throw on line comment', JsonTokenizerError);
+    assertThrows(() => tokenize_json_line('/* comment */ {"a": 1}'), 'Should throw on block comment', JsonTokenizerError);
+});
+
+test('JSONC comments are skipped by the tokenizer', () => {
+    const result = tokenize_json_line('{"a": /* inline */ 1} // trailing', null, JSONC_DIALECT);
+    assertEquals(result.length, 5);
+    assertEquals(result[3].value, '1');
+    assertEquals(result[3].position, 19);
+});
+
+test('JSONC comments are collected in document order', () => {
+    const comments = [];
+    const result = parse_json_objects(['// header', '{"a": 1, /* b */ "b": 2}'], [0, 1], JSONC_DIALECT, comments);
+    assertEquals(result.length, 1);
+    assertEquals(comments.length, 2);
+    assertEquals(comments[0].value, '// header');
+    assertEquals(comments[0].line_num, 0);
+    assert(comments[0].comment);
+    assertEquals(comments[1].value, '/* b */');
+    assertEquals(comments[1].line_num, 1);
+    assertEquals(comments[1].position, 9);
+});
+
+test('JSONC unterminated block comment continues at the next line', () => {
+    const tokens = [];
+    const comments = [];
+    let state = tokenize_json_line_in_place('{"a": 1, /* open', 0, tokens, JSONC_DIALECT, comments);
+    assertEquals(state.mode, LEXER_MODE_BLOCK_COMMENT);
+    assertEquals(comments.length, 0);
+    state = tokenize_json_line_in_place('   still "comment" {', 1, tokens, JSONC_DIALECT, comments, state);
+    assertEquals(state.mode, LEXER_MODE_BLOCK_COMMENT);
+    state = tokenize_json_line_in_place('end */ "b": 2}', 2, tokens, JSONC_DIALECT, comments, state);
+    assert(state.equals(DEFAULT_LEXER_STATE));
+    assertEquals(tokens.length, 9);
+    assertEquals(tokens[5].value, '"b"');
+    assertEquals(tokens[5].line_num, 2);
+    assertEquals(tokens[5].position, 7);
+    assertEquals(comments.length, 1);
+    assertEquals(comments[0].value, '/* open\n   still "comment" {\nend */');
+    assertEquals(comments[0].line_num, 0);
+    assertEquals(comments[0].position, 9);
+    assertEquals(comments[0].end_line_num, 2);
+    assertEquals(comments[0].end_position, 6);
+});
+
+test('Multi-line block comment in parse', () => {
+    const lines = ['{"a": 1}', '/*', '{"commented": 1}', '*/ {"b": 2}'];
+    const comments = [];
+    const result = parse_json_objects(lines, [0, 1, 2, 3], JSONC_DIALECT, comments);
+    assertEquals(result.length, 2);
+    assertEquals(result[1].children[0].parent_key, '"b"');
+    assertEquals(comments.length, 1);
+    assertEquals(comments[0].end_line_num, 3);
+});
+
+test('Parse starting inside a block comment', () => {
+    const lines = ['{"commented": 1}', '*/ {"b": 2}', '/* unclosed'];
+    const comments = [];
+    const result = parse_json_objects(lines, [5, 6, 7], JSONC_DIALECT, comments, new LexerState(LEXER_MODE_BLOCK_COMMENT));
+    assertEquals(result.length, 1);
+    assertEquals(result[0].children[0].parent_key, '"b"');
+    assertEquals(comments.length, 2);
+    assertEquals(comments[0].line_num, 5);
+    assertEquals(comments[0].position, 0);
+    assertEquals(comments[1].value, '/* unclosed');
+});
+
+test('JSON5 multi-line strings', () => {
+    const lines = ["{text: 'first \\", 'second\\', "third', n: 1}"];
+    const result = parse_json_objects(lines, [0, 1, 2], JSON5_DIALECT);
+    const text_node = result[0].children[0];
+    assertEquals(text_node.value, "'first \\\nsecond\\\nthird'");
+    assertEquals(text_node.start_position.line, 0);
+    assertEquals(text_node.start_position.character, 7);
+    assertEquals(text_node.end_position.line, 2);
+    assertEquals(text_node.end_position.character, 6);
+    assertEquals(result[0].children[1].parent_key, 'n');
+});
+
+test('JSON5 string without continuation throws', () => {
+    assertThrows(() => parse_json_objects(["{text: 'first \\", 'second'], [0, 1], JSON5_DIALECT), 'Should throw on unterminated string', JsonTokenizerError);
+});
+
+test('Guess lexer state inside a block comment', () => {
+    const lines = ['{', '  "include": ["src/**/*.ts"],', '  /* long', '  comment', '  "a": 1', '  */', '  "b": 2', '}'];
+    const get_line = (lnum) => lines[lnum];
+    assert(guess_lexer_state_at_line(get_line, 1, JSONC_DIALECT, 100).equals(DEFAULT_LEXER_STATE));
+    assert(guess_lexer_state_at_line(get_line, 2, JSONC_DIALECT, 100).equals(DEFAULT_LEXER_STATE));
+    assertEquals(guess_lexer_state_at_line(get_line, 3, JSONC_DIALECT, 100).mode, LEXER_MODE_BLOCK_COMMENT);
+    assertEquals(guess_lexer_state_at_line(get_line, 5, JSONC_DIALECT, 100).mode, LEXER_MODE_BLOCK_COMMENT);
+    assertEquals(guess_lexer_state_at_line(get_line, 5, JSONC_DIALECT, 100).pending_token, null);
+    assert(guess_lexer_state_at_line(get_line, 6, JSONC_DIALECT, 100).equals(DEFAULT_LEXER_STATE));
+    // Starting the lookback inside the comment: only the "inside comment" hypothesis survives the closing line.
+    assert(guess_lexer_state_at_line(get_line, 7, JSONC_DIALECT, 3).equals(DEFAULT_LEXER_STATE));
+    // "comment" line can't be tokenized outside of a comment.
+    assertEquals(guess_lexer_state_at_line(get_line, 4, JSONC_DIALECT, 1).mode, LEXER_MODE_BLOCK_COMMENT);
+});
+
+test('Guess lexer state for strict JSON is always default', () => {
+    const get_line = () => '/* not a comment';
+    assert(guess_lexer_state_at_line(get_line, 10, JSON_DIALECT, 5).equals(DEFAULT_LEXER_STATE));
+});
+
+test('JSONC allows trailing commas', () => {
+    const result = parse_json_objects(['{"a": [1, 2,], "b": {"c": 3,},}'], [1], JSONC_DIALECT);
+    assertEquals(result.length, 1);
+    assertEquals(result[0].children.length, 2);
+    assertEquals(result[0].children[0].children.length, 2);
+    assertEquals(result[0].children[1].children.length, 1);
+});
+
+test('JSONC does not allow JSON5 literals', () => {
+    assertThrows(() => parse_json_objects(["{'a': 1}"], [1], JSONC_DIALECT), 'Should throw on single quotes', JsonTokenizerError);
+    assertThrows(() => parse_json_objects(['{a: 1}'], [1], JSONC_DIALECT), 'Should throw on unquoted key', JsonTokenizerError);
+});
+
+test('JSON5 single-quoted strings and unquoted keys', () => {
+    const result = parse_json_objects(["{name: 'John', 'age': 30, $id_2: \"x\"}"], [1], JSON5_DIALECT);
+    assertEquals(result[0].children.length, 3);
+    assertEquals(result[0].children[0].parent_key, 'name');
+    assertEquals(result[0].children[0].value, "'John'");
+    assertEquals(result[0].children[1].parent_key, "'age'");
+    assertEquals(result[0].children[2].parent_key, '$id_2');
+});
+
+test('JSON5 unquoted keys can start with a constant name', () => {
+    const result = parse_json_objects(['{nullable: true, true_value: null}'], [1], JSON5_DIALECT);
+    assertEquals(result[0].children[0].parent_key, 'nullable');
+    assertEquals(result[0].children[0].value, 'true');
+    assertEquals(result[0].children[1].parent_key, 'true_value');
+    assertEquals(result[0].children[1].value, 'null');
+});
+
+test('JSON5 literal names are accepted as unquoted keys', () => {
+    const result = parse_json_objects(['{null: 1, true: 2, false: 3, Infinity: 4, NaN: null}'], [0], JSON5_DIALECT);
+    assertEquals(JSON.stringify(result[0].children.map(child => child.parent_key)), JSON.stringify(['null', 'true', 'false', 'Infinity', 'NaN']));
+    assertEquals(result[0].children[4].value, 'null');
+    assertEquals(parse_json_objects(['{null: 1}'], [0], JSON5_DIALECT)[0].children[0].parent_key, 'null');
+    assertThrows(() => parse_json_objects(['{-Infinity: 1}'], [0], JSON5_DIALECT), 'Should throw on signed number key', JsonSyntaxError);
+    assertThrows(() => parse_json_objects(['{0x10: 1}'], [0], JSON5_DIALECT), 'Should throw on hex number key', JsonSyntaxError);
+    assertThrows(() => parse_json_objects(['{null: 1}'], [0], JSON_DIALECT), 'Should throw on unquoted key in JSON', JsonSyntaxError);
+});
+
+test('JSON5 numbers', () => {
+    const result = tokenize_json_line('[0x1F, -0XaB, Infinity, -Infinity, NaN, +1, .5, 5., 1e3]', null, JSON5_DIALECT);
+    const numbers = result.filter(token => token.number).map(token => token.value);
+    assertEquals(numbers.join(' '), '0x1F -0XaB Infinity -Infinity NaN +1 .5 5. 1e3');
+});
+
+test('JSON5 identifiers are not accepted as values', () => {
+    assertThrows(() => parse_json_objects(['{a: b}'], [1], JSON5_DIALECT), 'Should throw on identifier value', JsonSyntaxError);
+});
+
 // rainbow_utils tests - get_path_signature
 test('get_path_signature joins path with arrow separator', () => {
     const result = rainbow_utils.get_path_signature(['foo', 'bar', 'baz']);
@@ -577,11 +809,118 @@ test('get_path_signature handles single element path', () => {
     assertEquals(result, 'foo');
 });
 
+test('get_normalized_path_signature compares keys by their decoded value', () => {
+    const signature = rainbow_utils.get_normalized_path_signature(['"user"', '"name"']);
+    assertEquals(rainbow_utils.get_normalized_path_signature(['user', "'name'"]), signature);
+    assertEquals(rainbow_utils.get_normalized_path_signature(['"\\u0075ser"', 'n\\u0061me']), signature);
+    assertEquals(rainbow_utils.get_normalized_path_signature(["'it\\'s'"]), rainbow_utils.get_normalized_path_signature(['"it\'s"']));
+    assertEquals(rainbow_utils.get_normalized_path_signature(["'say \"hi\"'"]), '"say \\"hi\\""');
+    assertEquals(rainbow_utils.get_path_signature(['user', "'name'"]), "user->'name'");
+    // Keys from the workspace config are JSON-quoted.
+    const config_keys = rainbow_utils.parse_workspace_key_config('{"highlight_keys": {"*.json5": [["user", "name"]]}}')[0].key_paths[0];
+    assertEquals(rainbow_utils.get_normalized_path_signature(config_keys), signature);
+});
+
 test('get_path_signature handles empty array', () => {
     const result = rainbow_utils.get_path_signature([]);
     assertEquals(result, '');
 });
 
+test('is_path_signature_prefix matches on path element boundary', () => {
+    assert(rainbow_utils.is_path_signature_prefix('id->user', 'id'));
+    assert(rainbow_utils.is_path_signature_prefix('id->user', 'id->user'));
+    assert(!rainbow_utils.is_path_signature_prefix('idx->user', 'id'));
+    assert(!rainbow_utils.is_path_signature_prefix('id', 'id->user'));
+});
+
+// rainbow_utils tests - match modes
+test('parse_match_mode', () => {
+    assertEquals(rainbow_utils.parse_match_mode('full_path'), null);
+    assertEquals(rainbow_utils.parse_match_mode('leaf_key'), 1);
+    assertEquals(rainbow_utils.parse_match_mode('path_suffix(2)'), 2);
+    assertEquals(rainbow_utils.parse_match_mode('path_suffix(0)'), null);
+    assertEquals(rainbow_utils.parse_match_mode('unknown'), null);
+});
+
+test('KeyPathMatcher with path suffix', () => {
+    const matcher = new rainbow_utils.KeyPathMatcher([null, '"id"->"user"'], 2);
+    assertEquals(matcher.find_slot(['"id"', '"user"', '"a"']), 1);
+    assertEquals(matcher.find_slot(['"id"', '"user"']), 1);
+    // Partially parsed record without the root-side keys.
+    assertEquals(matcher.find_slot(['"id"']), 1);
+    assertEquals(matcher.find_slot(['"id"', '"group"']), -1);
+    assertEquals(new rainbow_utils.KeyPathMatcher(['"id"->"user"']).find_slot(['"id"', '"user"', '"a"']), -1);
+});
+
+test('parse_key_path_pattern and match_key_path_pattern', () => {
+    const matches = (pattern, key_names) => rainbow_utils.match_key_path_pattern(rainbow_utils.parse_key_path_pattern(pattern), key_names);
+    assert(matches('users.*.email', ['users', '42', 'email']));
+    assert(!matches('users.*.email', ['users', 'email']));
+    assert(matches('**.id', ['id']));
+    assert(matches('**.id', ['a', 'b', 'id']));
+    assert(!matches('**.id', ['a', 'id', 'b']));
+    assert(matches('data[*].meta.*', ['data', 'meta', 'x']));
+    assert(matches('[*].*_id', ['user_id']));
+    assert(!matches('[*].*_id', ['user_idx']));
+    assert(matches('"a.b".**', ['a.b', 'c', 'd']));
+    assert(!matches('a.b', ['a', 'bb']));
+    assertThrows(() => rainbow_utils.parse_key_path_pattern('a..b'));
+    assertThrows(() => rainbow_utils.parse_key_path_pattern('a.'));
+    assertThrows(() => rainbow_utils.parse_key_path_pattern('"a'));
+    assertThrows(() => rainbow_utils.parse_key_path_pattern(''));
+});
+
+test('KeyPathMatcher with patterns', () => {
+    const pattern_key = rainbow_utils.get_path_signature(rainbow_utils.make_pattern_key('**.id'));
+    const matcher = new rainbow_utils.KeyPathMatcher([pattern_key, '"id"->"user"'], null);
+    // Exact keys take precedence.
+    assertEquals(matcher.find_slot(['"id"', '"user"']), 1);
+    assertEquals(matcher.find_slot(['"id"', '"group"']), 0);
+    assertEquals(matcher.find_slot(["'id'", "'group'"]), 0);
+    assertEquals(matcher.find_slot(['id', 'user']), 1, 'JSON5 keys are compared by their decoded value');
+    assertEquals(matcher.find_slot(['"name"', '"group"']), -1);
+    assertEquals(rainbow_utils.get_pattern_text(pattern_key), '**.id');
+    assertEquals(rainbow_utils.get_pattern_text('"id"'), null);
+});
+
+test('collect_value_color_indexes numbers values in order of first occurrence', () => {
+    const lines = ['{"level": "INFO", "x": {"level": 1}}', '{"level": "ERROR"}', "{'level': 'INFO'}", '{"level": null}'];
+    const records = parse_json_objects(lines, [0, 1, 2, 3], JSON5_DIALECT);
+    const indexes = rainbow_utils.collect_value_color_indexes(records, '"level"', null);
+    assertEquals(JSON.stringify(Array.from(indexes.entries())), JSON.stringify([['INFO', 0], ['ERROR', 1], ['null', 2]]));
+    // In leaf key mode nested keys are included.
+    const leaf_indexes = rainbow_utils.collect_value_color_indexes(records, '"level"', 1);
+    assertEquals(JSON.stringify(Array.from(leaf_indexes.keys())), JSON.stringify(['INFO', '1', 'ERROR', 'null']));
+});
+
+test('KeyPathMatcher value colors', () => {
+    const matcher = new rainbow_utils.KeyPathMatcher([], null, '"level"', new Map([['INFO', 0], ['ERROR', 1]]));
+    assert(matcher.is_value_color_path(['"level"']));
+    assert(!matcher.is_value_color_path(['"level"', '"x"']));
+    assert(!new rainbow_utils.KeyPathMatcher([]).is_value_color_path(['"level"']));
+    assertEquals(matcher.get_value_color_index('"ERROR"'), 1);
+    assertEquals(matcher.get_value_color_index("'INFO'"), 0);
+    assertEquals(matcher.get_value_color_index('"WARN"'), rainbow_utils.get_value_hash_color_index('WARN'));
+    assertEquals(rainbow_utils.normalize_scalar_value('"a"'), 'a');
+    assertEquals(rainbow_utils.normalize_scalar_value('12'), '12');
+});
+
+test('find_record_value_colors', () => {
+    const lines = ['{"level": "INFO"}', '{"msg": "x"}', '{', '  "a": {"level": "ERROR"},', '  "level": "INFO"', '}'];
+    const records = parse_json_objects(lines, [0, 1, 2, 3, 4, 5]);
+    const matcher = new rainbow_utils.KeyPathMatcher([], 1, '"level"', rainbow_utils.collect_value_color_indexes(records, '"level"', 1));
+    assertEquals(JSON.stringify(rainbow_utils.find_record_value_colors(records, matcher)), JSON.stringify([
+        { line: 0, end_line: 0, color_index: 0 },
+        { line: 2, end_line: 5, color_index: 1 },
+    ]));
+});
+
+test('merge_key_frequency_stats', () => {
+    const stats = [{ path: ['"a"', '"id"'], count: 3 }, { path: ['"x"'], count: 4 }, { path: ['"b"', '"id"'], count: 2 }];
+    assertEquals(JSON.stringify(rainbow_utils.merge_key_frequency_stats(stats, 1)), JSON.stringify([{ path: ['"id"'], count: 5 }, { path: ['"x"'], count: 4 }]));
+    assertEquals(rainbow_utils.merge_key_frequency_stats(stats, null), stats);
+});
+
 // rainbow_utils tests - calculate_key_frequency_stats (tests collect_keys_from_node indirectly)
 test('frequency stats collects keys from simple object', () => {
     const lines = ['{"name": "Alice", "age": 30}'];
@@ -639,6 +978,12 @@ test('frequency stats collects keys from objects inside arrays', () => {
     assertEquals(idStat.count, 2);
 });
 
+test('frequency stats counts JSON5 keys with different quoting as the same path', () => {
+    const lines = ["{user: {'name': 1}}", '{"user": {"name": 2}}'];
+    const stats = rainbow_utils.calculate_key_frequency_stats(lines, [0, 1], JSON5_DIALECT);
+    assertEquals(JSON.stringify(stats), JSON.stringify([{ path: ['user'], count: 2 }, { path: ['user', "'name'"], count: 2 }]));
+});
+
 test('frequency stats sorts by frequency descending', () => {
     const lines = ['{"a": 1, "b": 2}', '{"b": 3}', '{"b": 4}'];
     const line_nums = [0, 1, 2];
@@ -686,6 +1031,16 @@ test('frequency stats handles deeply nested structures', () => {
     assert(paths.includes('"a"->"b"->"c"->"d"'), 'Should include "a"->"b"->"c"->"d"');
 });
 
+test('frequency stats uses the provided dialect', () => {
+    const lines = ['// Comment', '{"id": 1, /* comment */ "name": "a",}', '{"id": 2}'];
+    const line_nums = [0, 1, 2];
+    assertEquals(rainbow_utils.calculate_key_frequency_stats(lines, line_nums).length, 0);
+    const stats = rainbow_utils.calculate_key_frequency_stats(lines, line_nums, JSONC_DIALECT);
+    assertEquals(stats.length, 2);
+    assertEquals(stats[0].path.join('->'), '"id"');
+    assertEquals(stats[0].count, 2);
+});
+
 test('frequency stats handles mixed arrays and objects', () => {
     const lines = ['{"data": [{"items": [{"id": 1}]}, {"items": [{"id": 2}]}]}'];
     const line_nums = [0];
@@ -696,6 +1051,909 @@ test('frequency stats handles mixed arrays and objects', () => {
     assertEquals(idStat.count, 2);
 });
 
+// rainbow_utils tests - sampled key frequency stats
+test('get_evenly_spaced_window_starts', () => {
+    assertEquals(JSON.stringify(rainbow_utils.get_evenly_spaced_window_starts(1000, 4, 10)), JSON.stringify([0, 250, 500, 750]));
+    assertEquals(JSON.stringify(rainbow_utils.get_evenly_spaced_window_starts(25, 4, 10)), JSON.stringify([0, 8, 16]));
+});
+
+test('get_coarse_to_fine_window_starts covers all windows', () => {
+    const starts = rainbow_utils.get_coarse_to_fine_window_starts(55, 10);
+    assertEquals(JSON.stringify(starts.slice(0, 2)), JSON.stringify([0, 30]));
+    assertEquals(JSON.stringify(starts.slice().sort((a, b) => a - b)), JSON.stringify([0, 10, 20, 30, 40, 50]));
+});
+
+test('sampled frequency stats first records', () => {
+    const lines = [];
+    for (let i = 0; i < 10; i++) {
+        lines.push(i < 3 ? `{"a": ${i}, "b": 1}` : `{"c": ${i}}`);
+    }
+    const options = { mode: rainbow_utils.SAMPLING_MODE_FIRST_RECORDS, max_records: 3 };
+    const stats = rainbow_utils.calculate_sampled_key_frequency_stats(lnum => lines[lnum], lines.length, JSON_DIALECT, options);
+    assertEquals(JSON.stringify(stats), JSON.stringify([{ path: ['"a"'], count: 3 }, { path: ['"b"'], count: 3 }]));
+});
+
+test('sampled frequency stats line windows skip partial records', () => {
+    const lines = [];
+    for (let i = 0; i < 20; i++) {
+        lines.push('{', `  "id": ${i},`, '  "tags": [1, 2]', '}');
+    }
+    // Windows start at lines 0, 20, 40 and 60, so only the records fully inside the first 5 lines of each window are collected.
+    const options = { mode: rainbow_utils.SAMPLING_MODE_LINE_WINDOWS, num_windows: 4, window_lines: 5 };
+    const stats = rainbow_utils.calculate_sampled_key_frequency_stats(lnum => lines[lnum], lines.length, JSON_DIALECT, options);
+    assertEquals(JSON.stringify(stats), JSON.stringify([{ path: ['"id"'], count: 4 }, { path: ['"tags"'], count: 4 }]));
+    const shifted_lines = ['  "x": 1', '}'].concat(lines);
+    const shifted_stats = rainbow_utils.calculate_sampled_key_frequency_stats(lnum => shifted_lines[lnum], shifted_lines.length, JSON_DIALECT, options);
+    assertEquals(shifted_stats[0].path.join('->'), '"id"');
+    assert(!shifted_stats.some(stat => stat.path.join('->') === '"x"'));
+});
+
+test('sampled frequency stats time budget', () => {
+    const lines = [];
+    for (let i = 0; i < 100; i++) {
+        lines.push(`{"id": ${i}}`);
+    }
+    const options = { mode: rainbow_utils.SAMPLING_MODE_TIME_BUDGET, window_lines: 10, time_budget_ms: 10000 };
+    const stats = rainbow_utils.calculate_sampled_key_frequency_stats(lnum => lines[lnum], lines.length, JSON_DIALECT, options);
+    assertEquals(JSON.stringify(stats), JSON.stringify([{ path: ['"id"'], count: 100 }]));
+});
+
+// rainbow_utils tests - KeyHighlightSelection
+/**
+ * @param {rainbow_utils.KeyHighlightSelection} selection
+ * @returns {(string|null)[]}
+ */
+function selection_signatures(selection) {
+    return selection.reversed_keys.map(path => rainbow_utils.get_path_signature(path));
+}
+
+test('KeyHighlightSelection set_auto_keys keeps slots of still selected keys', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"'], ['"b"'], ['"c"']], 8);
+    assert(selection.auto_keys_up_to_date);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"a"', '"b"', '"c"']));
+    selection.set_auto_keys([['"c"'], ['"d"']], 8);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"d"', null, '"c"']));
+});
+
+test('KeyHighlightSelection set_auto_keys keeps manual toggles', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"'], ['"b"']], 3);
+    assertEquals(selection.toggle(['"a"'], 3), false);
+    assertEquals(selection.toggle(['"x"'], 3), true);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"x"', '"b"']));
+    selection.set_auto_keys([['"a"'], ['"c"'], ['"d"']], 3);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"x"', '"c"', '"d"']));
+});
+
+test('KeyHighlightSelection toggle returns null without free slots', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"'], ['"b"']], 2);
+    assertEquals(selection.toggle(['"c"'], 2), null);
+    assertEquals(selection.toggle(['"b"'], 2), false);
+    assertEquals(selection.toggle(['"c"'], 2), true);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"a"', '"c"']));
+});
+
+test('KeyHighlightSelection set_auto_keys reports keys without free slots', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.toggle(['"x"'], 3);
+    selection.toggle(['"b"'], 3);
+    selection.toggle(['"b"'], 3);
+    const skipped = selection.set_auto_keys([['"a"'], ['"b"'], ['"c"'], ['"d"']], 3);
+    assertEquals(JSON.stringify(skipped), JSON.stringify([['"d"']]), 'Manually removed keys are not reported');
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"x"', '"a"', '"c"']));
+    assertEquals(selection.set_auto_keys([['"a"']], 3).length, 0);
+});
+
+test('KeyHighlightSelection clear_auto_keys keeps manual toggles', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"'], ['"b"']], 8);
+    selection.toggle(['"x"'], 8);
+    selection.clear_auto_keys();
+    assert(!selection.auto_keys_up_to_date);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify([null, null, '"x"']));
+});
+
+test('KeyHighlightSelection serialize keeps manual keys and null slots', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"'], ['"b"'], ['"c"']], 8);
+    selection.toggle(['"b"'], 8);
+    selection.toggle(['"x"'], 8);
+    selection.toggle(['"y"'], 8);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"a"', '"x"', '"c"', '"y"']));
+    const data = JSON.parse(JSON.stringify(selection.serialize()));
+    assertEquals(JSON.stringify(data.reversed_keys), JSON.stringify([null, ['"x"'], null, ['"y"']]));
+    const restored = rainbow_utils.KeyHighlightSelection.deserialize(data);
+    assert(restored.has_manual_changes());
+    assert(!restored.auto_keys_up_to_date);
+    restored.set_auto_keys([['"a"'], ['"b"'], ['"c"']], 8);
+    assertEquals(JSON.stringify(selection_signatures(restored)), JSON.stringify(['"a"', '"x"', '"c"', '"y"']));
+});
+
+test('KeyHighlightSelection value color path', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    assert(!selection.has_manual_changes());
+    assert(selection.toggle_value_color_path(['"level"']));
+    assert(selection.has_manual_changes());
+    const restored = rainbow_utils.KeyHighlightSelection.deserialize(JSON.parse(JSON.stringify(selection.serialize())));
+    assertEquals(JSON.stringify(restored.value_color_path), JSON.stringify(['"level"']));
+    assert(restored.toggle_value_color_path(['"status"']));
+    assert(!restored.toggle_value_color_path(['"status"']));
+    assertEquals(restored.value_color_path, null);
+    // Data saved before value colors were added.
+    assertEquals(rainbow_utils.KeyHighlightSelection.deserialize({ reversed_keys: [], manually_removed: [] }).value_color_path, null);
+});
+
+test('KeyHighlightSelection swap_slots keeps moved auto keys in their slots', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"'], ['"b"']], 8);
+    selection.swap_slots(0, 1);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"b"', '"a"']));
+    selection.swap_slots(0, 3);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify([null, '"a"', null, '"b"']));
+    selection.set_auto_keys([['"c"']], 8);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"c"', '"a"', null, '"b"']));
+    selection.swap_slots(1, 2);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"c"', null, '"a"', '"b"']));
+});
+
+test('KeyHighlightSelection clear_all', () => {
+    const selection = new rainbow_utils.KeyHighlightSelection();
+    selection.set_auto_keys([['"a"']], 8);
+    selection.toggle(['"b"'], 8);
+    selection.clear_all();
+    assertEquals(selection.reversed_keys.length, 0);
+    selection.set_auto_keys([['"a"'], ['"c"']], 8);
+    assertEquals(JSON.stringify(selection_signatures(selection)), JSON.stringify(['"c"']));
+});
+
+test('parse_workspace_key_config', () => {
+    const entries = rainbow_utils.parse_workspace_key_config('{"highlight_keys": {"data/*.jsonl": [["user", "id"], ["event"]]}}');
+    assertEquals(entries.length, 1);
+    assertEquals(entries[0].glob, 'data/*.jsonl');
+    assertEquals(JSON.stringify(entries[0].key_paths), JSON.stringify([['"user"', '"id"'], ['"event"']]));
+    assertEquals(rainbow_utils.parse_workspace_key_config('{}').length, 0);
+    assertThrows(() => rainbow_utils.parse_workspace_key_config('{"highlight_keys": {"*.json": ["id"]}}'));
+    assertThrows(() => rainbow_utils.parse_workspace_key_config('[]'));
+});
+
+// rainbow_utils tests - schema report
+test('calculate_schema_report', () => {
+    const lines = [];
+    for (let i = 0; i < 10; i++) {
+        lines.push(i === 3 ? '{"id": 3, "user": {"nmae": "x"}}' : `{"id": ${i}, "user": {"name": "x"}}`);
+    }
+    lines.push('{"id": 10}');
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    const report = rainbow_utils.calculate_schema_report(records, 0.8, 0.1);
+    assertEquals(report.record_count, 11);
+    assertEquals(JSON.stringify(report.paths.map(stat => [rainbow_utils.format_key_path(stat.path), stat.record_count])),
+        JSON.stringify([['id', 11], ['user', 10], ['user->name', 9], ['user->nmae', 1]]));
+    // Record without "user" doesn't additionally miss "user->name".
+    assertEquals(JSON.stringify(report.records_missing_expected_paths), JSON.stringify([
+        { line_num: 3, missing_paths: [['"user"', '"name"']] },
+        { line_num: 10, missing_paths: [['"user"']] },
+    ]));
+    assertEquals(JSON.stringify(report.rare_path_occurrences), JSON.stringify([{ path: ['"user"', '"nmae"'], line_num: 3, position: 19, length: 6 }]));
+});
+
+test('calculate_schema_report uses elements of top-level array as records', () => {
+    const lines = ['[', '{"a": 1, "b": 2},', '{"a": 1}', ']'];
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    const report = rainbow_utils.calculate_schema_report(records, 0.5, 0);
+    assertEquals(report.record_count, 2);
+    assertEquals(JSON.stringify(report.records_missing_expected_paths), JSON.stringify([{ line_num: 2, missing_paths: [['"b"']] }]));
+    assertEquals(rainbow_utils.format_key_path(['"a\\"b"', "'c'", 'd']), 'a"b->c->d');
+});
+
+// rainbow_utils tests - value type report
+test('calculate_value_type_report', () => {
+    const lines = ['{"price": 1, "tags": ["a"], "meta": null}', '{"price": "12", "tags": [], "meta": {"x": true}}', '{"price": 3.5, "tags": null, "meta": null}', '{"price": null}'];
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    const report = rainbow_utils.calculate_value_type_report(records);
+    assertEquals(JSON.stringify(report.paths.map(stats => [rainbow_utils.format_key_path(stats.path), stats.type_counts, stats.majority_type])), JSON.stringify([
+        ['price', { number: 2, string: 1, null: 1 }, 'number'],
+        ['tags', { array: 2, null: 1 }, 'array'],
+        ['meta', { null: 2, object: 1 }, 'object'],
+        ['meta->x', { bool: 1 }, 'bool'],
+    ]));
+    // Null values are neither counted for the majority nor reported.
+    assertEquals(JSON.stringify(report.type_mismatches), JSON.stringify([
+        { path: ['"price"'], value_type: 'string', majority_type: 'number', line_num: 1, position: 10, end_line_num: 1, end_position: 14 },
+    ]));
+    const null_records = parse_json_objects(['{"a": null}', '{"a": null}'], [0, 1], JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    assertEquals(rainbow_utils.calculate_value_type_report(null_records).paths[0].majority_type, 'null');
+    assertEquals(rainbow_utils.format_value_type_counts({ string: 1, number: 3 }), 'number: 3 (75.0%), string: 1 (25.0%)');
+});
+
+test('calculate_value_type_report reports minority types', () => {
+    const lines = ['[', '{"price": 1},', '{"price": "12"},', '{"price": 2}', ']'];
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    const report = rainbow_utils.calculate_value_type_report(records);
+    assertEquals(report.paths[0].majority_type, 'number');
+    assertEquals(JSON.stringify(report.type_mismatches), JSON.stringify([
+        { path: ['"price"'], value_type: 'string', majority_type: 'number', line_num: 2, position: 10, end_line_num: 2, end_position: 14 },
+    ]));
+});
+
+// rainbow_utils tests - schema tree and key occurrences
+test('build_schema_tree', () => {
+    const lines = ['{"a": 1, "b": [{"c": 1}, {"c": 2, "d": 3}]}', '{"b": [], "a": {"e": null}}'];
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    const format_tree = (nodes) => nodes.map(node => `${rainbow_utils.format_key_path(node.path)}:${node.count}` + (node.children.length ? `(${format_tree(node.children)})` : '')).join(' ');
+    assertEquals(format_tree(rainbow_utils.build_schema_tree(records)), 'a:2(a->e:1) b:2(b->c:2 b->d:1)');
+    // JSON5 keys with different quoting are the same key.
+    const json5_records = parse_json_objects(["{a: 1, 'b': {c: 2}}", '{"a": 3, b: {"c": 4}}'], [0, 1], JSON5_DIALECT);
+    assertEquals(format_tree(rainbow_utils.build_schema_tree(json5_records)), 'a:2 b:2(b->c:2)');
+});
+
+test('find_adjacent_key_occurrence wraps around', () => {
+    const lines = ['{"id": 1, "x": {"id": 2}}', '{"x": {"id": 3}}', '{"y": 4}'];
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    const key_path = ['"x"', '"id"'];
+    const find = (line, character, backward) => JSON.stringify(rainbow_utils.find_adjacent_key_occurrence(records, key_path, { line, character }, backward));
+    assertEquals(find(0, 0, false), JSON.stringify({ line: 0, character: 16, length: 4 }));
+    assertEquals(find(0, 16, false), JSON.stringify({ line: 1, character: 7, length: 4 }));
+    assertEquals(find(2, 3, false), JSON.stringify({ line: 0, character: 16, length: 4 }));
+    assertEquals(find(1, 7, true), JSON.stringify({ line: 0, character: 16, length: 4 }));
+    assertEquals(find(0, 2, true), JSON.stringify({ line: 1, character: 7, length: 4 }));
+    // Position inside of the key itself.
+    assertEquals(find(0, 18, true), JSON.stringify({ line: 1, character: 7, length: 4 }));
+    // The only occurrence is found again after the wrap-around.
+    assertEquals(JSON.stringify(rainbow_utils.find_adjacent_key_occurrence(records, ['"y"'], { line: 2, character: 1 }, false)), JSON.stringify({ line: 2, character: 1, length: 3 }));
+    assertEquals(rainbow_utils.find_adjacent_key_occurrence(records, ['"z"'], { line: 0, character: 0 }, false), null);
+});
+
+test('find_key_value_ranges', () => {
+    const lines = ['{"x": {"id": 1}}', '{"x": {"id": {"a": "b"}}}', '{"x": [{"id": "c"}]}'];
+    const records = parse_json_objects(lines, lines.map((_line, i) => i), JSON_DIALECT, [], DEFAULT_LEXER_STATE);
+    assertEquals(JSON.stringify(rainbow_utils.find_key_value_ranges(records, ['"x"', '"id"'])), JSON.stringify([
+        { line: 0, character: 13, end_line: 0, end_character: 14 },
+        { line: 1, character: 13, end_line: 1, end_character: 23 },
+        { line: 2, character: 14, end_line: 2, end_character: 17 },
+    ]));
+});
+
+test('get_table_column_paths', () => {
+    const lines = ['{"a": 1, "b": {"c": 1}, "items": [{"sku": 1}, {"sku": 2}], "tags": [1]}', '{"a": 2, "b": {"c": 2}, "e": {}}', '{"a": 3, "b": {}}'];
+    const records = parse_json_objects(lines, [0, 1, 2]);
+    assertEquals(JSON.stringify(rainbow_utils.get_table_column_paths(records)), JSON.stringify([['"a"'], ['"b"', '"c"'], ['"items"', '"sku"'], ['"tags"'], ['"e"']]));
+});
+
+test('get_table_column_paths keeps columns of keys that are scalars in some records', () => {
+    const lines = ['{"b": {"c": 1}}', '{"b": 5}', '{"b": [1]}', '{"b": [{"c": 2}]}'];
+    const records = parse_json_objects(lines, [0, 1, 2, 3]);
+    const column_paths = rainbow_utils.get_table_column_paths(records);
+    assertEquals(JSON.stringify(column_paths), JSON.stringify([['"b"'], ['"b"', '"c"']]));
+    const column_indexes = new Map(column_paths.map((path, idx) => [rainbow_utils.get_path_signature(path), idx]));
+    const cells = records.map(record => rainbow_utils.get_record_table_cells(lnum => lines[lnum], record, column_indexes).map(cell => cell && cell.values));
+    assertEquals(JSON.stringify(cells), JSON.stringify([[null, ['1']], [['5'], null], [['[1]'], null], [null, ['2']]]));
+});
+
+test('get_record_table_cells', () => {
+    const lines = ['{"a": "x", "items": [{"sku": 1}, {"sku": 2}], "tags": [1,', ' 2]}'];
+    const records = parse_json_objects(lines, [0, 1]);
+    const column_paths = [['"a"'], ['"items"', '"sku"'], ['"tags"'], ['"missing"']];
+    const column_indexes = new Map(column_paths.map((path, idx) => [rainbow_utils.get_path_signature(path), idx]));
+    const cells = rainbow_utils.get_record_table_cells(lnum => lines[lnum], records[0], column_indexes);
+    assertEquals(JSON.stringify(cells), JSON.stringify([
+        { values: ['"x"'], line: 0, character: 6 },
+        { values: ['1', '2'], line: 0, character: 29 },
+        { values: ['[1,\n 2]'], line: 0, character: 54 },
+        null,
+    ]));
+});
+
+test('export_records_as_delimited_text', () => {
+    const lines = ['{"id": 1, "user": {"name": "A, \\"B\\""}, "tags": ["x", "y"], "note": null}', '{"id": 2, "user": {"name": "C"}, "tags": []}'];
+    const records = parse_json_objects(lines, [0, 1]);
+    assertEquals(rainbow_utils.export_records_as_delimited_text(records, ',', false), [
+        'id,user.name,tags,note',
+        '1,"A, ""B""","[""x"",""y""]",null',
+        '2,C,[],',
+        '',
+    ].join('\n'));
+    assertEquals(rainbow_utils.export_records_as_delimited_text(records, '\t', true), [
+        'id\tuser.name\ttags\tnote',
+        '1\t"A, ""B"""\tx\tnull',
+        '1\t"A, ""B"""\ty\tnull',
+        '2\tC\t\t',
+        '',
+    ].join('\n'));
+});
+
+test('export_records_as_delimited_text serializes multi-line JSON5 values as standard JSON', () => {
+    const lines = ['{"a": [1, // c', `  'x'], "b": {"c": 0x10}}`];
+    const records = parse_json_objects(lines, [0, 1], JSON5_DIALECT);
+    assertEquals(rainbow_utils.export_records_as_delimited_text(records, ',', false), [
+        'a,b.c',
+        '"[1,""x""]",16',
+        '',
+    ].join('\n'));
+    assertEquals(rainbow_utils.export_records_as_delimited_text(records, ',', true), [
+        'a,b.c',
+        '1,16',
+        'x,16',
+        '',
+    ].join('\n'));
+    const nan_records = parse_json_objects(['{"a": [NaN]}'], [0], JSON5_DIALECT);
+    assertThrows(() => rainbow_utils.export_records_as_delimited_text(nan_records, ',', false), 'NaN has no JSON representation', rainbow_utils.JsonConversionError);
+    assertEquals(rainbow_utils.export_records_as_delimited_text(nan_records, ',', true), 'a\nNaN\n');
+});
+
+test('get_record_export_rows with key paths inside of arrays of objects', () => {
+    const lines = ['{"order": 7, "items": [{"sku": "a", "qty": 1}, {"sku": "b"}]}'];
+    const records = parse_json_objects(lines, [0]);
+    const column_paths = [['"order"'], ['"items"', '"sku"'], ['"items"', '"qty"']];
+    const column_indexes = new Map(column_paths.map((path, idx) => [rainbow_utils.get_path_signature(path), idx]));
+    assertEquals(JSON.stringify(rainbow_utils.get_record_export_rows(records[0], column_indexes, false)), JSON.stringify([['7', '["a","b"]', '[1,null]']]));
+    assertEquals(JSON.stringify(rainbow_utils.get_record_export_rows(records[0], column_indexes, true)), JSON.stringify([['7', 'a', '1'], ['7', 'b', '']]));
+    assertEquals(rainbow_utils.get_export_column_name(["'user'", 'name']), 'user.name');
+    assertEquals(rainbow_utils.get_scalar_text("'it'"), 'it');
+});
+
+test('get_record_export_rows with uneven keys in arrays of objects', () => {
+    const lines = ['{"items": [{"sku": "a"}, {"sku": "b", "qty": 2}, 5, {"qty": 3, "tags": ["x", "y"]}]}'];
+    const records = parse_json_objects(lines, [0]);
+    const column_paths = [['"items"', '"sku"'], ['"items"', '"qty"'], ['"items"', '"tags"']];
+    const column_indexes = new Map(column_paths.map((path, idx) => [rainbow_utils.get_path_signature(path), idx]));
+    assertEquals(JSON.stringify(rainbow_utils.get_record_export_rows(records[0], column_indexes, true)), JSON.stringify([
+        ['a', '', ''], ['b', '2', ''], ['', '', ''], ['', '3', 'x'], ['', '3', 'y'],
+    ]));
+    assertEquals(JSON.stringify(rainbow_utils.get_record_export_rows(records[0], column_indexes, false)), JSON.stringify([
+        ['["a","b",null,null]', '[null,2,null,3]', '[null,null,null,["x","y"]]'],
+    ]));
+});
+
+test('parse_delimited_text', () => {
+    assertEquals(JSON.stringify(rainbow_utils.parse_delimited_text('a,b\r\n1,"x, ""y"""\n\n2,"multi\nline"\n', ',')), JSON.stringify([['a', 'b'], ['1', 'x, "y"'], ['2', 'multi\nline']]));
+    assertEquals(JSON.stringify(rainbow_utils.parse_delimited_text('a\tb\n1\t', '\t')), JSON.stringify([['a', 'b'], ['1', '']]));
+});
+
+test('get_imported_key_paths', () => {
+    assertEquals(JSON.stringify(rainbow_utils.get_imported_key_paths(['id', 'user.name', 'user.age', 'id'], true)), JSON.stringify([['id'], ['user', 'name'], ['user', 'age'], ['id_2']]));
+    assertEquals(JSON.stringify(rainbow_utils.get_imported_key_paths(['a', 'a.b', 'c.', 'd.e'], true)), JSON.stringify([['a'], ['a.b'], ['c.'], ['d', 'e']]));
+    assertEquals(JSON.stringify(rainbow_utils.get_imported_key_paths(['user.name'], false)), JSON.stringify([['user.name']]));
+});
+
+test('convert_delimited_text_to_records', () => {
+    const text = 'id,user.name,user.age,tags,ok,note\n1,A,007,"[1, 2]",true,\n2.50,"B ""b""",,{bad,null,x\n';
+    const result = rainbow_utils.convert_delimited_text_to_records(text, ',', true);
+    assertEquals(JSON.stringify(result.records), JSON.stringify([
+        '{"id": 1, "user": {"name": "A", "age": "007"}, "tags": [1,2], "ok": true}',
+        '{"id": 2.50, "user": {"name": "B \\"b\\""}, "tags": "{bad", "ok": null, "note": "x"}',
+    ]));
+    assertEquals(JSON.stringify(result.key_paths), JSON.stringify([['id'], ['user', 'name'], ['user', 'age'], ['tags'], ['ok'], ['note']]));
+    for (let record of result.records) {
+        JSON.parse(record);
+    }
+});
+
+test('format_json_node keeps key order and literals', () => {
+    const lines = ['[', '  {"b": 1.50, "a": [1e3, {}, []], "c": {"x": "\\u0041"}},', '  -0', ']'];
+    const records = parse_json_objects(lines, [0, 1, 2, 3]);
+    const elements = records[0].children;
+    assertEquals(rainbow_utils.format_json_node(elements[0]), '{"b":1.50,"a":[1e3,{},[]],"c":{"x":"\\u0041"}}');
+    assertEquals(rainbow_utils.format_json_node(elements[1]), '-0');
+    assertEquals(rainbow_utils.format_json_node(elements[0], '  ', false, 1), '{\n    "b": 1.50,\n    "a": [\n      1e3,\n      {},\n      []\n    ],\n    "c": {\n      "x": "\\u0041"\n    }\n  }');
+    assertEquals(rainbow_utils.format_json_node(elements[0], null, true), '{"b":1.50,"a":[1e3,{},[]],"c":{"x":"\\u0041"}}');
+});
+
+test('format_json_node converts JSON5 to standard JSON', () => {
+    const lines = ["{key: 'v', 'it\\'s': \"\\x41\", n: [0x1F, -0xff, +1, .5, 5., 5.e3, 1.50], s: 'multi\\", "line',}"];
+    const records = parse_json_objects(lines, [0, 1], JSON5_DIALECT);
+    // Without the conversion JSON5 syntax is kept as written, e.g. for writing back to a JSON5 document.
+    assertEquals(rainbow_utils.format_json_node(records[0]).slice(0, 18), "{key:'v','it\\'s':\"");
+    const text = rainbow_utils.format_json_node(records[0], null, true);
+    assertEquals(text, '{"key":"v","it\'s":"A","n":[31,-255,1,0.5,5,5e3,1.50],"s":"multiline"}');
+    JSON.parse(text);
+    const nan_records = parse_json_objects(['{"a": [1, NaN]}'], [0], JSON5_DIALECT);
+    assertThrows(() => rainbow_utils.format_json_node(nan_records[0], null, true), 'NaN', rainbow_utils.JsonConversionError);
+    assertEquals(rainbow_utils.format_json_node(nan_records[0]), '{"a":[1,NaN]}');
+});
+
+test('format_json_array_text', () => {
+    assertEquals(rainbow_utils.format_json_array_text(['{"a":1}', '2'], '  '), '[\n  {"a":1},\n  2\n]\n');
+    assertEquals(rainbow_utils.format_json_array_text(['{"a":1}', '2'], null), '[\n{"a":1},\n2\n]\n');
+    assertEquals(rainbow_utils.format_json_array_text([], '  '), '[]\n');
+});
+
+// parse_cache tests
+
+/**
+ * Serializes records into a string to compare incrementally updated records against the full reparse.
+ * @param {any[]} records
+ * @returns {string}
+ */
+function serialize_records(records) {
+    const serialize_node = (node) => ({
+        type: node.node_type,
+        key: node.parent_key,
+        key_pos: node.parent_key_position ? [node.parent_key_position.line, node.parent_key_position.character] : null,
+        index: node.parent_array_index,
+        start: [node.start_position.line, node.start_position.character],
+        end: [node.end_position.line, node.end_position.character],
+        value: node.value,
+        children: node.children.map(serialize_node),
+    });
+    return JSON.stringify(records.map(serialize_node));
+}
+
+/**
+ * Applies an edit replacing `end_line - start_line + 1` lines with `new_lines` both to the lines array and to the cache, then compares with a rebuilt cache.
+ * @returns {parse_cache.DocumentParseCache}
+ */
+function apply_cache_edit(cache, lines, start_line, end_line, new_lines, dialect = JSON_DIALECT) {
+    lines.splice(start_line, end_line - start_line + 1, ...new_lines);
+    const line_change = parse_cache.merge_line_changes([{ start_line, end_line, inserted_line_count: new_lines.length - 1 }]);
+    cache.update((lnum) => lines[lnum], lines.length, line_change, cache.version + 1);
+    const expected = new parse_cache.DocumentParseCache(dialect);
+    expected.rebuild((lnum) => lines[lnum], lines.length, 0);
+    assertEquals(serialize_records(cache.records), serialize_records(expected.records), 'Records after update');
+    assertEquals(JSON.stringify(cache.comments.map(c => [c.value, c.line_num, c.end_line_num])), JSON.stringify(expected.comments.map(c => [c.value, c.line_num, c.end_line_num])), 'Comments after update');
+    assertEquals(cache.line_states.length, lines.length + 1);
+    assertEquals(cache.line_states.map(state => state.mode).join(), expected.line_states.map(state => state.mode).join(), 'Lexer states after update');
+    const serialize_errors = (errors) => JSON.stringify(errors.map(e => [e.message, e.line_num, e.position, e.skipped_line_num, e.skipped_end_line_num]));
+    assertEquals(serialize_errors(cache.errors), serialize_errors(expected.errors), 'Errors after update');
+    return cache;
+}
+
+function build_cache(lines, dialect = JSON_DIALECT) {
+    const cache = new parse_cache.DocumentParseCache(dialect);
+    cache.rebuild((lnum) => lines[lnum], lines.length, 1);
+    return cache;
+}
+
+test('merge_line_changes single change', () => {
+    const change = parse_cache.merge_line_changes([{ start_line: 3, end_line: 5, inserted_line_count: 0 }]);
+    assertEquals(change.start_line, 3);
+    assertEquals(change.old_end_line, 5);
+    assertEquals(change.new_end_line, 3);
+    assertEquals(parse_cache.merge_line_changes([]), null);
+});
+
+test('merge_line_changes sequential changes', () => {
+    // Insert 2 lines at line 10, then replace line 2 with 3 lines: the second change shifts the first one by 2 lines.
+    const change = parse_cache.merge_line_changes([
+        { start_line: 10, end_line: 10, inserted_line_count: 2 },
+        { start_line: 2, end_line: 2, inserted_line_count: 2 },
+    ]);
+    assertEquals(change.start_line, 2);
+    assertEquals(change.new_end_line, 14);
+    assertEquals(change.old_end_line, 10);
+});
+
+test('find_first_index binary search', () => {
+    const items = [1, 3, 5, 7];
+    assertEquals(parse_cache.find_first_index(items, x => x >= 4), 2);
+    assertEquals(parse_cache.find_first_index(items, x => x >= 0), 0);
+    assertEquals(parse_cache.find_first_index(items, x => x >= 8), 4);
+    assertEquals(parse_cache.find_first_index([], x => x >= 8), 0);
+});
+
+test('Parse cache reuses untouched JSONL records', () => {
+    const lines = ['{"id": 1}', '{"id": 2}', '{"id": 3}', '{"id": 4}'];
+    const cache = build_cache(lines);
+    const old_records = cache.records.slice();
+    apply_cache_edit(cache, lines, 1, 1, ['{"id": 20, "name": "x"}']);
+    assertEquals(cache.records.length, 4);
+    assert(cache.records[0] === old_records[0], 'First record is reused');
+    assert(cache.records[1] !== old_records[1], 'Edited record is reparsed');
+    assert(cache.records[2] === old_records[2], 'Third record is reused');
+    assertEquals(cache.records[1].children.length, 2);
+});
+
+test('Parse cache shifts records after inserted lines', () => {
+    const lines = ['{"id": 1}', '{"id": 2}', '{"id": 3}'];
+    const cache = build_cache(lines);
+    const old_last = cache.records[2];
+    apply_cache_edit(cache, lines, 0, 0, ['{"id": 1}', '', '{"id": 1.5}']);
+    assertEquals(cache.records.length, 4);
+    assert(cache.records[3] === old_last);
+    assertEquals(cache.records[3].start_position.line, 4);
+    assertEquals(cache.records[3].children[0].parent_key_position.line, 4);
+    apply_cache_edit(cache, lines, 1, 2, ['']);
+    assertEquals(cache.records.length, 3);
+    assertEquals(cache.records[1].start_position.line, 2);
+});
+
+test('Parse cache edit inside a multiline record', () => {
+    const lines = ['[', '  {', '    "a": 1,', '    "b": 2', '  },', '  {"a": 3}', ']', '{"c": 4}'];
+    const cache = build_cache(lines);
+    const old_last = cache.records[1];
+    apply_cache_edit(cache, lines, 3, 3, ['    "b": 2,', '    "c": 5']);
+    assertEquals(cache.records.length, 2);
+    assert(cache.records[1] === old_last);
+    assertEquals(cache.records[0].children[0].children.length, 3);
+});
+
+test('Parse cache reparses only the edited elements of a top-level array', () => {
+    const lines = ['['];
+    for (let i = 0; i < 50; i++) {
+        lines.push('  {', `    "id": ${i}`, i < 49 ? '  },' : '  }');
+    }
+    lines.push(']');
+    const cache = build_cache(lines);
+    const record = cache.records[0];
+    const old_elements = record.children.slice();
+    apply_cache_edit(cache, lines, 32, 32, ['    "id": 10,', '    "name": "x"']);
+    assert(cache.records[0] === record);
+    assertEquals(record.children.length, 50);
+    // Only the members of the edited element are reparsed.
+    for (let i = 0; i < 50; i++) {
+        assert(record.children[i] === old_elements[i], `Element ${i} is reused`);
+    }
+    assertEquals(record.children[10].children.length, 2);
+    assertEquals(record.children[49].start_position.line, 149);
+
+    // Removing a whole element renumbers the following ones.
+    apply_cache_edit(cache, lines, 4, 6, []);
+    assertEquals(record.children.length, 49);
+    assert(record.children[1] === old_elements[2]);
+    assertEquals(record.children[1].parent_array_index, 1);
+});
+
+test('Parse cache checks commas around the reparsed container members', () => {
+    const lines = ['{', '  "a": 1,', '  "b": 2,', '  "c": 3', '}'];
+    const cache = build_cache(lines);
+    const record = cache.records[0];
+    apply_cache_edit(cache, lines, 2, 2, ['  "b": 20']);
+    assertEquals(cache.errors.length, 1);
+    apply_cache_edit(cache, lines, 2, 2, ['  "b": 2,']);
+    assertEquals(cache.errors.length, 0);
+    apply_cache_edit(cache, lines, 3, 3, ['  "c": 3,']);
+    assertEquals(cache.errors.length, 1);
+    apply_cache_edit(cache, lines, 3, 3, ['  "c": 3']);
+    apply_cache_edit(cache, lines, 2, 2, ['']);
+    assertEquals(cache.errors.length, 0);
+    apply_cache_edit(cache, lines, 2, 2, ['  , "b": 2']);
+    assertEquals(cache.errors.length, 1);
+
+    const jsonc_lines = ['[', '  1,', '  2', ']'];
+    const jsonc_cache = build_cache(jsonc_lines, JSONC_DIALECT);
+    const jsonc_record = jsonc_cache.records[0];
+    apply_cache_edit(jsonc_cache, jsonc_lines, 2, 2, ['  2, // trailing'], JSONC_DIALECT);
+    assert(jsonc_cache.records[0] === jsonc_record);
+    assertEquals(jsonc_cache.errors.length, 0);
+    // The unclosed comment hides the closing bracket.
+    apply_cache_edit(jsonc_cache, jsonc_lines, 2, 2, ['  2, /* unclosed'], JSONC_DIALECT);
+    assertEquals(jsonc_cache.records.length, 0);
+});
+
+test('Parse cache handles merging and splitting records', () => {
+    const lines = ['{"id": 1}', '{"id": 2}', '{"id": 3}'];
+    const cache = build_cache(lines);
+    apply_cache_edit(cache, lines, 0, 0, ['{"id": 1, "sub": {']);
+    apply_cache_edit(cache, lines, 1, 1, ['"id": 2}}']);
+    assertEquals(cache.records.length, 2);
+    apply_cache_edit(cache, lines, 0, 1, ['{"id": 1}', '{"id": 2}']);
+    assertEquals(cache.records.length, 3);
+});
+
+test('Parse cache with unbalanced closing bracket falls back to rebuild', () => {
+    const lines = ['{', '"a": {"id": 1},', '"b": {"id": 2}', '}'];
+    const cache = build_cache(lines);
+    apply_cache_edit(cache, lines, 0, 0, ['']);
+    apply_cache_edit(cache, lines, 0, 0, ['{']);
+    assertEquals(cache.records.length, 1);
+});
+
+test('Parse cache block comments', () => {
+    const lines = ['{"id": 1}', '{"id": 2}', '{"id": 3}', '{"id": 4}'];
+    const cache = build_cache(lines, JSONC_DIALECT);
+    apply_cache_edit(cache, lines, 1, 1, ['/* {"id": 2}'], JSONC_DIALECT);
+    assertEquals(cache.records.length, 1);
+    assertEquals(cache.comments.length, 1);
+    apply_cache_edit(cache, lines, 2, 2, ['{"id": 3} */'], JSONC_DIALECT);
+    assertEquals(cache.records.length, 2);
+    assertEquals(cache.comments[0].end_line_num, 2);
+    // Edit inside the comment.
+    apply_cache_edit(cache, lines, 2, 2, ['{"id": 30} */ {"id": 31}'], JSONC_DIALECT);
+    assertEquals(cache.records.length, 3);
+    // Closing the comment marker without the opening one is a tokenizer error, the line is skipped and records around it are kept.
+    apply_cache_edit(cache, lines, 1, 1, ['{"id": 2}'], JSONC_DIALECT);
+    assert(cache.has_error_in_line_range(2, 2));
+    assert(!cache.has_error_in_line_range(3, 3));
+    assertEquals(cache.records.length, 3);
+    assertEquals(cache.records[2].start_position.line, 3);
+});
+
+test('Parse cache error region is reparsed after the fix', () => {
+    const lines = ['{"id": 1}', '{"id": 2}', '{"id": 3}'];
+    const cache = build_cache(lines);
+    apply_cache_edit(cache, lines, 1, 1, ['{"id" 2}']);
+    assertEquals(cache.errors.length, 1);
+    assert(cache.has_error_in_line_range(1, 1));
+    assert(!cache.has_error_in_line_range(2, 2));
+    assertEquals(cache.records.length, 2);
+    apply_cache_edit(cache, lines, 2, 2, ['{"id": 3, "x": 1}']);
+    assertEquals(cache.errors.length, 1);
+    apply_cache_edit(cache, lines, 1, 1, ['{"id": 2}']);
+    assertEquals(cache.errors.length, 0);
+    assertEquals(cache.records.length, 3);
+});
+
+test('Parse cache keeps JSONL records around a broken line', () => {
+    const lines = ['{"id": 1}', '{"id": 2}', '{"id": 3, "sub": {"a": 1}, "x" 4}', '{"id": 4}', '{"id": 5}'];
+    const cache = build_cache(lines);
+    assertEquals(JSON.stringify(cache.records.map(record => record.start_position.line)), JSON.stringify([0, 1, 3, 4]), 'Nested objects of the broken record are not records');
+    assertEquals(cache.errors.length, 1);
+    assertEquals(cache.errors[0].line_num, 2);
+    assert(cache.has_error_in_line_range(2, 2));
+    assert(!cache.has_error_in_line_range(0, 1));
+    assert(!cache.has_error_in_line_range(3, 4));
+    assertEquals(cache.get_errors_in_line_range(0, 4)[0].message, 'Expected colon, got "4"');
+    // Errors after the edit are shifted.
+    apply_cache_edit(cache, lines, 0, 0, ['{"id": 0}', '{"id": 1}']);
+    assert(cache.has_error_in_line_range(3, 3));
+    assertEquals(cache.records.length, 5);
+    apply_cache_edit(cache, lines, 3, 3, ['{"id": 3, "sub": {"a": 1}, "x": 4}']);
+    assertEquals(cache.errors.length, 0);
+    assertEquals(cache.records.length, 6);
+});
+
+test('Parse cache skips all lines of a broken multiline record', () => {
+    const lines = ['{"id": 1}', '{', '  "a": {"b": 1}', '  "c": 2', '}', '{"id": 3}'];
+    const cache = build_cache(lines);
+    assertEquals(cache.records.length, 2);
+    assert(cache.has_error_in_line_range(1, 1));
+    assert(cache.has_error_in_line_range(4, 4));
+    assert(!cache.has_error_in_line_range(5, 5));
+    // The fix is outside of the line with the error.
+    apply_cache_edit(cache, lines, 2, 2, ['  "a": {"b": 1},']);
+    assertEquals(cache.errors.length, 0);
+    assertEquals(cache.records.length, 3);
+    apply_cache_edit(cache, lines, 4, 4, [']']);
+    assertEquals(cache.records.length, 2, 'Nested object is not a record');
+    assert(cache.has_error_in_line_range(1, 4));
+});
+
+test('Parse cache range queries', () => {
+    const lines = ['{"id": 1}', '{', '"id": 2', '}', '// comment', '{"id": 3}'];
+    const cache = build_cache(lines, JSONC_DIALECT);
+    assertEquals(cache.get_records_in_line_range(0, 0).length, 1);
+    assertEquals(cache.get_records_in_line_range(2, 2).length, 1);
+    assertEquals(cache.get_records_in_line_range(2, 2)[0].start_position.line, 1);
+    assertEquals(cache.get_records_in_line_range(4, 4).length, 0);
+    assertEquals(cache.get_records_in_line_range(0, 10).length, 3);
+    assertEquals(cache.get_comments_in_line_range(4, 5).length, 1);
+    assertEquals(cache.get_comments_in_line_range(0, 3).length, 0);
+    assertEquals(cache.find_record_at_position({line: 2, character: 2}).start_position.line, 1);
+    assertEquals(cache.find_record_at_position({line: 4, character: 2}), null);
+});
+
+test('find_dataset_record_at_position', () => {
+    const jsonl_cache = build_cache(['{"a": 1}', '{"b": {"c": 2}}']);
+    assertEquals(rainbow_utils.find_dataset_record_at_position(jsonl_cache, {line: 1, character: 8}).start_position.line, 1);
+    const broken_cache = build_cache(['{"a": 1}', '{"broken": }', '{"b": 2}']);
+    assertEquals(rainbow_utils.find_dataset_record_at_position(broken_cache, {line: 1, character: 3}), null);
+    assertEquals(rainbow_utils.find_dataset_record_at_position(broken_cache, {line: 2, character: 3}).start_position.line, 2);
+    const array_cache = build_cache(['[', '  {"a": 1}, 5,', '  {"b": 2}', ']']);
+    const element = rainbow_utils.find_dataset_record_at_position(array_cache, {line: 2, character: 4});
+    assertEquals(JSON.stringify(rainbow_utils.get_node_value_range(element)), JSON.stringify({ line: 2, character: 2, end_line: 2, end_character: 10 }));
+    // Scalar elements and the space between elements are not records.
+    assertEquals(rainbow_utils.find_dataset_record_at_position(array_cache, {line: 1, character: 13}), null);
+    assertEquals(rainbow_utils.find_dataset_record_at_position(array_cache, {line: 1, character: 1}), null);
+});
+
+test('format_single_record', () => {
+    assertEquals(rainbow_utils.format_single_record(build_cache(['{', "  key: 'v',", '  n: 0x1F', '}'], JSON5_DIALECT)), "{key:'v',n:0x1F}");
+    assertEquals(rainbow_utils.format_single_record(build_cache(['{"a": 1}', '{"b": 2}'])), null);
+    assertEquals(rainbow_utils.format_single_record(build_cache(['{"a": }'])), null);
+});
+
+test('shift_position_after_change', () => {
+    const position = {line: 5, character: 4};
+    const change = (start_line, start_character, end_line, end_character) => ({ start: {line: start_line, character: start_character}, end: {line: end_line, character: end_character} });
+    assertEquals(JSON.stringify(rainbow_utils.shift_position_after_change(position, change(1, 0, 1, 0), '{"x": 0}\r\n{"y": 0}\n')), JSON.stringify({line: 7, character: 4}));
+    assertEquals(JSON.stringify(rainbow_utils.shift_position_after_change(position, change(2, 0, 4, 3), '')), JSON.stringify({line: 3, character: 4}));
+    assertEquals(JSON.stringify(rainbow_utils.shift_position_after_change(position, change(5, 1, 5, 3), 'abcd')), JSON.stringify({line: 5, character: 6}));
+    assertEquals(JSON.stringify(rainbow_utils.shift_position_after_change(position, change(4, 2, 5, 4), 'a\nbc')), JSON.stringify({line: 5, character: 2}));
+    assertEquals(rainbow_utils.shift_position_after_change(position, change(5, 6, 6, 0), 'x'), position);
+    assertEquals(rainbow_utils.shift_position_after_change(position, change(5, 2, 5, 6), 'x'), null);
+});
+
+test('apply_text_change', () => {
+    let lines = ['{"a": 1}', '{"b": 2}', '{"c": 3}'];
+    lines = parse_cache.apply_text_change(lines, {start_line: 0, start_character: 7, end_line: 1, end_character: 7, text: '5'});
+    assertEquals(JSON.stringify(lines), JSON.stringify(['{"a": 15}', '{"c": 3}']));
+    lines = parse_cache.apply_text_change(lines, {start_line: 1, start_character: 0, end_line: 1, end_character: 0, text: '{"x": 0}\r\n'});
+    assertEquals(JSON.stringify(lines), JSON.stringify(['{"a": 15}', '{"x": 0}', '{"c": 3}']));
+});
+
+// rainbow_utils tests - find_key_path_at_position
+test('find_key_path_at_position', () => {
+    const records = parse_json_objects(['{"a": {"b": [{"c": 1}]}, "d": 2}'], [0]);
+    assertEquals(JSON.stringify(rainbow_utils.find_key_path_at_position(records[0], {line: 0, character: 15}, [])), JSON.stringify(['"a"', '"b"', '"c"']));
+    assertEquals(JSON.stringify(rainbow_utils.find_key_path_at_position(records[0], {line: 0, character: 31}, [])), JSON.stringify(['"d"']));
+    assertEquals(rainbow_utils.find_key_path_at_position(records[0], {line: 0, character: 0}, []), null);
+});
+
+test('format_display_key_path', () => {
+    const records = parse_json_objects(['{"items": [{"sku": 1}, [{"id": 2}]]}'], [0]);
+    const sku_chain = rainbow_utils.find_key_node_chain_at_position(records[0], {line: 0, character: 14}, []);
+    assertEquals(rainbow_utils.format_display_key_path(sku_chain), 'items->[ ]->sku');
+    const id_chain = rainbow_utils.find_key_node_chain_at_position(records[0], {line: 0, character: 27}, []);
+    assertEquals(rainbow_utils.format_display_key_path(id_chain), 'items->[ ]->[ ]->id');
+});
+
+// semantic_tokens tests
+
+/**
+ * @param {number[]} data
+ * @returns {string[]} - Tokens formatted as "line:character:length:token_type".
+ */
+function format_semantic_tokens(data) {
+    const result = [];
+    for (let i = 0; i < data.length; i += 4) {
+        result.push(`${data[i]}:${data[i + 1]}:${data[i + 2]}:${semantic_tokens.all_token_types[data[i + 3]]}`);
+    }
+    return result;
+}
+
+test('compute_semantic_tokens highlights keys with slot colors', () => {
+    const lines = ['{"a": 1, "b": {"c": 2}}'];
+    const records = parse_json_objects(lines, [0]);
+    const data = semantic_tokens.compute_semantic_tokens(lnum => lines[lnum], new rainbow_utils.KeyPathMatcher([null, '"c"->"b"', '"a"']), records, [], 0, 0);
+    assertEquals(JSON.stringify(format_semantic_tokens(data)), JSON.stringify(['0:0:1:rainbow3', '0:1:6:rainbow10', '0:7:8:rainbow3', '0:15:6:rainbow4', '0:21:2:rainbow3']));
+});
+
+test('compute_semantic_tokens matches leaf keys in leaf key mode', () => {
+    const lines = ['{"a": {"id": 1}, "b": {"id": 2}}'];
+    const records = parse_json_objects(lines, [0]);
+    const data = semantic_tokens.compute_semantic_tokens(lnum => lines[lnum], new rainbow_utils.KeyPathMatcher(['"id"'], 1), records, [], 0, 0);
+    assertEquals(JSON.stringify(format_semantic_tokens(data)), JSON.stringify(['0:0:7:rainbow3', '0:7:7:rainbow2', '0:14:9:rainbow3', '0:23:7:rainbow2', '0:30:2:rainbow3']));
+});
+
+test('compute_semantic_tokens colors values of the value color key', () => {
+    const lines = ['{"level": "INFO", "n": 1}', '{"level": "ERROR", "n": 2}', '{"level": "INFO", "n": 3}'];
+    const records = parse_json_objects(lines, [0, 1, 2]);
+    const indexes = rainbow_utils.collect_value_color_indexes(records, '"level"', null);
+    const data = semantic_tokens.compute_semantic_tokens(lnum => lines[lnum], new rainbow_utils.KeyPathMatcher(['"n"', '"level"'], null, '"level"', indexes), records, [], 0, 2);
+    const tokens = format_semantic_tokens(data);
+    assert(tokens.includes('0:1:15:rainbow2'));
+    assert(tokens.includes('1:1:16:rainbow4'));
+    assert(tokens.includes('2:1:15:rainbow2'));
+    assert(tokens.includes('0:18:6:rainbow2'));
+});
+
+test('resolve_palette', () => {
+    assertEquals(semantic_tokens.resolve_palette('theme', []), null);
+    assertEquals(semantic_tokens.resolve_palette('theme', [null, { color: 'red' }]), null);
+    for (let palette_name of Object.keys(semantic_tokens.builtin_palettes)) {
+        assertEquals(semantic_tokens.builtin_palettes[palette_name].length, semantic_tokens.rainbow_token_types.length);
+    }
+    const theme_overrides = semantic_tokens.resolve_palette('theme', [null, { font_style: 'bold' }, { color: '#123456', light_color: '#654321' }]);
+    assertEquals(theme_overrides.length, semantic_tokens.rainbow_token_types.length);
+    assertEquals(JSON.stringify(theme_overrides.slice(0, 4)), JSON.stringify([
+        { color: null, light_color: null, font_style: null },
+        { color: null, light_color: null, font_style: 'bold' },
+        { color: '#123456', light_color: '#654321', font_style: null },
+        { color: null, light_color: null, font_style: null },
+    ]));
+    const colorblind_safe = semantic_tokens.resolve_palette('colorblind_safe', [{ color: '#abc' }]);
+    assertEquals(JSON.stringify(colorblind_safe[0]), JSON.stringify({ color: '#abc', light_color: '#abc', font_style: null }));
+    assertEquals(colorblind_safe[9].color, colorblind_safe[1].color);
+    assertEquals(colorblind_safe[9].font_style, 'underline');
+    assertEquals(JSON.stringify(semantic_tokens.parse_font_style('bold  italic blink')), JSON.stringify(['bold', 'italic']));
+    assertEquals(JSON.stringify(semantic_tokens.parse_font_style('')), JSON.stringify([]));
+});
+
+test('compute_semantic_tokens splits multi-line ranges and comments', () => {
+    const lines = ['{"a": /* x', 'y */ 1}'];
+    const comments = [];
+    const records = parse_json_objects(lines, [0, 1], JSONC_DIALECT, comments);
+    const data = semantic_tokens.compute_semantic_tokens(lnum => lines[lnum], new rainbow_utils.KeyPathMatcher(['"a"']), records, comments, 0, 1);
+    assertEquals(JSON.stringify(format_semantic_tokens(data)), JSON.stringify(['0:0:1:rainbow3', '0:1:9:rainbow2', '1:0:6:rainbow2', '1:6:1:rainbow3']));
+});
+
+test('compute_semantic_tokens returns partial tokens when stopped', () => {
+    const lines = ['{"a": 1}', '{"a": 2}', '{"a": 3}'];
+    const records = parse_json_objects(lines, [0, 1, 2]);
+    let polls = 0;
+    // Stop before the second record.
+    const data = semantic_tokens.compute_semantic_tokens(lnum => lines[lnum], new rainbow_utils.KeyPathMatcher(['"a"']), records, [], 0, 2, () => ++polls > 2);
+    assertEquals(JSON.stringify(format_semantic_tokens(data)), JSON.stringify(['0:0:1:rainbow3', '0:1:6:rainbow2']));
+});
+
+test('Semantic tokens of a document over full_scan_max_lines are computed without the full parse', () => {
+    const lines = [];
+    for (let i = 0; i < 50; i++) {
+        lines.push(`{"id": ${i}, "name": "n${i}"}`);
+    }
+    const params = { keys_to_highlight: ['"name"'], match_suffix_length: null, value_color_key: null, begin_line: 40, end_line: 41, time_budget_ms: 0, full_scan_max_lines: 10 };
+    const doc = new parse_worker.WorkerDocument('jsonl', 1, lines.join('\n'));
+    const data = parse_worker.handle_semantic_tokens_request(doc, params, () => false);
+    assertEquals(doc.cache.version, null, 'The cache is not built');
+    assertEquals(JSON.stringify(format_semantic_tokens(data)), JSON.stringify(['40:0:11:rainbow3', '40:11:13:rainbow2', '40:24:1:rainbow3', '41:0:11:rainbow3', '41:11:13:rainbow2', '41:24:1:rainbow3']));
+    // Once the cache is built by a request that needs the whole document it is used for the tokens too.
+    doc.get_parse_cache();
+    assertEquals(JSON.stringify(parse_worker.handle_semantic_tokens_request(doc, params, () => false)), JSON.stringify(data));
+    const small_doc = new parse_worker.WorkerDocument('jsonl', 1, lines.join('\n'));
+    parse_worker.handle_semantic_tokens_request(small_doc, Object.assign({}, params, { full_scan_max_lines: 100 }), () => false);
+    assertEquals(small_doc.cache.version, 1);
+});
+
+test('Semantic tokens of the records parsed before the time budget runs out are returned', () => {
+    const lines = [];
+    for (let i = 0; i < 50; i++) {
+        lines.push(`{"id": ${i}, "name": "n${i}"}`);
+    }
+    const params = { keys_to_highlight: ['"name"'], match_suffix_length: null, value_color_key: null, begin_line: 40, end_line: 41, time_budget_ms: 10, full_scan_max_lines: 10 };
+    const doc = new parse_worker.WorkerDocument('jsonl', 1, lines.join('\n'));
+    const real_now = Date.now;
+    let now_calls = 0;
+    // The deadline is set first, then the clock is polled after each of the 2 lines, before grouping the tokens and before each record.
+    Date.now = () => (++now_calls > 5 ? real_now() + 1000000 : 0);
+    let data;
+    try {
+        data = parse_worker.handle_semantic_tokens_request(doc, params, () => false);
+    } finally {
+        Date.now = real_now;
+    }
+    // The record that wasn't parsed in time gets the ambient color.
+    assertEquals(JSON.stringify(format_semantic_tokens(data)), JSON.stringify(['40:0:11:rainbow3', '40:11:13:rainbow2', '40:24:1:rainbow3', '41:0:25:rainbow3']));
+    assertEquals(parse_worker.handle_semantic_tokens_request(doc, params, () => true).length, 0);
+});
+
+test('Value color indexes are kept across document versions', () => {
+    const doc = new parse_worker.WorkerDocument('jsonl', 1, '{"level": "INFO"}\n{"level": "ERROR"}');
+    let matcher = doc.get_key_matcher([], null, '"level"');
+    assertEquals(matcher.get_value_color_index('"ERROR"'), 1);
+    doc.apply_changes(2, [{ start_line: 0, start_character: 0, end_line: 1, end_character: 0, text: '{"level": "WARN"}\n' }]);
+    matcher = doc.get_key_matcher([], null, '"level"');
+    assertEquals(matcher.get_value_color_index('"ERROR"'), 1);
+    assertEquals(matcher.get_value_color_index('"WARN"'), 2);
+    assertEquals(matcher.get_value_color_index('"INFO"'), 0);
+    // A document over full_scan_max_lines only numbers the values of the requested range.
+    const lines = [];
+    for (let i = 0; i < 50; i++) {
+        lines.push(`{"level": "L${i % 5}"}`);
+    }
+    const large_doc = new parse_worker.WorkerDocument('jsonl', 1, lines.join('\n'));
+    const params = { keys_to_highlight: [], match_suffix_length: null, value_color_key: '"level"', begin_line: 43, end_line: 44, time_budget_ms: 0, full_scan_max_lines: 10 };
+    parse_worker.handle_semantic_tokens_request(large_doc, params, () => false);
+    assertEquals(large_doc.cache.version, null, 'The cache is not built');
+    assertEquals(JSON.stringify(Array.from(large_doc.value_colors.indexes)), JSON.stringify([['L3', 0], ['L4', 1]]));
+    parse_worker.handle_semantic_tokens_request(large_doc, Object.assign({}, params, { begin_line: 40, end_line: 43 }), () => false);
+    assertEquals(JSON.stringify(Array.from(large_doc.value_colors.indexes)), JSON.stringify([['L3', 0], ['L4', 1], ['L0', 2], ['L1', 3], ['L2', 4]]));
+});
+
+test('Key info of a document over full_scan_max_lines is found without the full parse', () => {
+    const lines = [];
+    for (let i = 0; i < 300; i++) {
+        lines.push(`{"id": ${i}, "user": {"name": "n${i}"}}`);
+    }
+    const doc = new parse_worker.WorkerDocument('jsonl', 1, lines.join('\n'));
+    const info = parse_worker.handle_key_info_at_position_request(doc, { line: 250, character: 22, full_scan_max_lines: 10 });
+    assertEquals(doc.cache.version, null, 'The cache is not built');
+    assertEquals(JSON.stringify(info), JSON.stringify({ key_path: ['"user"', '"name"'], display_path: 'user->name', count: null, type_counts: null }));
+    const full_info = parse_worker.handle_key_info_at_position_request(doc, { line: 250, character: 22, full_scan_max_lines: 1000 });
+    assertEquals(full_info.count, 300);
+    assertEquals(full_info.type_counts.string, 300);
+});
+
+test('parse_json_objects can be interrupted', () => {
+    const lines = ['{"a": 1}', '{"a": 2}'];
+    let polls = 0;
+    assertThrows(() => parse_json_objects(lines, [0, 1], JSON_DIALECT, null, DEFAULT_LEXER_STATE, () => ++polls > 1), 'Interrupted during tokenization', JsonParsingInterruptedError);
+    assertEquals(parse_json_objects(lines, [0, 1], JSON_DIALECT, null, DEFAULT_LEXER_STATE, () => false).length, 2);
+});
+
+test('parse_json_objects keeps the records parsed before the interruption', () => {
+    const lines = ['{"a": 1}', '{"a": 2}'];
+    let polls = 0;
+    const records = [];
+    // Polled after each line, before grouping the tokens and before each record.
+    assertThrows(() => parse_json_objects(lines, [0, 1], JSON_DIALECT, null, DEFAULT_LEXER_STATE, () => ++polls > 4, null, records), 'Interrupted before the second record', JsonParsingInterruptedError);
+    assertEquals(records.length, 1);
+    assertEquals(records[0].children[0].value, '1');
+    const all_records = [];
+    assert(parse_json_objects(lines, [0, 1], JSON_DIALECT, null, DEFAULT_LEXER_STATE, null, null, all_records) === all_records);
+    assertEquals(all_records.length, 2);
+});
+
 // Parse command line arguments
 const args = process.argv.slice(2);
 